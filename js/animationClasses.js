@@ -4,8 +4,12 @@
  * Contains various animation logic classes.
  */
 
-import { fader, getLpColor, webColorMap } from './animationEngine.js';
+import { fader, getLpColor, getWebColors } from './animationEngine.js';
 import { alphabetCoords, numberCoords, symbolCoords } from './animationData.js';
+import { getLevelForVelocity, LEVEL_VELOCITIES } from './colorPalette.js';
+
+// An LED timeline event keeps its LED on until a later event changes it
+const LED_HOLD_MS = 24 * 60 * 60 * 1000;
 
 export class MatrixRainAnimation {
     constructor(colorName, duration, direction = 'down') {
@@ -145,7 +149,7 @@ export class StrobeBurstAnimation {
 
         this.baseColor = getLpColor(colorName);
         this.lpOff = getLpColor('off');
-        this.webColors = webColorMap[colorName];
+        this.webColors = getWebColors(colorName);
     }
 
     update(now) {
@@ -457,3 +461,65 @@ export class RealEQAnimation {
         return this.cursor >= this.events.length;
     }
 }
+
+/**
+ * LedTimelineAnimation plays a hand-made light show: a list of timed LED events
+ * `{ time, x, y, color, velocity }` (time in seconds, color = a named color or `#RRGGBB`,
+ * velocity = brightness 0-127, full brightness when omitted).
+ * Each event sets one LED until a later event changes it; `off` or velocity 0 turns it off.
+ * Looping timelines restart after `duration` seconds until `stop()` is called.
+ */
+export class LedTimelineAnimation {
+    constructor(timeline) {
+        this.startTime = performance.now();
+        this.events = timeline.events;
+        this.loop = !!timeline.loop;
+        this.durationMs = (timeline.duration ?? (this.events.length ? this.events[this.events.length - 1].time : 0)) * 1000;
+        this.cursor = 0;
+        this.stopped = false;
+        this.litPads = new Set(); // "x,y" keys currently lit by this timeline
+    }
+
+    update(now) {
+        if (this.stopped) return true;
+
+        let elapsed = now - this.startTime;
+
+        // Restart a looping timeline once its last event has played and its duration is over
+        if (this.loop && this.cursor >= this.events.length && this.durationMs > 0 && elapsed >= this.durationMs) {
+            this.startTime += this.durationMs * Math.floor(elapsed / this.durationMs);
+            elapsed = now - this.startTime;
+            this.cursor = 0;
+        }
+
+        while (this.cursor < this.events.length) {
+            const event = this.events[this.cursor];
+            if (elapsed < event.time * 1000) break;
+
+            const key = `${event.x},${event.y}`;
+            const level = getLevelForVelocity(event.velocity ?? LEVEL_VELOCITIES.full);
+            if (event.color === 'off' || !level) {
+                fader.add([event.x, event.y], 'off', 0, 'instant');
+                this.litPads.delete(key);
+            } else {
+                fader.add([event.x, event.y], event.color, LED_HOLD_MS, 'hold', { level });
+                this.litPads.add(key);
+            }
+            this.cursor++;
+        }
+
+        return !this.loop && this.cursor >= this.events.length;
+    }
+
+    /**
+     * Stops the timeline (e.g. on release of a looping one) and turns off the LEDs it left on.
+     */
+    stop() {
+        this.stopped = true;
+        this.litPads.forEach(key => {
+            const [x, y] = key.split(',').map(Number);
+            fader.add([x, y], 'off', 0, 'instant');
+        });
+        this.litPads.clear();
+    }
+}
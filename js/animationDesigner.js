@@ -0,0 +1,455 @@
+/**
+ * ANIMATION DESIGNER (animationDesigner.js)
+ *
+ * Draws light animations frame by frame on the 8x8 grid:
+ * - while the designer is on, clicking (or dragging over) pads of the web grid paints
+ *   them with the chosen color and brightness level, or erases them with `off`
+ *   (on the first Launchpad when the grid spans two; designs play on the Launchpad
+ *   of the pad that starts them);
+ * - each frame has its own duration, and the design can loop while the pad is held;
+ * - the frame being edited and the preview are shown on the web grid and on the
+ *   connected Launchpad (`setWebColor` / `setPhysicalColor`).
+ *
+ * Saved designs are stored in the browser (see localStore.js) and registered in the
+ * `animations` registry as `custom_<name>`, so `page.lights` can use them like any
+ * built-in name.
+ */
+
+import { animations, registerLedTimeline } from './animationLibrary.js';
+import { setWebColor, webColorMap, setPhysicalColor, getLpColor, flushPhysicalColors } from './animationEngine.js';
+import { LEVEL_VELOCITIES } from './colorPalette.js';
+import { getTranslation, showNotification, syncInputSlider } from './ui.js';
+import { registerListener } from './eventCleanup.js';
+import { saveLocalDesign, listLocalDesigns, deleteLocalDesign } from './localStore.js';
+import { isEditorActive, setEditorActive } from './projectEditor.js';
+import { DEVICE_COLS, DEVICE_ROWS, DEVICE_PADS } from './constants.js';
+import { getPadCoordinates } from './gridLayout.js';
+
+export const DESIGN_NAME_PREFIX = 'custom_';
+export const DEFAULT_FRAME_DURATION_MS = 200;
+export const MIN_FRAME_DURATION_MS = 20;
+export const MAX_FRAME_DURATION_MS = 2000;
+
+let designerControlsInitialized = false; // Prevent duplicate listener registration
+let designerActive = false;
+let frameIndex = 0;
+let brush = { color: 'red', level: 'full' };
+let previewTimeoutId = null;
+let savedDesigns = new Map(); // Registry name -> design
+
+/**
+ * Creates an empty frame.
+ * @param {number} [duration] - Frame duration in milliseconds.
+ * @returns {{duration: number, cells: (object|null)[]}} `cells` holds `{ color, level }` or null (off).
+ */
+function createFrame(duration = DEFAULT_FRAME_DURATION_MS) {
+    return { duration, cells: new Array(DEVICE_PADS).fill(null) };
+}
+
+/**
+ * Creates an empty design.
+ * @returns {{name: string, label: string, loop: boolean, frames: object[]}}
+ */
+function createDesign() {
+    return { name: '', label: '', loop: false, frames: [createFrame()] };
+}
+
+let design = createDesign();
+
+/**
+ * Builds the registry name of a design from the name typed by the user.
+ * @param {string} label - The name typed by the user.
+ * @returns {string} e.g. "custom_red_flash", or '' if the name has no usable character.
+ */
+export function getDesignName(label) {
+    const slug = label.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    return slug ? `${DESIGN_NAME_PREFIX}${slug}` : '';
+}
+
+/**
+ * Converts a design into an LED timeline (see `LedTimelineAnimation`):
+ * each frame only emits the LEDs that changed, and every LED is off after the last frame.
+ * @param {object} source - The design.
+ * @returns {{events: object[], duration: number, loop: boolean}}
+ */
+export function designToTimeline(source) {
+    const events = [];
+    let previous = new Array(DEVICE_PADS).fill(null);
+    let time = 0;
+
+    const pushEvent = (index, cell) => {
+        events.push({
+            time,
+            x: index % DEVICE_COLS,
+            y: Math.floor(index / DEVICE_COLS),
+            color: cell ? cell.color : 'off',
+            velocity: cell ? LEVEL_VELOCITIES[cell.level] : 0
+        });
+    };
+
+    source.frames.forEach(frame => {
+        frame.cells.forEach((cell, index) => {
+            const before = previous[index];
+            const unchanged = cell === before || (cell && before && cell.color === before.color && cell.level === before.level);
+            if (!unchanged) pushEvent(index, cell);
+        });
+        previous = frame.cells;
+        time += frame.duration / 1000;
+    });
+    previous.forEach((cell, index) => {
+        if (cell) pushEvent(index, null);
+    });
+
+    return { events, duration: time, loop: !!source.loop };
+}
+
+/**
+ * Registers a design in the `animations` registry, under its `custom_` name.
+ * @param {object} source - The design.
+ */
+function registerDesign(source) {
+    registerLedTimeline(source.name, designToTimeline(source), { projectOnly: false, grid: false });
+    savedDesigns.set(source.name, source);
+}
+
+/**
+ * Shows a cell on the web grid and on the Launchpad. Cells are the pads of the first
+ * Launchpad, whose coordinates are the same on the grid.
+ * @param {number} index - Cell index (0-63).
+ * @param {object|null} cell - `{ color, level }`, or null for off.
+ */
+function showCell(index, cell) {
+    const p = [index % DEVICE_COLS, Math.floor(index / DEVICE_COLS)];
+    if (cell) {
+        setWebColor(webColorMap[cell.color][cell.level], p);
+        setPhysicalColor(getLpColor(cell.color, cell.level), p);
+    } else {
+        setWebColor('off', p);
+        setPhysicalColor(getLpColor('off'), p);
+    }
+}
+
+/**
+ * Shows a whole frame on the web grid and on the Launchpad.
+ * @param {object|null} frame - The frame, or null to turn every LED off.
+ */
+function showFrame(frame) {
+    for (let index = 0; index < DEVICE_PADS; index++) {
+        showCell(index, frame ? frame.cells[index] : null);
+    }
+    flushPhysicalColors();
+}
+
+/**
+ * Paints a pad of the current frame with the brush.
+ * @param {number} index - Cell index (0-63).
+ */
+function paintCell(index) {
+    const cell = brush.color === 'off' ? null : { color: brush.color, level: brush.level };
+    design.frames[frameIndex].cells[index] = cell;
+    showCell(index, cell);
+    flushPhysicalColors();
+}
+
+/**
+ * Returns true while the preview is playing.
+ * @returns {boolean}
+ */
+function isPreviewing() {
+    return previewTimeoutId !== null;
+}
+
+/**
+ * Stops the preview and shows the frame being edited again.
+ */
+function stopPreview() {
+    if (previewTimeoutId !== null) {
+        clearTimeout(previewTimeoutId);
+        previewTimeoutId = null;
+    }
+    showFrame(designerActive ? design.frames[frameIndex] : null);
+    updateDesignerControls();
+}
+
+/**
+ * Plays the design on the web grid and the Launchpad, looping if the design loops.
+ */
+function startPreview() {
+    const playFrame = (index) => {
+        if (index >= design.frames.length) {
+            if (!design.loop) {
+                previewTimeoutId = null;
+                stopPreview();
+                return;
+            }
+            index = 0;
+        }
+        showFrame(design.frames[index]);
+        previewTimeoutId = setTimeout(() => playFrame(index + 1), design.frames[index].duration);
+    };
+    playFrame(0);
+    updateDesignerControls();
+}
+
+/**
+ * Updates the sidebar controls from the design being edited.
+ */
+function updateDesignerControls() {
+    const toggleButton = document.getElementById('designer-toggle');
+    if (toggleButton) {
+        const key = designerActive ? 'designer.stop' : 'designer.start';
+        toggleButton.setAttribute('data-i18n', key);
+        toggleButton.textContent = getTranslation(key);
+        toggleButton.classList.toggle('selected', designerActive);
+    }
+
+    const panel = document.getElementById('designer-panel');
+    if (panel) panel.style.display = designerActive ? 'block' : 'none';
+
+    const nameInput = document.getElementById('designer-name');
+    if (nameInput) nameInput.value = design.label;
+
+    const frameInfo = document.getElementById('designer-frame-info');
+    if (frameInfo) {
+        frameInfo.textContent = getTranslation('designer.frameInfo')
+            .replace('{index}', frameIndex + 1)
+            .replace('{count}', design.frames.length);
+    }
+
+    const duration = String(design.frames[frameIndex].duration);
+    const durationSlider = document.getElementById('designer-duration-slider');
+    const durationInput = document.getElementById('designer-duration-input');
+    if (durationSlider) durationSlider.value = duration;
+    if (durationInput) durationInput.value = duration;
+
+    const loopCheckbox = document.getElementById('designer-loop');
+    if (loopCheckbox) loopCheckbox.checked = design.loop;
+
+    const deleteFrameButton = document.getElementById('designer-delete-frame');
+    if (deleteFrameButton) deleteFrameButton.disabled = design.frames.length <= 1;
+
+    const previewButton = document.getElementById('designer-preview');
+    if (previewButton) {
+        const key = isPreviewing() ? 'designer.previewStop' : 'designer.preview';
+        previewButton.setAttribute('data-i18n', key);
+        previewButton.textContent = getTranslation(key);
+        previewButton.classList.toggle('selected', isPreviewing());
+    }
+
+    const savedSelect = document.getElementById('designer-saved-select');
+    if (savedSelect) {
+        savedSelect.innerHTML = '';
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = getTranslation('designer.savedNone');
+        savedSelect.appendChild(none);
+        Array.from(savedDesigns.keys()).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            savedSelect.appendChild(option);
+        });
+        savedSelect.value = savedDesigns.has(design.name) ? design.name : '';
+    }
+}
+
+/**
+ * Moves to another frame of the design.
+ * @param {number} index - Frame index, clamped to the existing frames.
+ */
+function selectFrame(index) {
+    frameIndex = Math.max(0, Math.min(design.frames.length - 1, index));
+    if (isPreviewing()) {
+        stopPreview();
+        return;
+    }
+    showFrame(design.frames[frameIndex]);
+    updateDesignerControls();
+}
+
+/**
+ * Saves the design in the browser and registers it as a `custom_` animation.
+ * @returns {Promise<void>}
+ */
+async function saveDesign() {
+    const name = getDesignName(design.label);
+    if (!name) {
+        showNotification(getTranslation('designer.nameRequired'), 'warning');
+        return;
+    }
+    design.name = name;
+
+    try {
+        // Store a copy: the design keeps being edited after saving
+        const stored = JSON.parse(JSON.stringify(design));
+        await saveLocalDesign(stored);
+        registerDesign(stored);
+        showNotification(getTranslation('designer.savedAs').replace('{name}', name), 'success', 5000);
+    } catch (error) {
+        console.error("[Designer] Unable to save the design:", error);
+        showNotification(getTranslation('designer.saveError'), 'error');
+    }
+    updateDesignerControls();
+}
+
+/**
+ * Deletes a saved design and removes it from the registry.
+ * @param {string} name - Registry name of the design.
+ * @returns {Promise<void>}
+ */
+async function deleteDesign(name) {
+    try {
+        await deleteLocalDesign(name);
+        delete animations[name];
+        savedDesigns.delete(name);
+    } catch (error) {
+        console.error("[Designer] Unable to delete the design:", error);
+    }
+    updateDesignerControls();
+}
+
+/**
+ * Registers the designs saved in previous sessions.
+ * @returns {Promise<void>}
+ */
+export async function loadSavedDesigns() {
+    try {
+        const designs = await listLocalDesigns();
+        designs.forEach(registerDesign);
+        console.log(`[Designer] ${designs.length} saved design(s) registered.`);
+    } catch (error) {
+        console.warn("[Designer] Saved designs unavailable:", error);
+    }
+    updateDesignerControls();
+}
+
+/**
+ * Turns the designer on or off. The project editor is turned off, as both use
+ * clicks on the web grid.
+ * @param {boolean} active - True to start designing.
+ */
+export function setDesignerActive(active) {
+    if (active && isEditorActive()) setEditorActive(false);
+    designerActive = active;
+    if (isPreviewing()) {
+        stopPreview();
+    } else {
+        showFrame(active ? design.frames[frameIndex] : null);
+    }
+    updateDesignerControls();
+    console.log(`[Designer] ${active ? 'Started' : 'Stopped'}.`);
+}
+
+/**
+ * Returns true while the designer is on.
+ * @returns {boolean}
+ */
+export function isDesignerActive() {
+    return designerActive;
+}
+
+/**
+ * Initializes the designer menu and the painting gestures on the web grid,
+ * then registers the saved designs.
+ * Only initializes once to prevent duplicate listeners.
+ */
+export function initializeDesignerControls() {
+    if (designerControlsInitialized) {
+        console.log("[Designer] Already initialized, skipping duplicate setup");
+        return;
+    }
+    designerControlsInitialized = true;
+
+    const bind = (id, event, handler) => {
+        const element = document.getElementById(id);
+        if (element) registerListener(element, event, handler);
+        return element;
+    };
+
+    bind('designer-toggle', 'click', () => setDesignerActive(!designerActive));
+    bind('designer-new', 'click', () => {
+        design = createDesign();
+        frameIndex = 0;
+        selectFrame(0);
+    });
+    bind('designer-name', 'input', function () {
+        design.label = this.value;
+    });
+    bind('designer-color', 'change', function () {
+        brush.color = this.value;
+    });
+    bind('designer-level', 'change', function () {
+        brush.level = this.value;
+    });
+
+    bind('designer-prev-frame', 'click', () => selectFrame(frameIndex - 1));
+    bind('designer-next-frame', 'click', () => selectFrame(frameIndex + 1));
+    bind('designer-add-frame', 'click', () => {
+        // The new frame starts as a copy of the current one, the usual way to animate
+        const current = design.frames[frameIndex];
+        design.frames.splice(frameIndex + 1, 0, { duration: current.duration, cells: current.cells.slice() });
+        selectFrame(frameIndex + 1);
+    });
+    bind('designer-delete-frame', 'click', () => {
+        if (design.frames.length <= 1) return;
+        design.frames.splice(frameIndex, 1);
+        selectFrame(frameIndex);
+    });
+    bind('designer-clear-frame', 'click', () => {
+        design.frames[frameIndex] = createFrame(design.frames[frameIndex].duration);
+        selectFrame(frameIndex);
+    });
+
+    syncInputSlider('designer-duration-slider', 'designer-duration-input', (value) => {
+        design.frames[frameIndex].duration = value;
+    }, MIN_FRAME_DURATION_MS, MAX_FRAME_DURATION_MS, false);
+
+    bind('designer-loop', 'change', function () {
+        design.loop = this.checked;
+    });
+    bind('designer-preview', 'click', () => {
+        if (isPreviewing()) {
+            stopPreview();
+        } else {
+            startPreview();
+        }
+    });
+    bind('designer-save', 'click', () => saveDesign());
+
+    bind('designer-load', 'click', () => {
+        const select = document.getElementById('designer-saved-select');
+        const saved = select && savedDesigns.get(select.value);
+        if (!saved) return;
+        design = JSON.parse(JSON.stringify(saved));
+        frameIndex = 0;
+        selectFrame(0);
+    });
+    bind('designer-delete', 'click', () => {
+        const select = document.getElementById('designer-saved-select');
+        if (select && select.value) deleteDesign(select.value);
+    });
+
+    const launchpad = document.getElementById('launchpad-grid');
+    if (launchpad) {
+        // Capture phase: while designing, pads are painted and never played
+        const handlePaint = (e) => {
+            if (!designerActive || isPreviewing()) return;
+            const pad = e.target.closest('.grid-item');
+            if (!pad || pad.dataset.index === undefined) return;
+            e.preventDefault();
+            e.stopPropagation();
+            // Only the first Launchpad is painted
+            const [x, y] = getPadCoordinates(parseInt(pad.dataset.index, 10));
+            if (x < DEVICE_COLS && y < DEVICE_ROWS) paintCell(y * DEVICE_COLS + x);
+        };
+        registerListener(launchpad, 'mousedown', handlePaint, { capture: true });
+        registerListener(launchpad, 'touchstart', handlePaint, { capture: true, passive: false });
+        // Dragging with the button held paints every pad crossed
+        registerListener(launchpad, 'mouseover', (e) => {
+            if ((e.buttons & 1) !== 0) handlePaint(e);
+        }, { capture: true });
+    }
+
+    updateDesignerControls();
+    loadSavedDesigns();
+}
@@ -2,12 +2,50 @@
  * ANIMATION ENGINE (animationEngine.js)
  * 
  * Contains the core logic for scheduling and fading lights.
+ *
+ * Animations draw on one Launchpad (coordinates 0-7): when the grid spans several
+ * devices (see gridLayout.js), they are drawn on the device of the pad that started
+ * them, offset by the grid coordinates of its top-left pad (see `drawOnDevice`).
  */
 
-import { setWebColor, webColorMap } from './webInterface.js';
+import { setWebColor, webColorMap, getWebColors } from './webInterface.js';
 import { setPhysicalColor, getLpColor, flushPhysicalColors } from './physicalInterface.js';
+import { DEVICE_COLS, DEVICE_ROWS } from './constants.js';
 
-export { setWebColor, webColorMap, setPhysicalColor, getLpColor, flushPhysicalColors };
+export { setWebColor, webColorMap, getWebColors, setPhysicalColor, getLpColor, flushPhysicalColors };
+
+/**
+ * Grid coordinates of the top-left pad of the device being drawn on,
+ * or null when drawing with grid coordinates.
+ */
+let drawOrigin = null;
+
+/**
+ * Gets the grid coordinates of the top-left pad of the device being drawn on.
+ * @returns {number[]|null} Null when drawing with grid coordinates.
+ */
+export function getDrawOrigin() {
+    return drawOrigin;
+}
+
+/**
+ * Runs a drawing function on one device: the coordinates given to the fader are
+ * offset by the origin, and the points outside the device are dropped.
+ * Delayed callbacks and animations started meanwhile keep drawing on that device.
+ * @param {number[]|null} origin - [x, y] grid coordinates of the device's top-left pad,
+ *   or null to draw with grid coordinates.
+ * @param {function(): *} draw - The drawing function.
+ * @returns {*} What the drawing function returns.
+ */
+export function drawOnDevice(origin, draw) {
+    const previous = drawOrigin;
+    drawOrigin = origin;
+    try {
+        return draw();
+    } finally {
+        drawOrigin = previous;
+    }
+}
 
 /**
  * Handles delayed callbacks without creating new object instances for every call.
@@ -21,9 +59,10 @@ export class AnimationScheduler {
 
     schedule(callback, delay) {
         // reuse an object from the pool if available, else create new
-        const task = this.pool.pop() || { callback: null, triggerTime: 0 };
+        const task = this.pool.pop() || { callback: null, triggerTime: 0, origin: null };
         task.callback = callback;
         task.triggerTime = performance.now() + delay;
+        task.origin = drawOrigin;
         this.tasks.push(task);
     }
 
@@ -35,11 +74,12 @@ export class AnimationScheduler {
             const task = this.tasks[i];
             if (now >= task.triggerTime) {
                 // Run callback
-                if (task.callback) task.callback();
+                if (task.callback) drawOnDevice(task.origin, task.callback);
 
                 // Reset and recycle task object
                 task.callback = null;
                 task.triggerTime = 0;
+                task.origin = null;
                 this.pool.push(task);
 
                 // Remove from active list (swap with last for O(1) removal, then pop)
@@ -65,12 +105,18 @@ export class FadeSystem {
 
     /**
      * Start a fade on a specific pad.
-     * @param {Object} p - The pad element (HTML Node) or [x, y] coordinates.
-     * @param {string} colorName - Color name key.
+     * @param {Object} p - The pad element (HTML Node) or [x, y] coordinates
+     *   (on the device being drawn on, see `drawOnDevice`).
+     * @param {string} colorName - Color name key, or an RGB color (`#RRGGBB`).
      * @param {number} duration - Total duration in ms.
-     * @param {string} mode - 'standard' or 'instant'.
+     * @param {string} mode - 'standard', 'instant', 'hold' or 'multi'.
+     * @param {Object} config - 'multi': `{ sequence }`, 'hold': `{ level }`.
      */
     add(p, colorName, duration, mode = 'standard', config = null) {
+        if (drawOrigin && Array.isArray(p)) {
+            if (p[0] < 0 || p[0] >= DEVICE_COLS || p[1] < 0 || p[1] >= DEVICE_ROWS) return;
+            p = [drawOrigin[0] + p[0], drawOrigin[1] + p[1]];
+        }
         const key = Array.isArray(p) ? `${p[0]},${p[1]}` : p;
 
         let state = this.activeFades.get(key);
@@ -106,15 +152,15 @@ export class FadeSystem {
 
                 if (elapsed < s1Time) {
                     const step = sequence[0];
-                    setWebColor(webColorMap[step.color][step.level], p);
+                    setWebColor(getWebColors(step.color)[step.level], p);
                     setPhysicalColor(getLpColor(step.color, step.level), p);
                 } else if (elapsed < s2Time) {
                     const step = sequence[1];
-                    setWebColor(webColorMap[step.color][step.level], p);
+                    setWebColor(getWebColors(step.color)[step.level], p);
                     setPhysicalColor(getLpColor(step.color, step.level), p);
                 } else if (elapsed < state.dur) {
                     const step = sequence[2];
-                    setWebColor(webColorMap[step.color][step.level], p);
+                    setWebColor(getWebColors(step.color)[step.level], p);
                     setPhysicalColor(getLpColor(step.color, step.level), p);
                 } else {
                     setWebColor('off', p);
@@ -131,13 +177,24 @@ export class FadeSystem {
                 continue;
             }
 
-            const webColors = webColorMap[state.color];
+            const webColors = getWebColors(state.color);
             if (!webColors) {
                 this._recycle(key, state);
                 continue;
             }
 
-            if (state.mode === 'instant') {
+            if (state.mode === 'hold') {
+                // Hold Mode: a fixed brightness level for the duration (used by LED timelines)
+                const level = (state.config && state.config.level) || 'full';
+                if (elapsed < state.dur) {
+                    setWebColor(webColors[level], p);
+                    setPhysicalColor(state.base?.[level] || state.base, p);
+                } else {
+                    setWebColor('off', p);
+                    setPhysicalColor(state.off, p);
+                    this._recycle(key, state);
+                }
+            } else if (state.mode === 'instant') {
                 // Instant Mode: Full -> Off (No fading, strictly for duration)
                 if (elapsed < state.dur) {
                     setWebColor(webColors.full, p);
@@ -177,7 +234,18 @@ export class FadeSystem {
     }
 }
 
+/**
+ * Set of the running state-based animations. Each animation remembers the device
+ * it was started on (`drawOrigin`), to draw there on every update.
+ */
+class AnimationSet extends Set {
+    add(anim) {
+        anim.drawOrigin = drawOrigin;
+        return super.add(anim);
+    }
+}
+
 // Instantiate Global Managers
 export const scheduler = new AnimationScheduler();
 export const fader = new FadeSystem();
-export const activeAnimations = new Set();
+export const activeAnimations = new AnimationSet();
@@ -11,12 +11,21 @@ import * as directional from './animations/directional.js';
 import * as special from './animations/special.js';
 import * as multi from './animations/multi.js';
 import * as characters from './animations/characters.js';
+import { activeAnimations, getDrawOrigin } from './animationEngine.js';
+import { LedTimelineAnimation } from './animationClasses.js';
 
 /**
  * Registry of available animations.
  */
 export const animations = {};
 
+const ANIMATION_MODULES = [basic, geometric, directional, special, multi, characters];
+
+/**
+ * RGB color suffix of an animation name, e.g. `fade_#FF8800`.
+ */
+const RGB_COLOR_SUFFIX = /_(#[0-9a-f]{6})$/i;
+
 /**
  * Populates the animations registry.
  */
@@ -24,10 +33,84 @@ export function createAnimationLibrary() {
     const colors = ['red', 'green', 'amber', 'yellow', 'orange'];
 
     // Register animations from modules
-    basic.register(animations, colors);
-    geometric.register(animations, colors);
-    directional.register(animations, colors);
-    special.register(animations, colors);
-    multi.register(animations, colors);
-    characters.register(animations, colors);
+    ANIMATION_MODULES.forEach(module => module.register(animations, colors));
+}
+
+/**
+ * Gets an animation of the registry. Animations in an RGB color (`fade_#FF8800`,
+ * `letter_a_#00FFCC`...) are registered the first time they are asked for, with
+ * every animation available in the named colors.
+ * @param {string} name - Name of the animation.
+ * @returns {object|null} The animation, or null if there is none with that name.
+ */
+export function getAnimation(name) {
+    if (animations[name]) return animations[name];
+
+    const match = RGB_COLOR_SUFFIX.exec(name);
+    if (!match) return null;
+
+    // Only the animations of that color are new: the others keep their state
+    const colorAnimations = {};
+    ANIMATION_MODULES.forEach(module => module.register(colorAnimations, [match[1]]));
+    Object.entries(colorAnimations).forEach(([animationName, animation]) => {
+        if (!animations[animationName]) animations[animationName] = { ...animation, projectOnly: true };
+    });
+    return animations[name] || null;
+}
+
+/**
+ * Registers a hand-made LED timeline as a named animation, usable from
+ * `page.lights` exactly like the built-in names.
+ * When several variants are given they play in turn, one per press.
+ * Looping timelines are momentary: they play while the pad is held.
+ * @param {string} name - Name of the animation in the registry.
+ * @param {object|object[]} timelines - `{ events, duration, loop }`, or an array of variants.
+ * @param {object} [options]
+ * @param {boolean} [options.projectOnly=true] - False for timelines meant to be reused by any
+ *   project (e.g. the designs of the animation designer).
+ * @param {boolean} [options.grid=true] - True if the event coordinates are grid coordinates,
+ *   spanning every Launchpad of the layout (see gridLayout.js); false to play the timeline
+ *   on the Launchpad of the pad, with coordinates 0-7.
+ */
+export function registerLedTimeline(name, timelines, { projectOnly = true, grid = true } = {}) {
+    const variants = Array.isArray(timelines) ? timelines : [timelines];
+    const isLooping = variants.some(timeline => timeline.loop);
+    const playing = new Map(); // "x,y" (and device origin) -> looping animation started by that pad
+    let nextVariant = 0;
+    const getPadKey = (x, y) => `${x},${y},${getDrawOrigin() || ''}`;
+
+    animations[name] = {
+        on: (x, y) => {
+            const anim = new LedTimelineAnimation(variants[nextVariant]);
+            nextVariant = (nextVariant + 1) % variants.length;
+
+            if (isLooping) {
+                const key = getPadKey(x, y);
+                if (playing.has(key)) playing.get(key).stop();
+                playing.set(key, anim);
+            }
+            activeAnimations.add(anim);
+        },
+        off: (x, y) => {
+            const key = getPadKey(x, y);
+            if (playing.has(key)) {
+                playing.get(key).stop();
+                playing.delete(key);
+            }
+        },
+        type: isLooping ? 'momentary' : 'fixed',
+        grid,
+        projectOnly
+    };
+}
+
+/**
+ * Removes every animation whose name starts with a prefix
+ * (e.g. the LED timelines registered by a previously imported project).
+ * @param {string} prefix - Name prefix.
+ */
+export function unregisterAnimations(prefix) {
+    Object.keys(animations).forEach(name => {
+        if (name.startsWith(prefix)) delete animations[name];
+    });
 }
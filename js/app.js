@@ -10,8 +10,14 @@ import { initMidi, isMidiConnected } from './midi.js';
 // Initialization and management functions from separate modules
 import { initializeVisualizerControls } from './visualizer-controls.js';
 import { initializeVideoControls } from './video.js';
+import { initializeRecorderControls } from './recorder.js';
+import { initializePracticeControls } from './practice.js';
+import { initializeEditorControls } from './projectEditor.js';
+import { initializeDesignerControls } from './animationDesigner.js';
+import { initializeFolderDrop } from './folderDrop.js';
+import { initializeControllerControls } from './midiLearn.js';
 import { loadProject, initializeProjectMenu, initializeBackgroundMenu } from './project.js';
-import { initializePersonalizeLaunchpadMenu, initializeLanguageControls, initializeModeMenu, getTranslation, bindStaticUIEvents } from './ui.js';
+import { initializePersonalizeLaunchpadMenu, initializeLanguageControls, initializeAudioMemoryControls, initializeModeMenu, getTranslation, bindStaticUIEvents } from './ui.js';
 import { initInteraction, changeSoundSet, changeMode } from './interaction.js';
 import { stopAnimationLoop, startAnimationLoop } from './lights.js';
 import { setVisualizer } from './visualizerManager.js';
@@ -27,7 +33,7 @@ import { initVisibilityManager, onVisibilityChange } from './visibilityManager.j
 
 export let currentProject = null;
 export let selectedProjectButton = null;
-export let projectSounds = [];
+export let projectSounds = []; // One URL per pad, followed by the extra layers of multisampled pads
 export let projectLights = [];
 export let currentPage = null; // Initialized as null to allow first "Page changed: 0" log
 export let activePageButton = null;
@@ -56,7 +62,7 @@ export function setActiveModeButton(b) { activeModeButton = b; }
  *   - mode: currentMode index
  * @example
  * const state = getProjectStateSnapshot();
- * const soundIndex = state.page * 64 + padIndex;
+ * const soundIndex = state.page * getGridPads() + padIndex; // see gridLayout.js
  * if (state.sounds[soundIndex]) {
  *   // Now we know that state.page and state.sounds were read at the same moment
  * }
@@ -165,6 +171,14 @@ document.addEventListener('DOMContentLoaded', async function () {
             console.error("Unable to initialize visualizer:", error);
         }
 
+        // The recorder taps the master output, so it also needs the AudioContext
+        initializeRecorderControls();
+        initializePracticeControls();
+        initializeEditorControls();
+        initializeDesignerControls();
+        initializeFolderDrop();
+        initializeControllerControls();
+
         const loadedProjects = await projectsDataPromise;
         if (!projectsData && loadedProjects) {
             projectsData = loadedProjects;
@@ -172,7 +186,7 @@ document.addEventListener('DOMContentLoaded', async function () {
 
         if (projectsData && projectsData.length > 0) {
             console.log("Loading initial project after interaction...");
-            const firstProjectButton = document.querySelector('#project-menu .menu-option');
+            const firstProjectButton = document.querySelector('#project-menu .menu-option[data-config-path]');
 
             // PARALLEL EXECUTION: loadProject() and initMidi() can run independently
             // This improves performance and ensures both systems initialize correctly
@@ -216,6 +230,7 @@ document.addEventListener('DOMContentLoaded', async function () {
 
     // --- 2. UI Controls Initialization ---
     initializeVideoControls();
+    initializeAudioMemoryControls();
     await initializeLanguageControls();
 
     // --- Handle Tab Visibility Changes ---
@@ -5,9 +5,12 @@
  * Structured as an `AudioEngine` class to maintain clean and organized state.
  * Responsibilities:
  * 1. Create and manage the audio context (`AudioContext`).
- * 2. Load audio files asynchronously and decode them into `AudioBuffer`.
+ * 2. Load audio files asynchronously and decode them into `AudioBuffer`, page by page,
+ *    within a memory budget for the decoded audio.
  * 3. Play sounds when requested with robust error handling.
- * 4. Provide an `AnalyserNode` for real-time audio analysis.
+ * 4. Route every sound through the master bus (effects + limiter, see masterBus.js).
+ * 5. Provide an `AnalyserNode` for real-time audio analysis of the final mix.
+ * 6. Record the final mix to a file (see recorder.js for the UI).
  */
 
 import { 
@@ -18,8 +21,21 @@ import {
     AUDIO_ERROR_TYPES
 } from './audioErrorHandler.js';
 import { showNotification } from './ui.js';
+import { validateSpriteSlices, getErrorSummary } from './projectValidator.js';
 import { registerListener } from './eventCleanup.js';
 import { onVisibilityChange } from './visibilityManager.js';
+import { transport } from './transport.js';
+import { MasterBus, effects } from './masterBus.js';
+import { getGridPads } from './gridLayout.js';
+import {
+    PAD_MODES,
+    DEFAULT_PAD_MODE,
+    PAD_RELEASE_FADE_MS,
+    SAMPLE_SELECT_MODES,
+    MAX_VELOCITY,
+    DEFAULT_AUDIO_MEMORY_BUDGET_MB,
+    AUDIO_NEIGHBOR_PAGES
+} from './constants.js';
 
 /**
  * Checks if the Web Audio API is supported in the current browser.
@@ -29,6 +45,11 @@ function isWebAudioSupported() {
     return typeof AudioContext !== 'undefined';
 }
 
+/**
+ * Containers tried in order for mix recordings.
+ */
+const RECORDING_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/webm', 'audio/ogg;codecs=opus', 'audio/mp4'];
+
 class AudioEngine {
     /**
      * Constructor initializes the audio engine.
@@ -39,15 +60,39 @@ class AudioEngine {
         // It is created in the `init()` method, which is called after a user gesture.
         this.audioContext = null;
         this.analyser = null;
+        this.masterBus = null;
+        this.effectHolds = new Map(); // Effect name -> number of pads/buttons holding it
         this.initError = null;
 
         // 2. SOUND BUFFERS
         // Decoded audio data (`AudioBuffer`) ready for playback.
+        // Pages are decoded lazily under a memory budget (see `loadSounds`): `soundBank`
+        // tracks the URLs, the loaded pages and their last use.
         this.soundBuffers = [];
+        this.soundBank = null;
+        this.memoryBudget = DEFAULT_AUDIO_MEMORY_BUDGET_MB * 1024 * 1024;
 
         // 3. ACTIVE SOURCES
-        // Map to keep track of currently playing source nodes by pad index.
+        // Map to keep track of currently playing voices by pad index.
+        // Each voice is `{ source, envelope, panner, startTime }`: the envelope is a GainNode
+        // holding the pad level, also used to fade the source out when it is
+        // stopped before its natural end; the panner places it in the stereo field.
         this.activeSources = new Map();
+
+        // 4. PAD OPTIONS
+        // Per-pad playback options (e.g. `{ mode: 'gate', chokeGroup: 'vocals', gain: 0.8 }`),
+        // indexed by pad (page * pads per page + pad, see gridLayout.js).
+        this.padOptions = [];
+
+        // 5. ROUND-ROBIN STATE
+        // Next layer to play for each multisampled pad using the round-robin strategy.
+        this.roundRobinCursors = new Map();
+
+        // 6. MIX RECORDER
+        // MediaRecorder capturing the final mix while a performance is being recorded.
+        this.mediaRecorder = null;
+        this.recordingDestination = null;
+        this.recordedChunks = [];
     }
 
     /**
@@ -76,10 +121,16 @@ class AudioEngine {
             this.analyser.fftSize = 512;
             this.analyser.smoothingTimeConstant = 0.8;
 
-            // 3. AUDIO GRAPH CONNECTION
+            // 3. MASTER BUS CREATION
+            this.masterBus = new MasterBus(this.audioContext);
+
+            // 4. AUDIO GRAPH CONNECTION
+            // The analyser sits after the master bus so the visualizer sees the post-FX mix:
+            // [Voices] -> [Master Bus] -> [Analyser] -> [Destination (Speakers)]
+            this.masterBus.connect(this.analyser);
             this.analyser.connect(this.audioContext.destination);
 
-            // 4. RESUME CONTEXT ON VISIBILITY CHANGE
+            // 5. RESUME CONTEXT ON VISIBILITY CHANGE
             onVisibilityChange((isVisible) => {
                 if (isVisible && this.audioContext && this.audioContext.state === 'suspended') {
                     this.audioContext.resume().then(() => {
@@ -118,9 +169,11 @@ class AudioEngine {
      * @param {string|null} url - The URL of the audio file to load.
      * @param {number} index - The index to store the audio buffer in the `soundBuffers` array.
      * @param {boolean} notifyUser - Whether to show error notification to user (default: false for batch operations)
+     * @param {AbortSignal|null} signal - Aborts the download (e.g. when another project is requested).
+     *   An aborted sound is neither stored nor counted as a failure.
      * @returns {Promise<AudioBuffer|null>} The decoded buffer or null on failure
      */
-    async loadSound(url, index, notifyUser = false) {
+    async loadSound(url, index, notifyUser = false, signal = null) {
         // If URL is null or undefined (for empty pads), store `null` and exit.
         if (!url) {
             this.soundBuffers[index] = null;
@@ -138,6 +191,7 @@ class AudioEngine {
         audioLoadingTracker.markPending(url);
 
         const handleLoadError = (errorType, errorObj) => {
+            if (signal && signal.aborted) return null; // Cancelled, not failed
             const errorInfo = getErrorMessage(errorType, url);
             console.error(`[AUDIO] Error (${errorType}) loading sound ${url}:`, errorObj);
             audioLoadingTracker.markFailure(url, errorType, errorObj);
@@ -152,7 +206,7 @@ class AudioEngine {
             // `fetch` downloads the audio file as raw data.
             let response;
             try {
-                response = await fetch(url);
+                response = await fetch(url, { signal });
             } catch (fetchError) {
                 return handleLoadError(AUDIO_ERROR_TYPES.NETWORK_ERROR, fetchError);
             }
@@ -184,6 +238,9 @@ class AudioEngine {
                 return handleLoadError(AUDIO_ERROR_TYPES.CORRUPTED_FILE, new Error(validation.error));
             }
 
+            // A cancelled load must not write into the buffers of the next project
+            if (signal && signal.aborted) return null;
+
             // Store the decoded buffer in the array at the correct position.
             this.soundBuffers[index] = audioBuffer;
             audioLoadingTracker.markSuccess(url);
@@ -196,73 +253,416 @@ class AudioEngine {
     }
 
     /**
-     * Loads an entire array of sound URLs in batches to avoid saturating connections.
+     * Loads the sounds of a project. Only the first page and its neighbors are decoded
+     * before this resolves; the other pages follow in the background, nearest to the
+     * current page first, as long as the memory budget allows (see `setMemoryBudget`).
+     * Call `setPadOptions` first: the buffers of a page are its pads and the extra
+     * layers they reference.
      * @param {string[]} soundUrls - An array of URLs to load.
-     * @param {function} onProgress - Optional callback for loading progress (loadedCount, totalCount).
+     * @param {function} onProgress - Optional callback for loading progress (loadedCount, totalCount),
+     *   counting the sounds decoded before this resolves.
+     * @param {AbortSignal|null} signal - Cancels the loading: pending downloads are aborted
+     *   and the buffers loaded so far are discarded.
      * @returns {Promise<object>} Loading summary with success/failure stats
+     * @throws {DOMException} An 'AbortError' if the loading was cancelled.
      */
-    async loadSounds(soundUrls, onProgress = null) {
+    async loadSounds(soundUrls, onProgress = null, signal = null) {
+        this.stopAllSounds(); // Looping pads would otherwise keep playing the old project.
+        if (this.masterBus) this.masterBus.reset(); // Don't carry held effects into the new project.
+        this.effectHolds.clear();
+        if (this.soundBank) this.soundBank.controller.abort(); // Stop the background loading of the previous project
         this.soundBuffers = []; // Clear previous project buffers.
         audioLoadingTracker.reset(); // Reset loading tracker for new project
-        
-        const total = soundUrls.length;
-        const BATCH_SIZE = 10; // Load 10 sounds at a time
 
-        let successCount = 0;
-        let failureCount = 0;
+        const controller = new AbortController();
+        if (signal) signal.addEventListener('abort', () => controller.abort(), { once: true });
+        const bank = {
+            urls: soundUrls,
+            pages: this.getBufferIndicesByPage(soundUrls.length), // page -> buffer indices
+            loadedPages: new Set(),
+            pendingPages: new Map(), // page -> Promise of its loading
+            pendingBuffers: new Map(), // buffer index -> Promise of its loading
+            checkedSprites: new Set(), // buffer indices whose slices were checked (once, not after each eviction)
+            lastUsed: new Map(), // page -> use counter, for LRU eviction
+            useCounter: 0,
+            currentPage: 0,
+            controller,
+            backgroundRunning: false
+        };
+        this.soundBank = bank;
+
+        const priorityPages = this.getPagesAround(0);
+        const total = priorityPages.reduce((count, page) => count + bank.pages[page].length, 0);
+        let loadedCount = 0;
 
         try {
-            for (let i = 0; i < total; i += BATCH_SIZE) {
-                const batch = soundUrls.slice(i, i + BATCH_SIZE);
-                const batchPromises = batch.map((url, index) => 
-                    this.loadSound(url, i + index, false) // Don't notify for each sound in batch
-                        .then(() => {
-                            successCount++;
-                        })
-                        .catch((error) => {
-                            failureCount++;
-                            console.error(`[AUDIO] Batch load error for index ${i + index}:`, error);
-                        })
-                );
-
-                // Wait for batch to complete, but don't let one failure stop the whole batch
-                await Promise.allSettled(batchPromises);
-
-                if (onProgress) {
-                    const loadedCount = Math.min(i + BATCH_SIZE, total);
-                    onProgress(loadedCount, total);
-                }
+            for (const page of priorityPages) {
+                await this.loadPage(page, (pageCount) => {
+                    if (onProgress) onProgress(loadedCount + pageCount, total);
+                });
+                loadedCount += bank.pages[page].length;
             }
+        } catch (error) {
+            if (error.name === 'AbortError' && this.soundBank === bank) {
+                // Every sound of the last batch has settled: nothing writes to the buffers any more
+                this.soundBuffers = [];
+                audioLoadingTracker.reset();
+                console.log("[AUDIO] Sound loading cancelled, partial buffers discarded.");
+            } else if (error.name !== 'AbortError') {
+                console.error('[AUDIO] Critical error during batch loading:', error);
+            }
+            throw error;
+        }
 
-            const stats = audioLoadingTracker.getFailureStats();
-            console.log(`[AUDIO] Project sounds loaded. Success: ${stats.successful}, Failed: ${stats.failed}`);
+        this.touchPage(0);
+        const stats = audioLoadingTracker.getFailureStats();
+        console.log(`[AUDIO] First pages loaded (${priorityPages.length} of ${bank.pages.length}). Success: ${stats.successful}, Failed: ${stats.failed}`);
 
-            // Notify user if there were failures
-            if (stats.failed > 0) {
-                const failureMessage = `${stats.failed} audio file(s) failed to load. They will be silent.`;
-                showNotification(failureMessage, 'warning');
-                console.warn(`[AUDIO] Failed files:`, stats.failureDetails);
-            }
+        // Notify user if there were failures
+        if (stats.failed > 0) {
+            const failureMessage = `${stats.failed} audio file(s) failed to load. They will be silent.`;
+            showNotification(failureMessage, 'warning');
+            console.warn(`[AUDIO] Failed files:`, stats.failureDetails);
+        }
 
-            return {
-                total,
-                successful: stats.successful,
-                failed: stats.failed,
-                failureDetails: stats.failureDetails
-            };
+        this.loadRemainingPages(bank);
+
+        return {
+            total,
+            successful: stats.successful,
+            failed: stats.failed,
+            failureDetails: stats.failureDetails
+        };
+    }
+
+    /**
+     * Groups the buffer indices by page: pad `i` belongs to page `floor(i / pads per page)`, and
+     * so do the extra layers listed in its `padOptions`. An audio sprite used on
+     * several pages belongs to each of them.
+     * @param {number} total - Number of buffers.
+     * @returns {number[][]} Buffer indices of each page.
+     */
+    getBufferIndicesByPage(total) {
+        const padCount = this.padOptions.length > 0 ? Math.min(this.padOptions.length, total) : total;
+        const pagePads = getGridPads();
+        const pages = [];
+        for (let padIndex = 0; padIndex < padCount; padIndex++) {
+            const page = Math.floor(padIndex / pagePads);
+            if (!pages[page]) pages[page] = new Set();
+            pages[page].add(padIndex);
+
+            const options = this.padOptions[padIndex];
+            (options && options.layers || []).forEach(layer => pages[page].add(layer.bufferIndex));
+        }
+        return pages.map(indices => Array.from(indices));
+    }
+
+    /**
+     * Lists a page and its neighbors (`AUDIO_NEIGHBOR_PAGES` on each side), the page first.
+     * @param {number} page - The page.
+     * @returns {number[]} Existing pages of the current project.
+     */
+    getPagesAround(page) {
+        const pageCount = this.soundBank ? this.soundBank.pages.length : 0;
+        const pages = [page];
+        for (let distance = 1; distance <= AUDIO_NEIGHBOR_PAGES; distance++) {
+            pages.push(page - distance, page + distance);
+        }
+        return pages.filter(p => p >= 0 && p < pageCount);
+    }
+
+    /**
+     * Decodes the buffers of a page, once: concurrent requests share the same loading.
+     * @param {number} page - The page.
+     * @param {function} onProgress - Optional callback (loaded sounds of the page).
+     * @returns {Promise<void>}
+     * @throws {DOMException} An 'AbortError' if the project was replaced meanwhile.
+     */
+    loadPage(page, onProgress = null) {
+        const bank = this.soundBank;
+        if (!bank || !bank.pages[page] || bank.loadedPages.has(page)) return Promise.resolve();
+
+        if (!bank.pendingPages.has(page)) {
+            const indices = bank.pages[page];
+            const loading = (async () => {
+                try {
+                    const BATCH_SIZE = 10; // Load 10 sounds at a time
+                    for (let i = 0; i < indices.length; i += BATCH_SIZE) {
+                        // Don't notify for each sound in batch; one failure doesn't stop the batch
+                        await Promise.allSettled(indices.slice(i, i + BATCH_SIZE).map(index => this.loadBuffer(bank, index)));
+                        bank.controller.signal.throwIfAborted();
+                        if (onProgress) onProgress(Math.min(i + BATCH_SIZE, indices.length));
+                    }
+                    bank.loadedPages.add(page);
+                } finally {
+                    bank.pendingPages.delete(page);
+                }
+            })();
+            bank.pendingPages.set(page, loading);
+        }
+        return bank.pendingPages.get(page);
+    }
+
+    /**
+     * Decodes one buffer of the sound bank, once: a sprite shared by several pages is
+     * already decoded (or being decoded) when the next page asks for it.
+     * @param {object} bank - The sound bank of the project.
+     * @param {number} index - The buffer index.
+     * @returns {Promise<void>}
+     */
+    loadBuffer(bank, index) {
+        if (this.soundBuffers[index]) return Promise.resolve();
+        if (!bank.pendingBuffers.has(index)) {
+            const loading = this.loadSound(bank.urls[index], index, false, bank.controller.signal)
+                .then(buffer => {
+                    if (buffer) this.checkSpriteSlices(index, buffer);
+                })
+                .finally(() => bank.pendingBuffers.delete(index));
+            bank.pendingBuffers.set(index, loading);
+        }
+        return bank.pendingBuffers.get(index);
+    }
+
+    /**
+     * Checks the slices played from a decoded buffer against its duration: a slice
+     * past the end of the audio sprite would play truncated or not at all.
+     * @param {number} index - The buffer index.
+     * @param {AudioBuffer} buffer - The decoded buffer.
+     */
+    checkSpriteSlices(index, buffer) {
+        const bank = this.soundBank;
+        if (bank.checkedSprites.has(index)) return;
+        bank.checkedSprites.add(index);
 
+        const slices = [];
+        this.padOptions.forEach((options, padIndex) => {
+            (options && options.layers || []).forEach(layer => {
+                if (layer.bufferIndex === index && layer.end !== undefined) {
+                    const label = `Page ${Math.floor(padIndex / getGridPads()) + 1}, Pad ${padIndex % getGridPads()}`;
+                    slices.push({ label, start: layer.start, end: layer.end });
+                }
+            });
+        });
+        if (slices.length === 0) return;
+
+        const validation = validateSpriteSlices(slices, buffer.duration);
+        if (!validation.isValid) {
+            console.warn(`[AUDIO] Audio sprite ${bank.urls[index]}:`, validation.errors);
+            showNotification(`Audio sprite: ${getErrorSummary(validation.errors)}`, 'warning');
+        }
+    }
+
+    /**
+     * Marks a page as just used, for the LRU eviction.
+     * @param {number} page - The page.
+     */
+    touchPage(page) {
+        if (!this.soundBank) return;
+        this.soundBank.lastUsed.set(page, ++this.soundBank.useCounter);
+    }
+
+    /**
+     * Makes a page the current one: it is decoded first if it was evicted or not loaded
+     * yet, then its neighbors, and they become the last pages to be evicted.
+     * Called on page changes (see `changeSoundSet`).
+     * @param {number} page - The page.
+     * @returns {Promise<void>} Resolves when the page and its neighbors are decoded.
+     */
+    async prioritizePage(page) {
+        const bank = this.soundBank;
+        if (!bank || !bank.pages[page]) return;
+
+        bank.currentPage = page;
+        this.touchPage(page);
+        const [current, ...neighbors] = this.getPagesAround(page);
+        try {
+            await this.loadPage(current);
+            await Promise.all(neighbors.map(neighbor => this.loadPage(neighbor)));
         } catch (error) {
-            console.error('[AUDIO] Critical error during batch loading:', error);
-            throw error;
+            if (error.name !== 'AbortError') console.error(`[AUDIO] Error loading page ${page}:`, error);
+            return;
+        }
+
+        this.enforceMemoryBudget();
+        this.loadRemainingPages(bank); // Continue from the pages near the new current page
+    }
+
+    /**
+     * Decodes the pages not loaded yet in the background, nearest to the current page
+     * first, until every page is loaded or the memory budget is reached.
+     * @param {object} bank - The sound bank of the project.
+     * @returns {Promise<void>}
+     */
+    async loadRemainingPages(bank) {
+        if (bank.backgroundRunning) return;
+        bank.backgroundRunning = true;
+        const visited = new Set(); // An evicted page is not loaded again by the same run
+
+        try {
+            while (this.soundBank === bank) {
+                const next = bank.pages
+                    .map((indices, page) => page)
+                    .filter(page => !bank.loadedPages.has(page) && !visited.has(page))
+                    .sort((a, b) => Math.abs(a - bank.currentPage) - Math.abs(b - bank.currentPage))[0];
+                if (next === undefined) break;
+
+                // Stop when one more page of average size would not fit, rather than
+                // decoding it only to evict a page right away
+                const used = this.getDecodedMemory();
+                const averagePageSize = bank.loadedPages.size > 0 ? used / bank.loadedPages.size : 0;
+                if (used + averagePageSize > this.memoryBudget) {
+                    console.log("[AUDIO] Memory budget reached, other pages will load on demand.");
+                    break;
+                }
+
+                visited.add(next);
+                await this.loadPage(next);
+                this.enforceMemoryBudget();
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') console.error('[AUDIO] Background loading error:', error);
+        } finally {
+            bank.backgroundRunning = false;
+        }
+    }
+
+    /**
+     * Gets the memory used by the decoded buffers (32-bit float samples).
+     * @returns {number} Bytes.
+     */
+    getDecodedMemory() {
+        return this.soundBuffers.reduce((total, buffer) =>
+            total + (buffer ? buffer.length * buffer.numberOfChannels * 4 : 0), 0);
+    }
+
+    /**
+     * Evicts pages until the decoded audio fits the memory budget: least recently used
+     * first (pages never played go first, the farthest first). The current page and its
+     * neighbors are never evicted.
+     */
+    enforceMemoryBudget() {
+        const bank = this.soundBank;
+        if (!bank) return;
+
+        const keep = new Set(this.getPagesAround(bank.currentPage));
+        let used = this.getDecodedMemory();
+        while (used > this.memoryBudget) {
+            const candidates = Array.from(bank.loadedPages).filter(page => !keep.has(page));
+            if (candidates.length === 0) break;
+
+            candidates.sort((a, b) => ((bank.lastUsed.get(a) || 0) - (bank.lastUsed.get(b) || 0))
+                || (Math.abs(b - bank.currentPage) - Math.abs(a - bank.currentPage)));
+            const page = candidates[0];
+            bank.loadedPages.delete(page);
+            let freed = 0;
+            bank.pages[page].forEach(index => {
+                // A sprite shared with a page still loaded stays
+                if (Array.from(bank.loadedPages).some(other => bank.pages[other].includes(index))) return;
+                const buffer = this.soundBuffers[index];
+                if (buffer) freed += buffer.length * buffer.numberOfChannels * 4;
+                this.soundBuffers[index] = null; // Voices still playing keep their own reference
+            });
+            used -= freed;
+            console.log(`[AUDIO] Page ${page} evicted (${(freed / (1024 * 1024)).toFixed(1)} MB freed).`);
+        }
+    }
+
+    /**
+     * Sets the memory budget for decoded audio, evicting pages or resuming the
+     * background loading to match it.
+     * @param {number} megabytes - The budget, in MB.
+     */
+    setMemoryBudget(megabytes) {
+        this.memoryBudget = megabytes * 1024 * 1024;
+        console.log(`[AUDIO] Decoded audio memory budget: ${megabytes} MB`);
+        if (!this.soundBank) return;
+        this.enforceMemoryBudget();
+        this.loadRemainingPages(this.soundBank); // A larger budget leaves room for more pages
+    }
+
+    /**
+     * Sets the playback options for every pad of the current project.
+     * @param {object[]} options - Array indexed by pad, each entry
+     *   `{ mode, chokeGroup, gain, pan, playbackRate, layers, select, fx }` or null.
+     *   `layers` lists `{ bufferIndex, velocity }` entries pointing into `soundBuffers`;
+     *   a slice of an audio sprite adds its `start` and `end` in the buffer (seconds).
+     */
+    setPadOptions(options) {
+        this.padOptions = Array.isArray(options) ? options : [];
+        this.roundRobinCursors.clear();
+    }
+
+    /**
+     * Chooses the sample layer to play for a pad according to its selection strategy.
+     * Pads without layers play the buffer stored at their own index.
+     * @param {number} padIndex - The index of the pad.
+     * @param {number} velocity - Hit velocity (0-127).
+     * @returns {{buffer: AudioBuffer, start: number, end: number|undefined}|null} The buffer
+     *   to play and the part of it to play (`end` undefined: up to its end), or null if none is loaded.
+     */
+    selectPadSample(padIndex, velocity = MAX_VELOCITY) {
+        const options = this.padOptions[padIndex];
+        const layers = options && options.layers;
+
+        let layer;
+        if (!layers || layers.length === 0) {
+            layer = { bufferIndex: padIndex };
+        } else if (layers.length === 1) {
+            layer = layers[0];
+        } else if (options.select === SAMPLE_SELECT_MODES.RANDOM) {
+            layer = layers[Math.floor(Math.random() * layers.length)];
+        } else if (options.select === SAMPLE_SELECT_MODES.VELOCITY) {
+            // Layers without a range match any velocity; the first match wins
+            layer = layers.find(l => !l.velocity || (velocity >= l.velocity[0] && velocity <= l.velocity[1]))
+                || layers[layers.length - 1];
+        } else {
+            const cursor = this.roundRobinCursors.get(padIndex) || 0;
+            layer = layers[cursor % layers.length];
+            this.roundRobinCursors.set(padIndex, (cursor + 1) % layers.length);
         }
+
+        const buffer = this.soundBuffers[layer.bufferIndex];
+        return buffer ? { buffer, start: layer.start || 0, end: layer.end } : null;
+    }
+
+    /**
+     * Gets the playback mode of a pad.
+     * @param {number} padIndex - The index of the pad.
+     * @returns {string} One of PAD_MODES.
+     */
+    getPadMode(padIndex) {
+        const options = this.padOptions[padIndex];
+        return (options && options.mode) || DEFAULT_PAD_MODE;
+    }
+
+    /**
+     * Gets the master effect bound to a pad (`"fx"` in the pad object), if any.
+     * @param {number} padIndex - The index of the pad.
+     * @returns {string|null} Effect name from the `effects` registry.
+     */
+    getPadEffect(padIndex) {
+        const options = this.padOptions[padIndex];
+        return (options && options.fx) || null;
     }
 
     /**
-     * Plays the sound associated with a specific pad.
+     * Returns true if a sound is currently playing for the pad.
+     * @param {number} padIndex - The index of the pad.
+     * @returns {boolean}
+     */
+    isPadPlaying(padIndex) {
+        return this.activeSources.has(padIndex);
+    }
+
+    /**
+     * Plays the sound associated with a specific pad, honoring its playback mode.
+     * Looping modes (loop, toggle) repeat the sample until stopped.
      * @param {number} padIndex - The index of the pad (0-63) to play.
+     * @param {number} velocity - Hit velocity (0-127), used to pick velocity layers.
+     * @param {number} when - AudioContext time to start at (see `getNextLaunchTime`), 0 for now.
      * @returns {number} Duration of the sound in seconds, or 0 if no sound was played.
      */
-    playPadSound(padIndex) {
+    playPadSound(padIndex, velocity = MAX_VELOCITY, when = 0) {
         try {
             // Ensure AudioContext exists
             if (!this.audioContext) {
@@ -277,35 +677,46 @@ class AudioEngine {
                 });
             }
 
-            // Check if an audio buffer exists for the specified pad.
-            if (!this.soundBuffers[padIndex]) {
+            // Check if an audio buffer exists for the specified pad (and velocity).
+            const sample = this.selectPadSample(padIndex, velocity);
+            if (!sample) {
+                // The page may have been evicted: bring it back for the next hit
+                const page = Math.floor(padIndex / getGridPads());
+                if (this.soundBank && !this.soundBank.loadedPages.has(page)) this.prioritizePage(page);
                 return 0;
             }
 
             // Validate the buffer before attempting playback
-            const validation = validateAudioBuffer(this.soundBuffers[padIndex]);
+            const { buffer, start } = sample;
+            const validation = validateAudioBuffer(buffer);
             if (!validation.isValid) {
                 console.warn(`[AUDIO] Invalid audio buffer for pad ${padIndex}: ${validation.error}`);
                 return 0;
             }
 
+            const startTime = Math.max(when, this.audioContext.currentTime);
+
             // STOP PREVIOUS SOUND (RESTART LOGIC)
-            // If a sound is already playing for this pad, stop it before starting a new one.
-            if (this.activeSources.has(padIndex)) {
-                try {
-                    const oldSource = this.activeSources.get(padIndex);
-                    oldSource.stop();
-                } catch (e) {
-                    // Ignore errors if the source has already finished or hasn't started
-                    console.log(`[AUDIO] Could not stop previous source for pad ${padIndex}:`, e);
-                }
-                this.activeSources.delete(padIndex);
-            }
+            // If a sound is already playing for this pad, fade it out when the new one starts.
+            this.stopPadSound(padIndex, PAD_RELEASE_FADE_MS, startTime);
 
-            // Create a new `AudioBufferSourceNode` for playback.
+            // CHOKE GROUP: starting this pad silences every other pad of its group
+            this.chokePadGroup(padIndex, startTime);
+
+            const mode = this.getPadMode(padIndex);
+            const options = this.padOptions[padIndex] || {};
+            const gain = options.gain ?? 1;
+            const pan = options.pan ?? 0;
+            const playbackRate = options.playbackRate ?? 1;
+
+            // Create a new `AudioBufferSourceNode` and its per-pad chain for playback.
             let source;
+            let envelope;
+            let panner;
             try {
                 source = this.audioContext.createBufferSource();
+                envelope = this.audioContext.createGain();
+                panner = this.audioContext.createStereoPanner();
             } catch (error) {
                 console.error('[AUDIO] Failed to create buffer source:', error);
                 return 0;
@@ -313,21 +724,34 @@ class AudioEngine {
 
             try {
                 // Connect the audio buffer to the source node.
-                source.buffer = this.soundBuffers[padIndex];
-                
-                // Connect the source node to the analyser only.
-                // The analyser is already connected to the destination in the constructor:
-                // [Source] -> [Analyser] -> [Destination (Speakers)]
-                source.connect(this.analyser);
+                source.buffer = buffer;
+                source.loop = (mode === PAD_MODES.LOOP || mode === PAD_MODES.TOGGLE);
+                source.playbackRate.value = playbackRate;
+                envelope.gain.value = gain;
+                panner.pan.value = pan;
+
+                // Connect the source node to the master bus through the pad chain.
+                // The master bus is already connected to the analyser in init():
+                // [Source] -> [Envelope (gain)] -> [Panner] -> [Master Bus] -> [Analyser] -> [Destination]
+                source.connect(envelope);
+                envelope.connect(panner);
+                panner.connect(this.masterBus.input);
 
-                // Store the source node to manage its lifecycle
-                this.activeSources.set(padIndex, source);
+                // Store the voice to manage its lifecycle
+                const voice = { source, envelope, panner, startTime };
+                this.activeSources.set(padIndex, voice);
 
-                // Clean up the source from activeSources once it finished naturally
+                // Clean up the voice once it finished (naturally or after a stop)
                 source.onended = () => {
-                    if (this.activeSources.get(padIndex) === source) {
+                    if (this.activeSources.get(padIndex) === voice) {
                         this.activeSources.delete(padIndex);
                     }
+                    try {
+                        envelope.disconnect();
+                        panner.disconnect();
+                    } catch (e) {
+                        // Ignore disconnect errors
+                    }
                 };
 
                 // Error handler for playback issues
@@ -336,15 +760,29 @@ class AudioEngine {
                     this.activeSources.delete(padIndex);
                 };
 
-                // Start playback immediately.
-                source.start();
-                return source.buffer.duration;
+                // Start playback now or on the scheduled grid boundary.
+                // A slice of an audio sprite plays (or loops) only its part of the buffer.
+                const end = Math.min(sample.end ?? buffer.duration, buffer.duration);
+                const duration = Math.max(0, end - start);
+                if (sample.end === undefined) {
+                    source.start(startTime);
+                } else if (source.loop) {
+                    source.loopStart = start;
+                    source.loopEnd = end;
+                    source.start(startTime, start);
+                } else {
+                    source.start(startTime, start, duration);
+                }
+                // Pitch changes also change how long the sample lasts
+                return duration / playbackRate;
 
             } catch (error) {
                 console.error(`[AUDIO] Error during playback setup for pad ${padIndex}:`, error);
                 this.activeSources.delete(padIndex);
                 try {
                     source.disconnect();
+                    envelope.disconnect();
+                    panner.disconnect();
                 } catch (e) {
                     // Ignore disconnect errors
                 }
@@ -357,6 +795,215 @@ class AudioEngine {
         }
     }
 
+    /**
+     * Returns the AudioContext time at which a pad pressed now should start,
+     * following the project tempo and launch quantization.
+     * @returns {number} Start time in seconds, 0 if the audio engine is not initialized.
+     */
+    getNextLaunchTime() {
+        if (!this.audioContext) return 0;
+        return transport.getNextLaunchTime(this.audioContext.currentTime);
+    }
+
+    /**
+     * Converts an AudioContext time into a delay from now.
+     * @param {number} when - AudioContext time in seconds.
+     * @returns {number} Delay in milliseconds (0 if the time has already passed).
+     */
+    getDelayUntil(when) {
+        if (!this.audioContext) return 0;
+        return Math.max(0, (when - this.audioContext.currentTime) * 1000);
+    }
+
+    /**
+     * Stops the sound playing on a pad with a short fade-out to avoid clicks.
+     * @param {number} padIndex - The index of the pad.
+     * @param {number} fadeMs - Fade-out duration in milliseconds.
+     * @param {number} at - AudioContext time at which the fade starts (default: now).
+     * @returns {boolean} True if a sound was playing and has been stopped.
+     */
+    stopPadSound(padIndex, fadeMs = PAD_RELEASE_FADE_MS, at = 0) {
+        const voice = this.activeSources.get(padIndex);
+        if (!voice) return false;
+
+        this.activeSources.delete(padIndex);
+
+        try {
+            const fadeStart = Math.max(at, this.audioContext.currentTime);
+
+            // A quantized launch that hasn't started yet is simply cancelled
+            if (voice.startTime >= fadeStart && voice.startTime > this.audioContext.currentTime) {
+                voice.source.stop(voice.startTime);
+                return true;
+            }
+
+            const stopTime = fadeStart + fadeMs / 1000;
+            const gain = voice.envelope.gain;
+
+            // Ramp from the current value so a voice that is already fading doesn't jump
+            gain.cancelScheduledValues(fadeStart);
+            gain.setValueAtTime(gain.value, fadeStart);
+            gain.linearRampToValueAtTime(0, stopTime);
+            voice.source.stop(stopTime);
+        } catch (e) {
+            // Ignore errors if the source has already finished or hasn't started
+            console.log(`[AUDIO] Could not stop source for pad ${padIndex}:`, e);
+        }
+        return true;
+    }
+
+    /**
+     * Stops every active sound that shares the choke group of a pad.
+     * Groups are project-wide, so pads on other pages are choked as well.
+     * @param {number} padIndex - The index of the pad being triggered.
+     * @param {number} at - AudioContext time at which the triggering pad starts (default: now).
+     * @returns {number} Number of sounds that were stopped.
+     */
+    chokePadGroup(padIndex, at = 0) {
+        const options = this.padOptions[padIndex];
+        const group = options && options.chokeGroup;
+        if (!group) return 0;
+
+        let choked = 0;
+        for (const otherIndex of Array.from(this.activeSources.keys())) {
+            if (otherIndex === padIndex) continue;
+            const otherOptions = this.padOptions[otherIndex];
+            if (otherOptions && otherOptions.chokeGroup === group) {
+                this.stopPadSound(otherIndex, PAD_RELEASE_FADE_MS, at);
+                choked++;
+            }
+        }
+        return choked;
+    }
+
+    /**
+     * Stops every sound that is currently playing.
+     * @param {number} fadeMs - Fade-out duration in milliseconds.
+     */
+    stopAllSounds(fadeMs = PAD_RELEASE_FADE_MS) {
+        for (const padIndex of Array.from(this.activeSources.keys())) {
+            this.stopPadSound(padIndex, fadeMs);
+        }
+    }
+
+    /**
+     * Handles the release of a pad according to its playback mode.
+     * Gate and loop pads stop when released; one-shot and toggle pads keep playing.
+     * @param {number} padIndex - The index of the pad.
+     * @returns {boolean} True if the release stopped a sound.
+     */
+    releasePadSound(padIndex) {
+        const mode = this.getPadMode(padIndex);
+        if (mode === PAD_MODES.GATE || mode === PAD_MODES.LOOP) {
+            return this.stopPadSound(padIndex);
+        }
+        return false;
+    }
+
+    /**
+     * Gets the master bus, to drive its effects directly.
+     * @returns {MasterBus|null} The master bus, or null before `init()`.
+     */
+    getMasterBus() {
+        return this.masterBus;
+    }
+
+    /**
+     * Engages or releases a named effect from the `effects` registry (masterBus.js).
+     * Several pads and buttons may hold the same effect: it is released with the last one.
+     * @param {string} name - Effect name (e.g. 'filter_lowpass', 'delay_1/8').
+     * @param {boolean} active - True on press, false on release.
+     * @returns {boolean} True if the effect exists and was applied.
+     */
+    setEffectActive(name, active) {
+        const effect = effects[name];
+        if (!effect || !this.masterBus) return false;
+
+        const holds = this.effectHolds.get(name) || 0;
+        if (active) {
+            this.effectHolds.set(name, holds + 1);
+            if (holds === 0) effect.on(this.masterBus);
+        } else {
+            // A release without press (e.g. pressed before the project loaded) still switches it off
+            if (holds > 1) {
+                this.effectHolds.set(name, holds - 1);
+                return true;
+            }
+            this.effectHolds.delete(name);
+            if (effect.off) effect.off(this.masterBus);
+        }
+        return true;
+    }
+
+    /**
+     * Starts recording the final mix (post master bus) to a compressed audio file.
+     * The signal is tapped from the analyser, so it is exactly what reaches the speakers.
+     * @returns {boolean} True if the recording started.
+     */
+    startRecording() {
+        if (!this.audioContext || this.isRecording()) return false;
+
+        if (typeof MediaRecorder === 'undefined' || !this.audioContext.createMediaStreamDestination) {
+            console.error("[AUDIO] Recording is not supported in this browser.");
+            return false;
+        }
+
+        const recordingDestination = this.audioContext.createMediaStreamDestination();
+        this.analyser.connect(recordingDestination);
+
+        // Pick the first container the browser can encode (WebM on Chrome/Firefox, MP4 on Safari)
+        const mimeType = RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+
+        try {
+            this.mediaRecorder = new MediaRecorder(recordingDestination.stream, mimeType ? { mimeType } : undefined);
+        } catch (error) {
+            console.error("[AUDIO] Unable to start the recorder:", error);
+            this.analyser.disconnect(recordingDestination);
+            return false;
+        }
+
+        this.recordingDestination = recordingDestination;
+        this.recordedChunks = [];
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data && event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+        this.mediaRecorder.start();
+        console.log(`[AUDIO] Recording started (${this.mediaRecorder.mimeType || 'default format'}).`);
+        return true;
+    }
+
+    /**
+     * Stops the mix recording.
+     * @returns {Promise<Blob|null>} The recorded audio, or null if nothing was being recorded.
+     */
+    stopRecording() {
+        const recorder = this.mediaRecorder;
+        if (!recorder || recorder.state === 'inactive') return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            recorder.onstop = () => {
+                const blob = new Blob(this.recordedChunks, { type: recorder.mimeType || 'audio/webm' });
+                this.analyser.disconnect(this.recordingDestination);
+                this.recordingDestination = null;
+                this.mediaRecorder = null;
+                this.recordedChunks = [];
+                console.log(`[AUDIO] Recording stopped (${Math.round(blob.size / 1024)} KB).`);
+                resolve(blob);
+            };
+            recorder.stop();
+        });
+    }
+
+    /**
+     * Returns true while the mix is being recorded.
+     * @returns {boolean}
+     */
+    isRecording() {
+        return !!this.mediaRecorder && this.mediaRecorder.state !== 'inactive';
+    }
+
     /**
      * Getter to obtain the AnalyserNode. Used by the visualizer.
      * @returns {AnalyserNode} The audio engine's analyzer node.
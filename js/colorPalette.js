@@ -0,0 +1,168 @@
+/**
+ * COLOR PALETTE (colorPalette.js)
+ *
+ * Color conversions shared by the importers and the LED timelines:
+ * - the 128-color velocity palette of the RGB Launchpads (MK2, Pro, X, Mini MK3),
+ *   also used by Unipad packs;
+ * - the nearest named color (`red`, `green`, `amber`, `yellow`, `orange`) and
+ *   brightness of any RGB color, for the light engine of this app;
+ * - brightness levels (`full`, `medium`, `low`) expressed as a 0-127 velocity;
+ * - the palette velocity closest to any RGB color, to drive the RGB Launchpads.
+ */
+
+/**
+ * RGB palette of the Novation RGB Launchpads, indexed by note-on velocity.
+ */
+export const LAUNCHPAD_PALETTE = [
+    '#000000', '#1E1E1E', '#7F7F7F', '#FFFFFF', '#FF4C4C', '#FF0000', '#590000', '#190000',
+    '#FFBD6C', '#FF5400', '#591D00', '#271B00', '#FFFF4C', '#FFFF00', '#595900', '#191900',
+    '#88FF4C', '#54FF00', '#1D5900', '#142B00', '#4CFF4C', '#00FF00', '#005900', '#001900',
+    '#4CFF5E', '#00FF19', '#00590D', '#001902', '#4CFF88', '#00FF55', '#00591D', '#001F12',
+    '#4CFFB7', '#00FF99', '#005935', '#001912', '#4CC3FF', '#00A9FF', '#004152', '#001019',
+    '#4C88FF', '#0055FF', '#001D59', '#000819', '#4C4CFF', '#0000FF', '#000059', '#000019',
+    '#874CFF', '#5400FF', '#190064', '#0F0030', '#FF4CFF', '#FF00FF', '#590059', '#190019',
+    '#FF4C87', '#FF0054', '#59001D', '#220013', '#FF1500', '#993500', '#795100', '#436400',
+    '#033900', '#005735', '#00547F', '#0000FF', '#00454F', '#2500CC', '#7F7F7F', '#202020',
+    '#FF0000', '#BDFF2D', '#AFED06', '#64FF09', '#108B00', '#00FF87', '#00A9FF', '#002AFF',
+    '#3F00FF', '#7A00FF', '#B21A7D', '#402100', '#FF4A00', '#88E106', '#72FF15', '#00FF00',
+    '#3BFF26', '#59FF71', '#38FFCC', '#5B8AFF', '#3151C6', '#877FE9', '#D31DFF', '#FF005D',
+    '#FF7F00', '#B9B000', '#90FF00', '#835D07', '#392B00', '#144C10', '#0D5038', '#15152A',
+    '#16205A', '#693C1C', '#A8000A', '#DE513D', '#D86A1C', '#FFE126', '#9EE12F', '#67B50F',
+    '#1E1E30', '#DCFF6B', '#80FFBD', '#9A99FF', '#8E66FF', '#404040', '#757575', '#E0FFFF',
+    '#A00000', '#350000', '#1AD000', '#074200', '#B9B000', '#3F3100', '#B35F00', '#4B1502'
+];
+
+/**
+ * Hue (degrees) of each named color of the light engine.
+ */
+const NAMED_COLOR_HUES = {
+    red: 0,
+    orange: 30,
+    amber: 45,
+    yellow: 60,
+    green: 120
+};
+
+/**
+ * Velocity thresholds of the brightness levels (see `getLevelForVelocity`).
+ */
+export const LEVEL_VELOCITIES = {
+    full: 127,
+    medium: 84,
+    low: 42
+};
+
+/**
+ * Gets the brightness level matching a velocity.
+ * @param {number} velocity - Brightness as a 0-127 velocity.
+ * @returns {string|null} 'full', 'medium', 'low', or null for 0 (off).
+ */
+export function getLevelForVelocity(velocity) {
+    if (!velocity) return null;
+    if (velocity > LEVEL_VELOCITIES.medium) return 'full';
+    if (velocity > LEVEL_VELOCITIES.low) return 'medium';
+    return 'low';
+}
+
+/**
+ * Returns true if a color of the light engine is an RGB color (`#RRGGBB`) rather
+ * than one of the named colors.
+ * @param {string} color - The color.
+ * @returns {boolean}
+ */
+export function isHexColor(color) {
+    return typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * Parses a `#RRGGBB` (or `RRGGBB`) hex string.
+ * @param {string} hex - The color.
+ * @returns {number[]|null} [r, g, b] in 0-255, or null if the string is not a hex color.
+ */
+export function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{6})$/i.exec(String(hex).trim());
+    if (!match) return null;
+    const value = parseInt(match[1], 16);
+    return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/**
+ * Approximates an RGB color with the named colors of the light engine.
+ * Hues the engine cannot show (cyan, blue, purple...) fall back to the closest hue,
+ * and the brightness of the color becomes the velocity.
+ * @param {number[]} rgb - [r, g, b] in 0-255.
+ * @returns {{color: string, velocity: number, exact: boolean}} `exact` is false
+ *   when the hue had to be approximated.
+ */
+export function rgbToNamedColor([r, g, b]) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    if (max === 0) {
+        return { color: 'off', velocity: 0, exact: true };
+    }
+
+    const velocity = Math.max(1, Math.round(max / 255 * 127));
+
+    // Greys and white have no hue: amber is the closest "neutral" color of the classic Launchpads
+    if (max - min < max * 0.25) {
+        return { color: 'amber', velocity, exact: false };
+    }
+
+    const delta = max - min;
+    let hue;
+    if (max === r) {
+        hue = 60 * (((g - b) / delta) % 6);
+    } else if (max === g) {
+        hue = 60 * ((b - r) / delta + 2);
+    } else {
+        hue = 60 * ((r - g) / delta + 4);
+    }
+    if (hue < 0) hue += 360;
+
+    let best = 'red';
+    let bestDistance = Infinity;
+    Object.entries(NAMED_COLOR_HUES).forEach(([name, namedHue]) => {
+        const distance = Math.min(Math.abs(hue - namedHue), 360 - Math.abs(hue - namedHue));
+        if (distance < bestDistance) {
+            best = name;
+            bestDistance = distance;
+        }
+    });
+
+    return { color: best, velocity, exact: bestDistance <= 15 };
+}
+
+/**
+ * Approximates a palette velocity of the RGB Launchpads with a named color.
+ * @param {number} paletteIndex - Palette index (0-127).
+ * @returns {{color: string, velocity: number, exact: boolean}}
+ */
+export function paletteToNamedColor(paletteIndex) {
+    const hex = LAUNCHPAD_PALETTE[paletteIndex] || LAUNCHPAD_PALETTE[0];
+    return rgbToNamedColor(parseHexColor(hex));
+}
+
+/**
+ * Palette colors as [r, g, b], parsed once (see `rgbToPaletteIndex`).
+ */
+let paletteRgb = null;
+
+/**
+ * Finds the palette velocity of the RGB Launchpads closest to an RGB color.
+ * @param {number[]} rgb - [r, g, b] in 0-255.
+ * @returns {number} Palette index (0-127).
+ */
+export function rgbToPaletteIndex([r, g, b]) {
+    if (!paletteRgb) paletteRgb = LAUNCHPAD_PALETTE.map(parseHexColor);
+
+    let best = 0;
+    let bestDistance = Infinity;
+    paletteRgb.forEach(([pr, pg, pb], index) => {
+        const distance = (pr - r) ** 2 + (pg - g) ** 2 + (pb - b) ** 2;
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    });
+    return best;
+}
@@ -2,8 +2,8 @@
  * APPLICATION CONSTANTS (constants.js)
  * 
  * Central location for all magic numbers and fixed values.
- * If the Launchpad grid changes (e.g., 8x8 → 16x16 in future),
- * update these constants in ONE place instead of searching the entire codebase.
+ * The dimensions of the grid played by a project depend on its layout (one or two
+ * Launchpads, see gridLayout.js); the ones here are those of a single device.
  */
 
 // ============================================================================
@@ -11,27 +11,30 @@
 // ============================================================================
 
 /**
- * Grid dimensions (standard Novation Launchpad: 8x8)
+ * Dimensions of ONE Launchpad (standard Novation Launchpad: 8x8)
  * - Main playable pad grid: 8 columns x 8 rows = 64 pads
  * - Scene/Page buttons are in column 8 (to the right)
  * - Automap/Mode buttons are in row 8 (at the top)
+ * The grid played by a project may span several Launchpads: its dimensions depend on
+ * the grid layout (see gridLayout.js).
  */
-export const LAUNCHPAD_COLS = 8;
-export const LAUNCHPAD_ROWS = 8;
-export const LAUNCHPAD_PADS = LAUNCHPAD_COLS * LAUNCHPAD_ROWS; // 64
+export const DEVICE_COLS = 8;
+export const DEVICE_ROWS = 8;
+export const DEVICE_PADS = DEVICE_COLS * DEVICE_ROWS; // 64
 
 /**
- * Coordinate constants for special button rows/columns
+ * Coordinate constants for special button rows/columns of one Launchpad
  * - Scene buttons (page selection) are at x=8, y=0-7
  * - Automap buttons (mode selection) are at y=8, x=0-7
+ * In the grid of a layout they follow the last column/row (see gridLayout.js).
  */
 export const SCENE_BUTTONS_X = 8;
 export const AUTOMAP_BUTTONS_Y = 8;
 
 /**
- * Total number of scene/page buttons (one per row)
+ * Total number of scene/page buttons (one per row of a Launchpad)
  */
-export const TOTAL_PAGES = LAUNCHPAD_ROWS; // 8
+export const TOTAL_PAGES = DEVICE_ROWS; // 8
 
 /**
  * Total number of automap/mode buttons (one per column)
@@ -58,6 +61,12 @@ export const PROJECT_LOADING_TIMEOUT_MS = 60000; // 60 seconds
  */
 export const MIDI_PROJECT_WAIT_TIMEOUT_MS = 3000; // 3 seconds
 
+/**
+ * Maximum time to wait for the reply to a SysEx identity request (milliseconds)
+ * Devices that do not answer keep the profile detected from their port name
+ */
+export const MIDI_IDENTITY_TIMEOUT_MS = 500;
+
 // ============================================================================
 // ANIMATION & VISUAL FEEDBACK TIMEOUTS
 // ============================================================================
@@ -87,3 +96,89 @@ export const LAUNCHPAD_ROTATION_MAX = 360;
  */
 export const LAUNCHPAD_SIZE_MIN = 50; // 50% of original
 export const LAUNCHPAD_SIZE_MAX = 140; // 140% of original
+
+// ============================================================================
+// PAD PLAYBACK
+// ============================================================================
+
+/**
+ * Playback modes a pad can declare in the project JSON (`page.modes`).
+ * - oneshot: Plays the whole sample once; a retrigger restarts it (default)
+ * - gate:    Plays only while the pad is held, stops on release
+ * - loop:    Loops while the pad is held, stops on release
+ * - toggle:  Loops until the pad is pressed a second time
+ */
+export const PAD_MODES = {
+    ONE_SHOT: 'oneshot',
+    GATE: 'gate',
+    LOOP: 'loop',
+    TOGGLE: 'toggle'
+};
+export const DEFAULT_PAD_MODE = PAD_MODES.ONE_SHOT;
+
+/**
+ * Fade-out applied when a sound is stopped before its natural end (milliseconds).
+ * Short enough to feel immediate, long enough to avoid an audible click.
+ */
+export const PAD_RELEASE_FADE_MS = 30;
+
+/**
+ * Layer selection strategies for pads with several samples (`"samples": [...]`).
+ * - round-robin: Cycles through the samples in order on every hit (default)
+ * - random:      Picks a random sample on every hit
+ * - velocity:    Picks the sample whose velocity range contains the hit velocity
+ */
+export const SAMPLE_SELECT_MODES = {
+    ROUND_ROBIN: 'round-robin',
+    RANDOM: 'random',
+    VELOCITY: 'velocity'
+};
+export const DEFAULT_SAMPLE_SELECT = SAMPLE_SELECT_MODES.ROUND_ROBIN;
+
+/**
+ * MIDI note-on velocity range. Pads without a velocity sensor (web grid,
+ * classic Launchpads) always hit at full velocity.
+ */
+export const MAX_VELOCITY = 127;
+
+// ============================================================================
+// AUDIO MEMORY
+// ============================================================================
+
+/**
+ * Budget for decoded samples, in MB. Decoded audio is 32-bit float PCM
+ * (length x channels x 4 bytes), far bigger than the compressed files: above the
+ * budget, the pages least recently played are evicted and decoded again on demand.
+ */
+export const AUDIO_MEMORY_BUDGET_OPTIONS_MB = [128, 256, 512, 1024];
+export const DEFAULT_AUDIO_MEMORY_BUDGET_MB = 256;
+
+/**
+ * Pages on each side of the current one that are decoded first and never evicted,
+ * so switching to a neighbor page plays at once.
+ */
+export const AUDIO_NEIGHBOR_PAGES = 1;
+
+// ============================================================================
+// TRANSPORT & QUANTIZATION
+// ============================================================================
+
+/**
+ * Tempo used when a project doesn't declare `bpm`.
+ */
+export const DEFAULT_BPM = 120;
+export const MIN_BPM = 20;
+export const MAX_BPM = 999;
+
+/**
+ * Launch quantization settings for `project.quantize`, expressed in beats (4/4 time).
+ * `off` launches pads the instant they are pressed.
+ */
+export const LAUNCH_QUANTIZE_BEATS = {
+    'off': 0,
+    '1/16': 0.25,
+    '1/8': 0.5,
+    '1/4': 1,
+    'bar': 4
+};
+export const DEFAULT_LAUNCH_QUANTIZE = 'off';
@@ -0,0 +1,330 @@
+/**
+ * LAUNCHPAD DEVICE PROFILES (deviceProfiles.js)
+ *
+ * The app sees every Launchpad as the classic model driven by launchpad-webmidi:
+ * an [x, y] grid with y = 0 at the top, the scene buttons at x = 8, the top row of
+ * round buttons at y = 8, and colors as red/green velocity codes (`0x10 * green + red`,
+ * levels 0-3). A profile translates this view into the MIDI messages of one model:
+ * - classic models (Launchpad, S, Mini MK1/MK2): key `0x10 * y + x`, top row as CC 104-111;
+ * - RGB models (MK2, Mini MK3, X, Pro MK3): notes 11-88 from the bottom-left pad,
+ *   scene buttons 19-89, colors from the 128-color palette, and a SysEx message to
+ *   enter the programmer mode (the session layout on the MK2). RGB colors of the light
+ *   engine are sent exactly with the RGB SysEx of the model, or as the nearest palette color.
+ *
+ * The model is detected from the port name, or from the reply to a SysEx identity
+ * request when the name only says "Launchpad".
+ */
+
+import { rgbToPaletteIndex } from './colorPalette.js';
+import { SCENE_BUTTONS_X, AUTOMAP_BUTTONS_Y } from './constants.js';
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xb0;
+
+/**
+ * SysEx header of Novation messages (manufacturer id 00 20 29, device type 02).
+ */
+const NOVATION_SYSEX = [0xf0, 0x00, 0x20, 0x29, 0x02];
+
+/**
+ * Universal SysEx identity request, answered by the RGB models with
+ * `F0 7E <device> 06 02 00 20 29 <family LSB> <family MSB> ...`.
+ */
+export const IDENTITY_REQUEST = [0xf0, 0x7e, 0x7f, 0x06, 0x01, 0xf7];
+
+/**
+ * Supported models, most specific port name first: the classic profile matches
+ * any "Launchpad" port and is the fallback.
+ * - `portPattern`: matches the MIDI port names of the model (Windows names the
+ *   ports of the MK3 generation "LPMiniMK3 MIDI", "LPX MIDI"...);
+ * - `family`: family code of the identity reply;
+ * - `topRow`: MIDI status and first number of the round buttons at the top;
+ * - `sceneStatus`: MIDI status of the scene buttons;
+ * - `enter` / `exit`: SysEx messages sent on connection and on disconnection;
+ * - `rgbLeds`: SysEx setting LEDs to RGB colors: message header, bytes before each
+ *   LED and maximum channel value.
+ */
+const PROFILES = [
+    {
+        id: 'proMk3',
+        name: 'Launchpad Pro MK3',
+        rgb: true,
+        portPattern: /Launchpad Pro MK3|LPProMK3/i,
+        family: [0x23, 0x01],
+        topRow: { status: CONTROL_CHANGE, first: 91 },
+        sceneStatus: CONTROL_CHANGE,
+        enter: [...NOVATION_SYSEX, 0x0e, 0x0e, 0x01, 0xf7],
+        exit: [...NOVATION_SYSEX, 0x0e, 0x0e, 0x00, 0xf7],
+        rgbLeds: { header: [...NOVATION_SYSEX, 0x0e, 0x03], ledPrefix: [0x03], maxValue: 127 }
+    },
+    {
+        id: 'miniMk3',
+        name: 'Launchpad Mini MK3',
+        rgb: true,
+        portPattern: /Launchpad Mini MK3|LPMiniMK3/i,
+        family: [0x13, 0x01],
+        topRow: { status: CONTROL_CHANGE, first: 91 },
+        sceneStatus: CONTROL_CHANGE,
+        enter: [...NOVATION_SYSEX, 0x0d, 0x0e, 0x01, 0xf7],
+        exit: [...NOVATION_SYSEX, 0x0d, 0x0e, 0x00, 0xf7],
+        rgbLeds: { header: [...NOVATION_SYSEX, 0x0d, 0x03], ledPrefix: [0x03], maxValue: 127 }
+    },
+    {
+        id: 'x',
+        name: 'Launchpad X',
+        rgb: true,
+        portPattern: /Launchpad X\b|LPX\b/i,
+        family: [0x03, 0x01],
+        topRow: { status: CONTROL_CHANGE, first: 91 },
+        sceneStatus: CONTROL_CHANGE,
+        enter: [...NOVATION_SYSEX, 0x0c, 0x0e, 0x01, 0xf7],
+        exit: [...NOVATION_SYSEX, 0x0c, 0x0e, 0x00, 0xf7],
+        rgbLeds: { header: [...NOVATION_SYSEX, 0x0c, 0x03], ledPrefix: [0x03], maxValue: 127 }
+    },
+    {
+        id: 'mk2',
+        name: 'Launchpad MK2',
+        rgb: true,
+        portPattern: /Launchpad MK2/i,
+        family: [0x69, 0x00],
+        topRow: { status: CONTROL_CHANGE, first: 104 },
+        sceneStatus: NOTE_ON,
+        enter: [...NOVATION_SYSEX, 0x18, 0x22, 0x00, 0xf7], // Session layout
+        exit: null,
+        rgbLeds: { header: [...NOVATION_SYSEX, 0x18, 0x0b], ledPrefix: [], maxValue: 63 }
+    },
+    {
+        id: 'classic',
+        name: 'Launchpad',
+        rgb: false,
+        portPattern: /Launchpad/i,
+        family: null,
+        topRow: { status: CONTROL_CHANGE, first: 0x68 },
+        sceneStatus: NOTE_ON,
+        enter: null,
+        exit: null,
+        rgbLeds: null
+    }
+];
+
+/**
+ * LEDs set by one RGB SysEx message (the limit of the MK2).
+ */
+const RGB_LEDS_PER_MESSAGE = 80;
+
+/**
+ * Port names of the DAW interface of the MK3 generation: it does not send the pads
+ * in programmer mode, the "MIDI" port of the same device does.
+ */
+const DAW_PORT_PATTERN = /DAW/i;
+
+/**
+ * Hue (degrees) of the classic LEDs by share of green in the mix (`green / (red + green)`):
+ * red, orange (3:2), amber (3:3), yellow (2:3) and green.
+ */
+const CLASSIC_MIX_HUES = [[0, 0], [0.4, 30], [0.5, 45], [0.6, 60], [1, 120]];
+
+/**
+ * Gets the RGB color of a classic color code, as the classic LEDs show it.
+ * @param {number} red - Red level (0-3).
+ * @param {number} green - Green level (0-3).
+ * @returns {number[]} [r, g, b] in 0-255.
+ */
+function classicToRgb(red, green) {
+    if (red + green === 0) return [0, 0, 0];
+    const mix = green / (red + green);
+    const upper = CLASSIC_MIX_HUES.findIndex(([share]) => share >= mix);
+    const [shareA, hueA] = CLASSIC_MIX_HUES[Math.max(0, upper - 1)];
+    const [shareB, hueB] = CLASSIC_MIX_HUES[upper];
+    const hue = shareB === shareA ? hueB : hueA + (hueB - hueA) * (mix - shareA) / (shareB - shareA);
+
+    // Hues between red and green only: one channel is full, the other follows the hue
+    const value = Math.max(red, green) / 3 * 255;
+    return hue <= 60
+        ? [value, Math.round(value * hue / 60), 0]
+        : [Math.round(value * (120 - hue) / 60), value, 0];
+}
+
+/**
+ * Palette velocity of each classic color code, by `0x10 * green + red`.
+ */
+const CLASSIC_TO_PALETTE = new Array(0x40).fill(0)
+    .map((_, code) => rgbToPaletteIndex(classicToRgb(code & 0x03, (code >> 4) & 0x03)));
+
+/**
+ * Gets the classic profile, used until a device is detected.
+ * @returns {object}
+ */
+export function getClassicProfile() {
+    return PROFILES[PROFILES.length - 1];
+}
+
+/**
+ * Detects the model from a MIDI port name.
+ * @param {string} portName - The port name.
+ * @returns {object|null} The profile, or null if the port is not a Launchpad.
+ */
+export function getProfileForPort(portName) {
+    return PROFILES.find(profile => profile.portPattern.test(portName || '')) || null;
+}
+
+/**
+ * Returns true if a MIDI port is one of the supported Launchpads.
+ * @param {string} portName - The port name.
+ * @returns {boolean}
+ */
+export function isLaunchpadPort(portName) {
+    return getProfileForPort(portName) !== null;
+}
+
+/**
+ * Picks a connected Launchpad port among MIDI ports, preferring the "MIDI" port of
+ * devices exposing a DAW port too.
+ * @param {Iterable<MIDIPort>} ports - The inputs or outputs of the MIDI access.
+ * @returns {MIDIPort|null}
+ */
+export function findLaunchpadPort(ports) {
+    const candidates = Array.from(ports).filter(port => isLaunchpadPort(port.name) && port.state !== 'disconnected');
+    return candidates.find(port => !DAW_PORT_PATTERN.test(port.name)) || candidates[0] || null;
+}
+
+/**
+ * Finds a connected MIDI port by name.
+ * @param {Iterable<MIDIPort>} ports - The inputs or outputs of the MIDI access.
+ * @param {string} name - The port name ('' finds nothing).
+ * @returns {MIDIPort|null}
+ */
+export function findPortByName(ports, name) {
+    if (!name) return null;
+    return Array.from(ports).find(port => port.name === name && port.state !== 'disconnected') || null;
+}
+
+/**
+ * Detects the model from the reply to `IDENTITY_REQUEST`.
+ * @param {Uint8Array|number[]} data - A SysEx message.
+ * @returns {object|null} The profile, or null if the message is not the identity
+ *   reply of a supported model.
+ */
+export function getProfileForIdentity(data) {
+    const isIdentityReply = data.length >= 10 && data[0] === 0xf0 && data[1] === 0x7e &&
+        data[3] === 0x06 && data[4] === 0x02 &&
+        data[5] === 0x00 && data[6] === 0x20 && data[7] === 0x29;
+    if (!isIdentityReply) return null;
+    return PROFILES.find(profile => profile.family &&
+        profile.family[0] === data[8] && profile.family[1] === data[9]) || null;
+}
+
+/**
+ * Gets the MIDI status and number addressing a button.
+ * @param {object} profile - The device profile.
+ * @param {number} x - Column (8 = scene buttons).
+ * @param {number} y - Row from the top (8 = top row of round buttons).
+ * @returns {number[]} [status, number]
+ */
+export function getButtonMessage(profile, x, y) {
+    if (y === AUTOMAP_BUTTONS_Y) {
+        return [profile.topRow.status, profile.topRow.first + x];
+    }
+    if (!profile.rgb) {
+        return [NOTE_ON, 0x10 * y + x];
+    }
+    const note = 10 * (8 - y) + x + 1;
+    return [x === SCENE_BUTTONS_X ? profile.sceneStatus : NOTE_ON, note];
+}
+
+/**
+ * Decodes a button message sent by the device.
+ * @param {object} profile - The device profile.
+ * @param {Uint8Array|number[]} data - The MIDI message.
+ * @returns {{x: number, y: number, pressed: boolean, velocity: number}|null} Null for
+ *   messages that are not a button of the grid, scene or top row (e.g. the extra
+ *   buttons of the Pro MK3).
+ */
+export function getButtonFromMessage(profile, data) {
+    const status = data[0] & 0xf0;
+    if (status !== NOTE_ON && status !== NOTE_OFF && status !== CONTROL_CHANGE) return null;
+
+    const number = data[1];
+    const velocity = status === NOTE_OFF ? 0 : data[2];
+    const button = { pressed: velocity > 0, velocity };
+
+    const topIndex = number - profile.topRow.first;
+    if (status === profile.topRow.status && topIndex >= 0 && topIndex < 8) {
+        return { x: topIndex, y: AUTOMAP_BUTTONS_Y, ...button };
+    }
+    if (status === CONTROL_CHANGE && profile.sceneStatus !== CONTROL_CHANGE) return null;
+
+    if (!profile.rgb) {
+        const x = number % 0x10;
+        const y = (number - x) / 0x10;
+        return (x <= SCENE_BUTTONS_X && y < 8) ? { x, y, ...button } : null;
+    }
+
+    const row = Math.floor(number / 10);
+    const column = number % 10;
+    if (row < 1 || row > 8 || column < 1 || column > 9) return null;
+    return { x: column - 1, y: 8 - row, ...button };
+}
+
+/**
+ * Translates a color of the app into the velocity of the device.
+ * @param {object} profile - The device profile.
+ * @param {number} code - Classic color code (`0x10 * green + red`, plus buffer flags).
+ * @param {number[]|null} [rgb] - The exact color, for RGB colors of the light engine:
+ *   the classic models show `code`, the RGB ones the nearest palette color.
+ * @returns {number} The velocity to send.
+ */
+export function getColorVelocity(profile, code, rgb = null) {
+    if (!profile.rgb) return code;
+    if (rgb) return rgbToPaletteIndex(rgb);
+    return CLASSIC_TO_PALETTE[code & 0x33];
+}
+
+/**
+ * Gets the SysEx messages setting LEDs to exact RGB colors.
+ * @param {object} profile - The device profile (`rgbLeds` must be set).
+ * @param {{key: number, rgb: number[]}[]} leds - LED numbers (as in `getButtonMessage`)
+ *   and colors ([r, g, b] in 0-255).
+ * @returns {number[][]} SysEx messages.
+ */
+export function getRgbLedMessages(profile, leds) {
+    const { header, ledPrefix, maxValue } = profile.rgbLeds;
+    const messages = [];
+    for (let start = 0; start < leds.length; start += RGB_LEDS_PER_MESSAGE) {
+        const message = [...header];
+        leds.slice(start, start + RGB_LEDS_PER_MESSAGE).forEach(({ key, rgb }) => {
+            message.push(...ledPrefix, key, ...rgb.map(channel => Math.round(channel / 255 * maxValue)));
+        });
+        message.push(0xf7);
+        messages.push(message);
+    }
+    return messages;
+}
+
+/**
+ * Gets the messages preparing the device: programmer mode (or session layout).
+ * @param {object} profile - The device profile.
+ * @returns {number[][]} MIDI messages (SysEx: the MIDI access must allow them).
+ */
+export function getSetupMessages(profile) {
+    return profile.enter ? [profile.enter] : [];
+}
+
+/**
+ * Gets the messages turning the LEDs off and handing the device back, on disconnection.
+ * @param {object} profile - The device profile.
+ * @returns {number[][]} MIDI messages.
+ */
+export function getResetMessages(profile) {
+    if (!profile.rgb) return [[CONTROL_CHANGE, 0x00, 0x00]]; // Classic reset: all LEDs off
+    const messages = [];
+    for (let y = 0; y <= AUTOMAP_BUTTONS_Y; y++) {
+        for (let x = 0; x <= SCENE_BUTTONS_X; x++) {
+            if (x === SCENE_BUTTONS_X && y === AUTOMAP_BUTTONS_Y) continue; // No such button
+            messages.push([...getButtonMessage(profile, x, y), 0]);
+        }
+    }
+    if (profile.exit) messages.push(profile.exit);
+    return messages;
+}
@@ -0,0 +1,172 @@
+/**
+ * PROJECT FOLDER DROP (folderDrop.js)
+ *
+ * Loads a project folder (project JSON + samples, images...) dropped onto the page,
+ * without a local web server: handy to try a new cover before publishing it.
+ *
+ * The dropped directories are walked through the File System Entries API, the project
+ * JSON is located (the shallowest .json file with a `pages` array) and its relative
+ * paths are mapped to the dropped files. The result goes through `loadProject` like any
+ * other source (validation, progress overlay, `markProjectReady`); it is not added to
+ * the local library.
+ */
+
+import { loadProject } from './project.js';
+import { mapProjectAssetPaths } from './projectBundle.js';
+import { getTranslation, showNotification } from './ui.js';
+import { registerListener } from './eventCleanup.js';
+
+let folderDropInitialized = false; // Prevent duplicate listener registration
+
+/**
+ * Paths that do not point into the folder: absolute URLs and paths.
+ */
+const EXTERNAL_PATH_PATTERN = /^([a-z]+:|\/)/i;
+
+/**
+ * Reads a dropped file or directory, recursively.
+ * @param {FileSystemEntry} entry - The dropped entry.
+ * @param {Map<string, File>} files - Collects the files by path from the drop root.
+ * @returns {Promise<void>}
+ */
+async function readEntry(entry, files) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        files.set(entry.fullPath.replace(/^\//, ''), file);
+        return;
+    }
+    if (!entry.isDirectory) return;
+
+    // readEntries returns the content in batches, until an empty one
+    const reader = entry.createReader();
+    let batch;
+    do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) {
+            await readEntry(child, files);
+        }
+    } while (batch.length > 0);
+}
+
+/**
+ * Joins a project-relative path to the folder of the project JSON, resolving
+ * '.' and '..' segments and Windows separators.
+ * @param {string} folder - Folder of the project JSON ('' or ending with '/').
+ * @param {string} path - Path from the project JSON.
+ * @returns {string}
+ */
+function resolveFolderPath(folder, path) {
+    const segments = [];
+    `${folder}${path.replace(/\\/g, '/')}`.split('/').forEach(segment => {
+        if (segment === '..') segments.pop();
+        else if (segment && segment !== '.') segments.push(segment);
+    });
+    return segments.join('/');
+}
+
+/**
+ * Finds the project JSON among the dropped files: the shallowest .json file
+ * holding a `pages` array (LED timeline files are JSON too).
+ * @param {Map<string, File>} files - The dropped files by path.
+ * @returns {Promise<{path: string, project: object}|null>}
+ */
+async function findProjectFile(files) {
+    const candidates = Array.from(files.keys())
+        .filter(path => /\.json$/i.test(path))
+        .sort((a, b) => (a.split('/').length - b.split('/').length) || a.localeCompare(b));
+
+    for (const path of candidates) {
+        try {
+            const project = JSON.parse(await files.get(path).text());
+            if (project && Array.isArray(project.pages)) return { path, project };
+        } catch (error) {
+            // Not JSON after all: try the next one
+        }
+    }
+    return null;
+}
+
+/**
+ * Opens a dropped project folder.
+ * The asset paths of the project are rewritten to the keys of `assets`, which only
+ * holds the files the project uses. Paths not found in the folder are kept.
+ * @param {Map<string, File>} files - The dropped files by path.
+ * @returns {Promise<{project: object, assets: Map<string, Blob>}|null>} Null if no project JSON was found.
+ */
+export async function openProjectFolder(files) {
+    const found = await findProjectFile(files);
+    if (!found) return null;
+
+    const folder = found.path.slice(0, found.path.lastIndexOf('/') + 1);
+    const assets = new Map();
+    const project = mapProjectAssetPaths(found.project, path => {
+        if (EXTERNAL_PATH_PATTERN.test(path)) return path;
+        const filePath = resolveFolderPath(folder, path);
+        if (!files.has(filePath)) return path; // e.g. `assets/...`, shipped with the app
+        assets.set(filePath, files.get(filePath));
+        return filePath;
+    });
+
+    console.log(`[Folder] Project found in ${found.path} (${assets.size} files).`);
+    return { project, assets };
+}
+
+/**
+ * Returns true if a drag carries files (and not text or links).
+ * @param {DragEvent} e - The drag event.
+ * @returns {boolean}
+ */
+function isFileDrag(e) {
+    return !!e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+}
+
+/**
+ * Accepts project folders dropped anywhere on the page. Drops already handled
+ * (e.g. samples dropped on a pad by the project editor) are left alone.
+ */
+export function initializeFolderDrop() {
+    if (folderDropInitialized) return;
+    folderDropInitialized = true;
+
+    registerListener(document, 'dragover', (e) => {
+        if (e.defaultPrevented || !isFileDrag(e)) return;
+        e.preventDefault(); // Accept the drop instead of letting the browser open the file
+        e.dataTransfer.dropEffect = 'copy';
+        document.body.classList.add('folder-drag');
+    });
+    registerListener(document, 'dragleave', (e) => {
+        // Leaving the window: relatedTarget is null
+        if (!e.relatedTarget) document.body.classList.remove('folder-drag');
+    });
+
+    registerListener(document, 'drop', async (e) => {
+        document.body.classList.remove('folder-drag');
+        if (e.defaultPrevented || !isFileDrag(e)) return;
+        e.preventDefault();
+
+        // Entries must be taken synchronously: the DataTransfer is emptied after the event
+        const entries = Array.from(e.dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+            .filter(Boolean);
+        if (!entries.some(entry => entry.isDirectory)) {
+            showNotification(getTranslation('folder.notFolder'), 'warning');
+            return;
+        }
+
+        try {
+            const files = new Map();
+            for (const entry of entries) {
+                await readEntry(entry, files);
+            }
+            const folder = await openProjectFolder(files);
+            if (!folder) {
+                showNotification(getTranslation('folder.noProject'), 'warning');
+                return;
+            }
+            await loadProject(folder, null);
+        } catch (error) {
+            console.error("[Folder] Unable to read the dropped folder:", error);
+            showNotification(getTranslation('folder.readError'), 'error');
+        }
+    });
+}
@@ -0,0 +1,169 @@
+/**
+ * GRID LAYOUT (gridLayout.js)
+ *
+ * The grid played by a project may span several Launchpads: one 8x8 device
+ * (`single`), or two devices side by side (`wide`, 16x8) or one above the other
+ * (`tall`, 8x16). The layout is chosen by the project (`project.layout`).
+ *
+ * Grid coordinates extend the ones of a single Launchpad:
+ * - pads are at x = 0..cols-1, y = 0..rows-1, pad index = y * cols + x;
+ * - the scene (page) buttons are in the column after the last one (x = cols, y = 0-7);
+ * - the automap (mode) buttons are in the row after the last one (x = 0-7, y = rows).
+ * Every device shows the page and mode buttons: they are mirrored on each of them.
+ */
+
+import { DEVICE_COLS, DEVICE_ROWS, SCENE_BUTTONS_X, AUTOMAP_BUTTONS_Y } from './constants.js';
+
+/**
+ * Available layouts. `devices` is the number of Launchpads, `deviceCols`/`deviceRows`
+ * the number of columns/rows of devices they are arranged in.
+ */
+export const GRID_LAYOUTS = {
+    single: { id: 'single', devices: 1, deviceCols: 1, deviceRows: 1 },
+    wide: { id: 'wide', devices: 2, deviceCols: 2, deviceRows: 1 },
+    tall: { id: 'tall', devices: 2, deviceCols: 1, deviceRows: 2 }
+};
+
+export const DEFAULT_GRID_LAYOUT = 'single';
+
+let currentLayout = GRID_LAYOUTS[DEFAULT_GRID_LAYOUT];
+
+/**
+ * Gets the current layout.
+ * @returns {{id: string, devices: number, deviceCols: number, deviceRows: number}}
+ */
+export function getGridLayout() {
+    return currentLayout;
+}
+
+/**
+ * Sets the current layout. Listeners are told with a 'grid:layout' event when it changes.
+ * @param {string} [id] - A key of `GRID_LAYOUTS`; unknown ids select the default layout.
+ */
+export function setGridLayout(id) {
+    const layout = GRID_LAYOUTS[id] || GRID_LAYOUTS[DEFAULT_GRID_LAYOUT];
+    if (layout === currentLayout) return;
+
+    currentLayout = layout;
+    console.log(`[Grid] Layout: ${layout.id} (${getGridCols()}x${getGridRows()})`);
+    window.dispatchEvent(new CustomEvent('grid:layout', { detail: { layout: layout.id } }));
+}
+
+/**
+ * Gets the size of a layout.
+ * @param {string} [id] - A key of `GRID_LAYOUTS` (default: the current layout);
+ *   unknown ids give the size of the default layout.
+ * @returns {{cols: number, rows: number, pads: number}}
+ */
+export function getLayoutSize(id = currentLayout.id) {
+    const layout = GRID_LAYOUTS[id] || GRID_LAYOUTS[DEFAULT_GRID_LAYOUT];
+    const cols = layout.deviceCols * DEVICE_COLS;
+    const rows = layout.deviceRows * DEVICE_ROWS;
+    return { cols, rows, pads: cols * rows };
+}
+
+/** @returns {number} Pad columns of the current grid. */
+export function getGridCols() {
+    return currentLayout.deviceCols * DEVICE_COLS;
+}
+
+/** @returns {number} Pad rows of the current grid. */
+export function getGridRows() {
+    return currentLayout.deviceRows * DEVICE_ROWS;
+}
+
+/** @returns {number} Pads of the current grid (sounds per page). */
+export function getGridPads() {
+    return getGridCols() * getGridRows();
+}
+
+/** @returns {number} X of the scene (page) buttons in grid coordinates. */
+export function getSceneButtonsX() {
+    return getGridCols();
+}
+
+/** @returns {number} Y of the automap (mode) buttons in grid coordinates. */
+export function getAutomapButtonsY() {
+    return getGridRows();
+}
+
+/**
+ * Gets the grid coordinates of a pad.
+ * @param {number} index - The pad index.
+ * @returns {number[]} [x, y]
+ */
+export function getPadCoordinates(index) {
+    const cols = getGridCols();
+    return [index % cols, Math.floor(index / cols)];
+}
+
+/**
+ * Gets the index of a pad.
+ * @param {number} x - Grid column.
+ * @param {number} y - Grid row.
+ * @returns {number}
+ */
+export function getPadIndex(x, y) {
+    return y * getGridCols() + x;
+}
+
+/**
+ * Gets the device a pad belongs to.
+ * @param {number} x - Grid column.
+ * @param {number} y - Grid row.
+ * @returns {number} The device index, -1 outside the pads.
+ */
+function getPadDevice(x, y) {
+    if (x < 0 || y < 0 || x >= getGridCols() || y >= getGridRows()) return -1;
+    return Math.floor(y / DEVICE_ROWS) * currentLayout.deviceCols + Math.floor(x / DEVICE_COLS);
+}
+
+/**
+ * Gets the grid coordinates of the top-left pad of the device a pad belongs to,
+ * i.e. the offset to add to the device coordinates of an animation started by it.
+ * @param {number} x - Grid column.
+ * @param {number} y - Grid row.
+ * @returns {number[]} [x, y]
+ */
+export function getDeviceOrigin(x, y) {
+    return [x - x % DEVICE_COLS, y - y % DEVICE_ROWS];
+}
+
+/**
+ * Gets the buttons of the devices showing a grid button.
+ * Pads are on one device; page and mode buttons are on every device.
+ * @param {number} x - Grid column.
+ * @param {number} y - Grid row.
+ * @returns {{device: number, x: number, y: number}[]} Device index and coordinates on that device.
+ */
+export function getDeviceButtons(x, y) {
+    const devices = [];
+    if (x === getSceneButtonsX() && y >= 0 && y < DEVICE_ROWS) {
+        for (let device = 0; device < currentLayout.devices; device++) {
+            devices.push({ device, x: SCENE_BUTTONS_X, y });
+        }
+    } else if (y === getAutomapButtonsY() && x >= 0 && x < DEVICE_COLS) {
+        for (let device = 0; device < currentLayout.devices; device++) {
+            devices.push({ device, x, y: AUTOMAP_BUTTONS_Y });
+        }
+    } else {
+        const device = getPadDevice(x, y);
+        if (device >= 0) devices.push({ device, x: x % DEVICE_COLS, y: y % DEVICE_ROWS });
+    }
+    return devices;
+}
+
+/**
+ * Gets the grid coordinates of a button pressed on a device.
+ * @param {number} device - The device index.
+ * @param {number} x - Column on the device (8 for the scene buttons).
+ * @param {number} y - Row on the device (8 for the automap buttons).
+ * @returns {number[]} [x, y]
+ */
+export function getGridButton(device, x, y) {
+    if (x === SCENE_BUTTONS_X) return [getSceneButtonsX(), y];
+    if (y === AUTOMAP_BUTTONS_Y) return [x, getAutomapButtonsY()];
+    const column = device % currentLayout.deviceCols;
+    const row = Math.floor(device / currentLayout.deviceCols);
+    return [column * DEVICE_COLS + x, row * DEVICE_ROWS + y];
+}
@@ -2,36 +2,68 @@ import { audioEngine } from './audio.js';
 import { currentPage, currentProject, projectLights, activePageButton, setCurrentPage, setActivePageButton, activeModeButton, setCurrentMode, setActiveModeButton, getProjectStateSnapshot } from './app.js';
 import { triggerAnimation, releaseAnimation } from './lights.js';
 import { setPhysicalColor, getLpColor, flushPhysicalColors } from './physicalInterface.js';
-import { getPadElement } from './webInterface.js';
+import { getPadElement, renderGridLayout } from './webInterface.js';
 import { registerListener } from './eventCleanup.js';
 import { isProjectReady } from './projectLoadingState.js';
-import { LAUNCHPAD_COLS, LAUNCHPAD_PADS, SCENE_BUTTONS_X, AUTOMAP_BUTTONS_Y, ERROR_SHAKE_DURATION_MS, TOTAL_PAGES, TOTAL_MODES, FIRST_MODE_INDEX, TOTAL_AUTOMAP_BUTTONS } from './constants.js';
+import { getGridPads, getPadCoordinates, getSceneButtonsX, getAutomapButtonsY } from './gridLayout.js';
+import { ERROR_SHAKE_DURATION_MS, TOTAL_PAGES, TOTAL_MODES, FIRST_MODE_INDEX, TOTAL_AUTOMAP_BUTTONS, PAD_MODES, MAX_VELOCITY } from './constants.js';
 
 let interactionInitialized = false; // Track if listeners have been set up
 let shakeTimeoutId = null; // Track error shake timeout to prevent stacking
 
+/**
+ * Sound index played by each pad that is currently held down (pad index -> sound index).
+ * Releases use this instead of the current page, so a page change while holding
+ * a gate pad still stops the sound that was actually started.
+ */
+const heldSounds = new Map();
+
 /**
  * Activates a pad programmatically (e.g., via MIDI input).
- * @param {number} index - The index of the pad to activate (0-63).
+ * @param {number} index - The index of the pad to activate (0-63, up to 127 on two Launchpads).
+ * @param {number} velocity - Hit velocity (0-127). The web grid always hits at full velocity.
  */
-export function triggerPad(index) {
+export function triggerPad(index, velocity = MAX_VELOCITY) {
     const pad = getPadElement(index);
     if (pad) {
         // Get a consistent snapshot to avoid race conditions during project loading
         const state = getProjectStateSnapshot();
         
-        const soundIndex = state.page * LAUNCHPAD_PADS + index;
+        const soundIndex = state.page * getGridPads() + index;
+        const [x, y] = getPadCoordinates(index);
+        const animationName = (isProjectReady() && state.lights) ? state.lights[soundIndex] : null;
 
-        // Play audio
-        const duration = audioEngine.playPadSound(soundIndex);
+        heldSounds.set(index, soundIndex);
+
+        // Let listeners (e.g. the performance timeline) know about the hit
+        window.dispatchEvent(new CustomEvent('pad:trigger', { detail: { index, velocity, page: state.page } }));
+
+        // Engage the pad's master effect (held until release, also by the press stopping a toggle pad,
+        // so that every release lets go of a hold it took)
+        const effectName = audioEngine.getPadEffect(soundIndex);
+        if (effectName) {
+            audioEngine.setEffectActive(effectName, true);
+        }
+
+        // TOGGLE MODE: a second press on a playing pad stops it instead of restarting it
+        if (audioEngine.getPadMode(soundIndex) === PAD_MODES.TOGGLE && audioEngine.isPadPlaying(soundIndex)) {
+            audioEngine.stopPadSound(soundIndex);
+            if (animationName) {
+                releaseAnimation(animationName, x, y);
+            }
+            pad.classList.add('active');
+            return;
+        }
+
+        // Play audio, on the next grid boundary if the project quantizes launches
+        const launchTime = audioEngine.getNextLaunchTime();
+        const duration = audioEngine.playPadSound(soundIndex, velocity, launchTime);
 
         // Trigger light animation ONLY if project is ready
         // This prevents race conditions where projectLights might be incomplete
-        if (isProjectReady() && state.lights && state.lights[soundIndex]) {
-            const animationName = state.lights[soundIndex];
-            const x = index % LAUNCHPAD_COLS;
-            const y = Math.floor(index / LAUNCHPAD_COLS);
-            triggerAnimation(animationName, x, y, duration);
+        // The animation starts together with the (possibly delayed) sound
+        if (animationName) {
+            triggerAnimation(animationName, x, y, duration, audioEngine.getDelayUntil(launchTime));
         } else if (!isProjectReady()) {
             console.log(`[Interaction] Project not ready, skipping light animation for pad ${index}`);
         }
@@ -43,7 +75,7 @@ export function triggerPad(index) {
 
 /**
  * Deactivates a pad programmatically (e.g., via MIDI input).
- * @param {number} index - The index of the pad to deactivate (0-63).
+ * @param {number} index - The index of the pad to deactivate (0-63, up to 127 on two Launchpads).
  */
 export function releasePad(index) {
     const pad = getPadElement(index);
@@ -51,13 +83,26 @@ export function releasePad(index) {
         // Get a consistent snapshot to avoid race conditions during project loading
         const state = getProjectStateSnapshot();
         
-        const soundIndex = state.page * LAUNCHPAD_PADS + index;
+        // Prefer the sound started by the press (the page may have changed since then)
+        const soundIndex = heldSounds.has(index) ? heldSounds.get(index) : state.page * getGridPads() + index;
+
+        // Stop gate/loop audio only if this pad was actually pressed
+        // (mouseout also fires for pads that are merely hovered)
+        if (heldSounds.has(index)) {
+            heldSounds.delete(index);
+            audioEngine.releasePadSound(soundIndex);
+            window.dispatchEvent(new CustomEvent('pad:release', { detail: { index } }));
+
+            const effectName = audioEngine.getPadEffect(soundIndex);
+            if (effectName) {
+                audioEngine.setEffectActive(effectName, false);
+            }
+        }
 
         // Stop light animation ONLY if project is ready
         if (isProjectReady() && state.lights && state.lights[soundIndex]) {
             const animationName = state.lights[soundIndex];
-            const x = index % LAUNCHPAD_COLS;
-            const y = Math.floor(index / LAUNCHPAD_COLS);
+            const [x, y] = getPadCoordinates(index);
             releaseAnimation(animationName, x, y);
         } else if (!isProjectReady()) {
             console.log(`[Interaction] Project not ready, skipping light release for pad ${index}`);
@@ -67,6 +112,58 @@ export function releasePad(index) {
     }
 }
 
+/**
+ * Effect buttons currently held down (navigation button index -> effect name),
+ * so the release turns off the effect that was engaged even if the project changed.
+ */
+const heldEffects = new Map();
+
+/**
+ * Engages the master effect bound to a navigation button (`project.fxButtons`).
+ * @param {number} index - The index of the navigation button (0-3).
+ */
+export function triggerEffectButton(index) {
+    const state = getProjectStateSnapshot();
+    const fxButtons = (state.project && state.project.fxButtons) || [];
+    const effectName = fxButtons[index];
+    if (!effectName) return;
+
+    if (audioEngine.setEffectActive(effectName, true)) {
+        heldEffects.set(index, effectName);
+        updateEffectButtonLight(index, true);
+    }
+}
+
+/**
+ * Releases the master effect bound to a navigation button.
+ * @param {number} index - The index of the navigation button (0-3).
+ */
+export function releaseEffectButton(index) {
+    const effectName = heldEffects.get(index);
+    if (!effectName) return;
+
+    heldEffects.delete(index);
+    audioEngine.setEffectActive(effectName, false);
+    updateEffectButtonLight(index, false);
+}
+
+/**
+ * Shows whether an effect button is held on the web and physical Launchpad.
+ * @param {number} index - The index of the navigation button (0-3).
+ * @param {boolean} isActive - True while the effect is engaged.
+ */
+function updateEffectButtonLight(index, isActive) {
+    document.querySelectorAll(`.grid-item-menu[data-fx="${index}"]`).forEach(button => {
+        button.classList.toggle('selected', isActive);
+    });
+
+    const color = getLpColor(isActive ? 'green' : 'off');
+    if (color) {
+        setPhysicalColor(color, [index, getAutomapButtonsY()], false);
+        flushPhysicalColors();
+    }
+}
+
 /**
  * Initializes interaction listeners for the grid pads using event delegation.
  * Only initializes once to prevent duplicate listeners.
@@ -80,13 +177,8 @@ export function initInteraction() {
     interactionInitialized = true;
 
     const launchpad = document.getElementById('Launchpad');
-    if (!launchpad) return;
-
-    // Initialize pads: set data-index for delegation
-    const pads = launchpad.querySelectorAll('.grid-item');
-    pads.forEach((pad, index) => {
-        pad.dataset.index = index;
-    });
+    const grid = document.getElementById('launchpad-grid');
+    if (!launchpad || !grid) return;
 
     // Initialize menu buttons: set data-page for side buttons
     const menuButtons = launchpad.querySelectorAll('.grid-item-menu');
@@ -99,12 +191,18 @@ export function initInteraction() {
             if (modeIndex >= FIRST_MODE_INDEX && modeIndex < FIRST_MODE_INDEX + TOTAL_MODES) {
                 btn.dataset.mode = modeIndex;
             } else {
-                // Tasti 0-3 (Navigation) - Al momento non hanno una funzione specifica
+                // Buttons 0-3 (Navigation) - Bound to master effects through project.fxButtons
                 btn.classList.add('navigation-button');
+                btn.dataset.fx = modeIndex;
             }
         }
     });
 
+    // Initialize pads: set data-index for delegation, and add the Launchpads of the layout
+    // (copies of the first one, menu buttons included)
+    renderGridLayout();
+    registerListener(window, 'grid:layout', () => renderGridLayout());
+
     // Handle Press (mousedown and touchstart)
     const handlePress = (e) => {
         if (e.type === 'touchstart') {
@@ -120,34 +218,44 @@ export function initInteraction() {
             changeSoundSet(parseInt(target.dataset.page, 10));
         } else if (target.dataset.mode !== undefined) {
             changeMode(parseInt(target.dataset.mode, 10));
+        } else if (target.dataset.fx !== undefined) {
+            triggerEffectButton(parseInt(target.dataset.fx, 10));
         }
     };
 
     // Handle Release (mouseup, touchend, touchcancel)
     const handleRelease = (e) => {
-        const target = e.target.closest('.grid-item');
-        if (target && target.dataset.index !== undefined) {
+        const target = e.target.closest('.grid-item, .grid-item-menu');
+        if (!target) return;
+
+        if (target.dataset.index !== undefined) {
             releasePad(parseInt(target.dataset.index, 10));
+        } else if (target.dataset.fx !== undefined) {
+            releaseEffectButton(parseInt(target.dataset.fx, 10));
         }
     };
 
     // Mouseout is used to stop sound when moving the cursor out of a pad while pressed
     const handleMouseOut = (e) => {
-        const pad = e.target.closest('.grid-item');
-        if (pad && !pad.contains(e.relatedTarget) && pad.dataset.index !== undefined) {
+        const pad = e.target.closest('.grid-item, .grid-item-menu');
+        if (!pad || pad.contains(e.relatedTarget)) return;
+
+        if (pad.dataset.index !== undefined) {
             releasePad(parseInt(pad.dataset.index, 10));
+        } else if (pad.dataset.fx !== undefined) {
+            releaseEffectButton(parseInt(pad.dataset.fx, 10));
         }
     };
 
-    // Add delegated listeners to the Launchpad container using tracked event system
-    registerListener(launchpad, 'mousedown', handlePress);
-    registerListener(launchpad, 'touchstart', handlePress, { passive: false });
+    // Add delegated listeners to the Launchpad grid using tracked event system
+    registerListener(grid, 'mousedown', handlePress);
+    registerListener(grid, 'touchstart', handlePress, { passive: false });
 
-    registerListener(launchpad, 'mouseup', handleRelease);
-    registerListener(launchpad, 'touchend', handleRelease);
-    registerListener(launchpad, 'touchcancel', handleRelease);
+    registerListener(grid, 'mouseup', handleRelease);
+    registerListener(grid, 'touchend', handleRelease);
+    registerListener(grid, 'touchcancel', handleRelease);
 
-    registerListener(launchpad, 'mouseout', handleMouseOut);
+    registerListener(grid, 'mouseout', handleMouseOut);
 
     console.log("[Interaction] Interaction listeners initialized");
 }
@@ -156,16 +264,16 @@ export function initInteraction() {
  * Updates the lights for the page buttons on the physical Launchpad.
  * @param {number} activeIndex - The index of the currently active page.
  */
-function updatePhysicalPageLights(activeIndex) {
+export function updatePhysicalPageLights(activeIndex) {
     const orange = getLpColor('orange');
     const off = getLpColor('off');
 
     if (!orange) return; // Physical launchpad not connected or colors not ready
 
     for (let i = 0; i < TOTAL_PAGES; i++) {
-        // Page buttons are at x=SCENE_BUTTONS_X (Scene buttons on right side)
+        // Page buttons are in the column after the grid (Scene buttons on right side)
         const color = (i === activeIndex) ? orange : off;
-        setPhysicalColor(color, [SCENE_BUTTONS_X, i], false);
+        setPhysicalColor(color, [getSceneButtonsX(), i], false);
     }
     flushPhysicalColors();
 }
@@ -195,13 +303,16 @@ export function changeSoundSet(index, updateVisuals = true) {
     if (state.project && index < state.project.pages.length) {
         const pageChanged = (index !== state.page);
         setCurrentPage(index);
+        // Decode the new page first if it was evicted or is still waiting in the background
+        audioEngine.prioritizePage(index);
         
         if (pageChanged) {
             console.log(`Page changed: ${index}`);
         }
+        window.dispatchEvent(new CustomEvent('page:change', { detail: { page: index } }));
 
         if (updateVisuals) {
-            const pageButtons = document.querySelectorAll('.grid-item-menu[data-page]');
+            const pageButtons = document.querySelectorAll('#Launchpad .grid-item-menu[data-page]');
             if (activePageButton) {
                 activePageButton.classList.remove('selected');
             }
@@ -209,12 +320,16 @@ export function changeSoundSet(index, updateVisuals = true) {
             if (activePageButton) {
                 activePageButton.classList.add('selected');
             }
+            // Mirror the selection on the other Launchpads of the grid
+            document.querySelectorAll('.launchpad-extension .grid-item-menu[data-page]').forEach(btn => {
+                btn.classList.toggle('selected', parseInt(btn.dataset.page, 10) === index);
+            });
 
             // Update physical Launchpad lights
             updatePhysicalPageLights(index);
         }
     } else {
-        const launchpadElement = document.getElementById('Launchpad');
+        const launchpadElement = document.getElementById('launchpad-grid');
         if (launchpadElement) {
             // Cancel any previous shake timeout to prevent stacking
             // This prevents memory leak when user repeatedly clicks invalid pages
@@ -243,9 +358,9 @@ export function updatePhysicalModeLights(activeIndex) {
 
     // Update only the 4 official modes (4-7)
     for (let i = FIRST_MODE_INDEX; i < TOTAL_AUTOMAP_BUTTONS; i++) {
-        // Mode buttons are at y=AUTOMAP_BUTTONS_Y (Top row buttons)
+        // Mode buttons are in the row after the grid (Top row buttons)
         const color = (i === activeIndex) ? orange : off;
-        setPhysicalColor(color, [i, AUTOMAP_BUTTONS_Y], false);
+        setPhysicalColor(color, [i, getAutomapButtonsY()], false);
     }
     flushPhysicalColors();
 }
@@ -256,7 +371,8 @@ export function updatePhysicalModeLights(activeIndex) {
  * IMPORTANT: Modes are HARDWARE-DEPENDENT and FIXED
  * The Launchpad hardware has 8 automap buttons (0-7).
  * Official modes are 4-7: Session, User 1, User 2, Mixer.
- * Navigation buttons 0-3 are currently ignored.
+ * Navigation buttons 0-3 are not modes: they hold the master effects of `project.fxButtons`
+ * (see `triggerEffectButton`).
  * 
  * @param {number} index - The index of the mode to set (4-7).
  * @param {boolean} updateVisuals - Whether to update the visual state (default: true).
@@ -283,7 +399,7 @@ export function changeMode(index, updateVisuals = true) {
     }));
 
     if (updateVisuals) {
-        const modeButtons = document.querySelectorAll('.grid-item-menu[data-mode]');
+        const modeButtons = document.querySelectorAll('#Launchpad .grid-item-menu[data-mode]');
         if (activeModeButton) {
             activeModeButton.classList.remove('selected');
         }
@@ -295,6 +411,9 @@ export function changeMode(index, updateVisuals = true) {
         if (activeModeButton) {
             activeModeButton.classList.add('selected');
         }
+        document.querySelectorAll('.launchpad-extension .grid-item-menu[data-mode]').forEach(btn => {
+            btn.classList.toggle('selected', parseInt(btn.dataset.mode, 10) === index);
+        });
 
         // Update physical Launchpad lights
         updatePhysicalModeLights(index);
@@ -9,20 +9,25 @@ import {
     scheduler, 
     fader, 
     activeAnimations, 
-    flushPhysicalColors 
+    flushPhysicalColors,
+    drawOnDevice
 } from './animationEngine.js';
 
 import { 
     animations, 
-    createAnimationLibrary 
+    createAnimationLibrary,
+    getAnimation
 } from './animationLibrary.js';
 
 import { TextAnimation, ScrollingTextAnimation } from './animationClasses.js';
+import { getDeviceOrigin } from './gridLayout.js';
 
 // Re-export for external modules if needed
 export { animations };
 
 let animationFrameId = null;
+// Quantized animations waiting for their start time, keyed by "x,y"
+const pendingTriggers = new Map();
 let lastTickTime = 0;
 let isLoopRunning = false;
 
@@ -40,7 +45,7 @@ function animationLoop(now) {
     // 2. Update Active Animations (State-based)
     if (activeAnimations.size > 0) {
         for (const anim of activeAnimations) {
-            const isFinished = anim.update(now);
+            const isFinished = drawOnDevice(anim.drawOrigin, () => anim.update(now));
             if (isFinished) {
                 activeAnimations.delete(anim);
             }
@@ -94,14 +99,47 @@ animationLoop(lastTickTime);
 // Initialize the library
 createAnimationLibrary();
 
+/**
+ * Runs an animation function for a pad. Animations draw on the Launchpad of the pad,
+ * with the coordinates of the pad on that device (0-7); grid animations (e.g. the
+ * LED timelines of a project) get the grid coordinates of the pad.
+ * @param {object|null} anim - The animation of the registry, if any.
+ * @param {number} x - The grid X coordinate of the pad.
+ * @param {number} y - The grid Y coordinate of the pad.
+ * @param {function(number, number)} run - Receives the coordinates to use.
+ */
+function runOnPadDevice(anim, x, y, run) {
+    if (anim && anim.grid) {
+        drawOnDevice(null, () => run(x, y));
+        return;
+    }
+    const [originX, originY] = getDeviceOrigin(x, y);
+    drawOnDevice([originX, originY], () => run(x - originX, y - originY));
+}
+
 /**
  * Triggers an animation by name at specific coordinates.
  * @param {string} name - The name of the animation in the registry.
- * @param {number} x - The X coordinate (0-7).
- * @param {number} y - The Y coordinate (0-7).
+ * @param {number} x - The grid X coordinate (see gridLayout.js).
+ * @param {number} y - The grid Y coordinate.
  * @param {number} duration - Total duration in seconds.
+ * @param {number} delayMs - Optional delay before starting, used to follow quantized audio launches.
  */
-export function triggerAnimation(name, x, y, duration) {
+export function triggerAnimation(name, x, y, duration, delayMs = 0) {
+    const key = `${x},${y}`;
+    if (delayMs > 0) {
+        // The token lets a release (or a newer trigger) cancel this pending start
+        const token = {};
+        pendingTriggers.set(key, token);
+        scheduler.schedule(() => {
+            if (pendingTriggers.get(key) !== token) return;
+            pendingTriggers.delete(key);
+            triggerAnimation(name, x, y, duration);
+        }, delayMs);
+        return;
+    }
+    pendingTriggers.delete(key);
+
     // Check for dynamic scroll animations (e.g., scroll_HELLO_green or scroll_up_HELLO_green)
     if (name.startsWith('scroll_')) {
         const parts = name.split('_');
@@ -129,7 +167,9 @@ export function triggerAnimation(name, x, y, duration) {
 
         if (text && colorName) {
             const durationMs = duration ? duration * 1000 : 3000;
-            activeAnimations.add(new ScrollingTextAnimation(text, colorName, durationMs, direction));
+            runOnPadDevice(null, x, y, () => {
+                activeAnimations.add(new ScrollingTextAnimation(text, colorName, durationMs, direction));
+            });
             flushPhysicalColors();
             return;
         }
@@ -142,16 +182,18 @@ export function triggerAnimation(name, x, y, duration) {
             const text = parts[1];
             const colorName = parts[2];
             const durationMs = duration ? duration * 1000 : 1000;
-            activeAnimations.add(new TextAnimation(text, colorName, durationMs));
+            runOnPadDevice(null, x, y, () => {
+                activeAnimations.add(new TextAnimation(text, colorName, durationMs));
+            });
             flushPhysicalColors();
             return;
         }
     }
 
-    const anim = animations[name];
+    const anim = getAnimation(name);
     if (anim && anim.on) {
         const durationMs = duration ? duration * 1000 : undefined;
-        anim.on(x, y, durationMs);
+        runOnPadDevice(anim, x, y, (animX, animY) => anim.on(animX, animY, durationMs));
         flushPhysicalColors();
     }
 }
@@ -159,13 +201,18 @@ export function triggerAnimation(name, x, y, duration) {
 /**
  * Releases an animation (stops it if it's momentary).
  * @param {string} name - The name of the animation in the registry.
- * @param {number} x - The X coordinate (0-7).
- * @param {number} y - The Y coordinate (0-7).
+ * @param {number} x - The grid X coordinate (see gridLayout.js).
+ * @param {number} y - The grid Y coordinate.
  */
 export function releaseAnimation(name, x, y) {
-    const anim = animations[name];
-    if (anim && anim.type === 'momentary' && anim.off) {
-        anim.off(x, y);
+    const anim = getAnimation(name);
+    if (!anim || anim.type !== 'momentary') return;
+
+    // A momentary animation released before its quantized start never lights up;
+    // the other ones still start on the grid boundary, like the sound of the tap
+    pendingTriggers.delete(`${x},${y}`);
+    if (anim.off) {
+        runOnPadDevice(anim, x, y, (animX, animY) => anim.off(animX, animY));
         flushPhysicalColors();
     }
 }
@@ -0,0 +1,274 @@
+/**
+ * LOCAL PROJECT STORE (localStore.js)
+ *
+ * Keeps projects created or imported in the browser, with their files, in IndexedDB:
+ * - `projects`: `{ id, name, project, size, updatedAt }`, the project JSON by id,
+ *   with the storage used by the project and its files (bytes);
+ * - `assets`: `{ projectId, path, blob }`, one record per file, the `path` being the
+ *   project-relative path used in the project JSON;
+ * - `designs`: the animations drawn in the animation designer, by registry name.
+ *
+ * Stored projects are loaded through `loadProject` with a `local:<id>` source
+ * (see `getLocalProjectSource`).
+ */
+
+const DB_NAME = 'launchpad-online';
+const DB_VERSION = 2;
+const PROJECTS_STORE = 'projects';
+const ASSETS_STORE = 'assets';
+const DESIGNS_STORE = 'designs';
+const LOCAL_PROJECT_SCHEME = 'local:';
+
+let databasePromise = null;
+
+/**
+ * Wraps an IndexedDB request in a Promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<any>} The result of the request.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Resolves when a transaction has been committed.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Opens (and creates or upgrades) the database, once per session.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        if (typeof indexedDB === 'undefined') {
+            return Promise.reject(new Error('IndexedDB is not available'));
+        }
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(PROJECTS_STORE)) {
+                db.createObjectStore(PROJECTS_STORE, { keyPath: 'id' });
+            }
+            if (!db.objectStoreNames.contains(ASSETS_STORE)) {
+                db.createObjectStore(ASSETS_STORE, { keyPath: ['projectId', 'path'] });
+            }
+            if (!db.objectStoreNames.contains(DESIGNS_STORE)) {
+                db.createObjectStore(DESIGNS_STORE, { keyPath: 'name' });
+            }
+        };
+        databasePromise = requestToPromise(request).catch(error => {
+            databasePromise = null; // Allow a retry (e.g. after the user frees some space)
+            throw error;
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Gets the key range of all the assets of a project: keys are `[projectId, path]`,
+ * and arrays sort after strings, so `[projectId, []]` follows every path.
+ * @param {string} projectId - The project id.
+ * @returns {IDBKeyRange}
+ */
+function getProjectAssetsRange(projectId) {
+    return IDBKeyRange.bound([projectId], [projectId, []]);
+}
+
+/**
+ * Gets the `loadProject` source of a stored project.
+ * @param {string} id - The project id.
+ * @returns {string}
+ */
+export function getLocalProjectSource(id) {
+    return `${LOCAL_PROJECT_SCHEME}${id}`;
+}
+
+/**
+ * Gets the id of a stored project from a `loadProject` source.
+ * @param {string|Blob} source - The project source.
+ * @returns {string|null} The id, or null if the source is not a stored project.
+ */
+export function getLocalProjectId(source) {
+    if (typeof source !== 'string' || !source.startsWith(LOCAL_PROJECT_SCHEME)) return null;
+    return source.slice(LOCAL_PROJECT_SCHEME.length);
+}
+
+/**
+ * Saves a project and its files, replacing a stored project with the same id.
+ * @param {object} project - The project JSON (its `id` is the key).
+ * @param {Map<string, Blob>} assets - Project-relative path -> file content.
+ * @returns {Promise<void>}
+ */
+export async function saveLocalProject(project, assets) {
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, ASSETS_STORE], 'readwrite');
+    const assetStore = transaction.objectStore(ASSETS_STORE);
+
+    let size = JSON.stringify(project).length;
+    assetStore.delete(getProjectAssetsRange(project.id));
+    assets.forEach((blob, path) => {
+        assetStore.put({ projectId: project.id, path, blob });
+        size += blob.size;
+    });
+    transaction.objectStore(PROJECTS_STORE).put({
+        id: project.id,
+        name: project.name,
+        project,
+        size,
+        updatedAt: new Date().toISOString()
+    });
+
+    await transactionDone(transaction);
+    console.log(`[LocalStore] Project "${project.name}" saved (${assets.size} files).`);
+}
+
+/**
+ * Reads a stored project and its files.
+ * @param {string} id - The project id.
+ * @returns {Promise<{project: object, assets: Map<string, Blob>}|null>} Null if not found.
+ */
+export async function getLocalProject(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, ASSETS_STORE], 'readonly');
+    const [record, assetRecords] = await Promise.all([
+        requestToPromise(transaction.objectStore(PROJECTS_STORE).get(id)),
+        requestToPromise(transaction.objectStore(ASSETS_STORE).getAll(getProjectAssetsRange(id)))
+    ]);
+    if (!record) return null;
+
+    const assets = new Map();
+    assetRecords.forEach(({ path, blob }) => assets.set(path, blob));
+    return { project: record.project, assets };
+}
+
+/**
+ * Lists the stored projects, most recently saved first.
+ * @returns {Promise<{id: string, name: string, size: number, updatedAt: string}[]>}
+ *   `size` is the storage used by the project and its files, in bytes.
+ */
+export async function listLocalProjects() {
+    const db = await openDatabase();
+    const records = await requestToPromise(db.transaction(PROJECTS_STORE, 'readonly').objectStore(PROJECTS_STORE).getAll());
+    return records
+        .map(({ id, name, size, updatedAt }) => ({ id, name, size: size || 0, updatedAt }))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Renames a stored project (both the library entry and the project JSON).
+ * @param {string} id - The project id.
+ * @param {string} name - The new name.
+ * @returns {Promise<void>}
+ * @throws {Error} If the project does not exist.
+ */
+export async function renameLocalProject(id, name) {
+    const db = await openDatabase();
+    const transaction = db.transaction(PROJECTS_STORE, 'readwrite');
+    const store = transaction.objectStore(PROJECTS_STORE);
+    const record = await requestToPromise(store.get(id));
+    if (!record) throw new Error(`Local project not found: ${id}`);
+
+    record.name = name;
+    record.project.name = name;
+    record.updatedAt = new Date().toISOString();
+    store.put(record);
+    await transactionDone(transaction);
+}
+
+/**
+ * Stores a media file (icon, background video...) in a stored project and points a
+ * field of the project JSON to it, replacing the previous file of that field.
+ * @param {string} id - The project id.
+ * @param {string} field - Project field, e.g. 'iconImage' or 'backgroundVideo'.
+ * @param {File} file - The media file.
+ * @returns {Promise<string>} The project-relative path of the file.
+ * @throws {Error} If the project does not exist.
+ */
+export async function setLocalProjectMedia(id, field, file) {
+    const extension = (/\.[a-z0-9]+$/i.exec(file.name || '') || [''])[0].toLowerCase();
+    const path = `media/${field}${extension}`;
+
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, ASSETS_STORE], 'readwrite');
+    const projectStore = transaction.objectStore(PROJECTS_STORE);
+    const assetStore = transaction.objectStore(ASSETS_STORE);
+    const record = await requestToPromise(projectStore.get(id));
+    if (!record) throw new Error(`Local project not found: ${id}`);
+
+    // Only media added here are replaced: a file the project shipped with may be used elsewhere
+    const previousPath = record.project[field];
+    if (previousPath && previousPath.startsWith('media/')) {
+        const previous = await requestToPromise(assetStore.get([id, previousPath]));
+        if (previous) {
+            record.size -= previous.blob.size;
+            assetStore.delete([id, previousPath]);
+        }
+    }
+
+    assetStore.put({ projectId: id, path, blob: file });
+    record.project[field] = path;
+    record.size = (record.size || 0) + file.size;
+    record.updatedAt = new Date().toISOString();
+    projectStore.put(record);
+    await transactionDone(transaction);
+    return path;
+}
+
+/**
+ * Deletes a stored project and its files.
+ * @param {string} id - The project id.
+ * @returns {Promise<void>}
+ */
+export async function deleteLocalProject(id) {
+    const db = await openDatabase();
+    const transaction = db.transaction([PROJECTS_STORE, ASSETS_STORE], 'readwrite');
+    transaction.objectStore(ASSETS_STORE).delete(getProjectAssetsRange(id));
+    transaction.objectStore(PROJECTS_STORE).delete(id);
+    await transactionDone(transaction);
+    console.log(`[LocalStore] Project "${id}" deleted.`);
+}
+
+/**
+ * Saves an animation design, replacing the one with the same name.
+ * @param {object} design - The design (its `name` is the key).
+ * @returns {Promise<void>}
+ */
+export async function saveLocalDesign(design) {
+    const db = await openDatabase();
+    const transaction = db.transaction(DESIGNS_STORE, 'readwrite');
+    transaction.objectStore(DESIGNS_STORE).put(design);
+    await transactionDone(transaction);
+}
+
+/**
+ * Lists the stored animation designs.
+ * @returns {Promise<object[]>}
+ */
+export async function listLocalDesigns() {
+    const db = await openDatabase();
+    return requestToPromise(db.transaction(DESIGNS_STORE, 'readonly').objectStore(DESIGNS_STORE).getAll());
+}
+
+/**
+ * Deletes an animation design.
+ * @param {string} name - The design name.
+ * @returns {Promise<void>}
+ */
+export async function deleteLocalDesign(name) {
+    const db = await openDatabase();
+    const transaction = db.transaction(DESIGNS_STORE, 'readwrite');
+    transaction.objectStore(DESIGNS_STORE).delete(name);
+    await transactionDone(transaction);
+}
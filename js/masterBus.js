@@ -0,0 +1,266 @@
+/**
+ * MASTER BUS (masterBus.js)
+ *
+ * Processing chain between the pad voices and the speakers:
+ *
+ *   [Voices] -> [Input] -> [Filter] -+-> [Dry] --------------------------+-> [Limiter] -> [Output]
+ *                                    +-> [Delay Send] -> [Delay] <-> [Feedback]
+ *                                    |                     +-------------+
+ *                                    +-> [Reverb Send] -> [Convolver] ---+
+ *
+ * - Filter: a single DJ-style knob sweeping a low-pass (negative) or high-pass (positive) filter.
+ * - Delay: feedback delay whose time follows the project tempo (see transport.js).
+ * - Reverb: convolution reverb using a generated impulse response (no asset to download).
+ * - Limiter: brickwall limiter, enabled by default, preventing clipping when many pads stack up.
+ *
+ * The `effects` registry exposes performable, named effects (like the `animations` registry
+ * for lights) so they can be bound to pads (`"fx": "filter_lowpass"`) or to the Launchpad
+ * navigation buttons (`project.fxButtons`). The side scene buttons are not used for effects:
+ * they already select the page.
+ */
+
+import { transport } from './transport.js';
+
+// Filter sweep range (Hz) and smoothing time constant (seconds)
+const FILTER_MIN_HZ = 20;
+const FILTER_MAX_HZ = 20000;
+const PARAM_SMOOTHING = 0.02;
+
+// Delay & reverb limits
+const MAX_DELAY_SECONDS = 4;
+const REVERB_DEFAULT_DECAY = 2.5;
+
+// Note divisions accepted by the tempo-synced delay, expressed in beats
+export const DELAY_DIVISIONS = {
+    '1/16': 0.25,
+    '1/8': 0.5,
+    '3/16': 0.75,
+    '1/4': 1,
+    '1/2': 2
+};
+
+export class MasterBus {
+    /**
+     * Builds the master chain on the given context. Call `connect()` to route its output.
+     * @param {AudioContext} audioContext
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        const ctx = audioContext;
+
+        this.input = ctx.createGain();
+
+        // FILTER (flat by default: low-pass fully open)
+        this.filter = ctx.createBiquadFilter();
+        this.filter.type = 'lowpass';
+        this.filter.frequency.value = FILTER_MAX_HZ;
+        this.filter.Q.value = 0.7;
+        this.filterPosition = 0;
+
+        this.dry = ctx.createGain();
+        this.sum = ctx.createGain();
+
+        // DELAY (send/return with feedback loop)
+        this.delaySend = ctx.createGain();
+        this.delaySend.gain.value = 0;
+        this.delay = ctx.createDelay(MAX_DELAY_SECONDS);
+        this.delayFeedback = ctx.createGain();
+        this.delayFeedback.gain.value = 0.35;
+        this.delayDivision = '1/8';
+
+        // REVERB (send/return)
+        this.reverbSend = ctx.createGain();
+        this.reverbSend.gain.value = 0;
+        this.reverb = ctx.createConvolver();
+        this.reverb.buffer = this._createImpulse(REVERB_DEFAULT_DECAY);
+
+        // LIMITER (fast attack, high ratio, just below 0 dBFS)
+        this.limiter = ctx.createDynamicsCompressor();
+        this.limiter.threshold.value = -1;
+        this.limiter.knee.value = 0;
+        this.limiter.ratio.value = 20;
+        this.limiter.attack.value = 0.001;
+        this.limiter.release.value = 0.1;
+        this.limiterEnabled = true;
+
+        this.output = ctx.createGain();
+
+        // WIRING
+        this.input.connect(this.filter);
+        this.filter.connect(this.dry);
+        this.dry.connect(this.sum);
+
+        this.filter.connect(this.delaySend);
+        this.delaySend.connect(this.delay);
+        this.delay.connect(this.delayFeedback);
+        this.delayFeedback.connect(this.delay);
+        this.delay.connect(this.sum);
+
+        this.filter.connect(this.reverbSend);
+        this.reverbSend.connect(this.reverb);
+        this.reverb.connect(this.sum);
+
+        this.sum.connect(this.limiter);
+        this.limiter.connect(this.output);
+
+        this._updateDelayTime();
+    }
+
+    /**
+     * Routes the bus output to a destination node (e.g. the analyser).
+     * @param {AudioNode} destination
+     */
+    connect(destination) {
+        this.output.connect(destination);
+    }
+
+    /**
+     * Smoothly moves an AudioParam to a new value.
+     */
+    _ramp(param, value) {
+        const now = this.audioContext.currentTime;
+        param.cancelScheduledValues(now);
+        param.setTargetAtTime(value, now, PARAM_SMOOTHING);
+    }
+
+    /**
+     * Generates a stereo impulse response of exponentially decaying noise.
+     * @param {number} decaySeconds - Length of the reverb tail.
+     * @returns {AudioBuffer}
+     */
+    _createImpulse(decaySeconds) {
+        const rate = this.audioContext.sampleRate;
+        const length = Math.max(1, Math.floor(rate * decaySeconds));
+        const impulse = this.audioContext.createBuffer(2, length, rate);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+        return impulse;
+    }
+
+    _updateDelayTime() {
+        const beats = DELAY_DIVISIONS[this.delayDivision] || DELAY_DIVISIONS['1/8'];
+        const seconds = Math.min(MAX_DELAY_SECONDS, beats * transport.getBeatDuration());
+        this._ramp(this.delay.delayTime, seconds);
+    }
+
+    /**
+     * Sets the DJ-style filter knob.
+     * @param {number} position - -1 (low-pass closed) .. 0 (flat) .. 1 (high-pass closed).
+     */
+    setFilterPosition(position) {
+        const p = Math.max(-1, Math.min(1, position));
+        this.filterPosition = p;
+
+        // Exponential mapping so the sweep sounds even across the spectrum
+        const ratio = FILTER_MAX_HZ / FILTER_MIN_HZ;
+        if (p < 0) {
+            this.filter.type = 'lowpass';
+            this._ramp(this.filter.frequency, FILTER_MAX_HZ / Math.pow(ratio, -p * 0.85));
+        } else if (p > 0) {
+            this.filter.type = 'highpass';
+            this._ramp(this.filter.frequency, FILTER_MIN_HZ * Math.pow(ratio, p * 0.6));
+        } else {
+            this.filter.type = 'lowpass';
+            this._ramp(this.filter.frequency, FILTER_MAX_HZ);
+        }
+    }
+
+    /**
+     * Configures the tempo-synced delay.
+     * @param {object} settings - `{ mix (0-1), feedback (0-0.95), division ('1/16'...'1/2') }`.
+     */
+    setDelay({ mix, feedback, division } = {}) {
+        if (division !== undefined && DELAY_DIVISIONS[division]) {
+            this.delayDivision = division;
+        }
+        if (feedback !== undefined) {
+            this._ramp(this.delayFeedback.gain, Math.max(0, Math.min(0.95, feedback)));
+        }
+        if (mix !== undefined) {
+            this._ramp(this.delaySend.gain, Math.max(0, Math.min(1, mix)));
+        }
+        // Re-read the tempo: it changes with the loaded project
+        this._updateDelayTime();
+    }
+
+    /**
+     * Configures the convolution reverb.
+     * @param {object} settings - `{ mix (0-1), decay (seconds) }`.
+     */
+    setReverb({ mix, decay } = {}) {
+        if (decay !== undefined && decay > 0) {
+            this.reverb.buffer = this._createImpulse(decay);
+        }
+        if (mix !== undefined) {
+            this._ramp(this.reverbSend.gain, Math.max(0, Math.min(1, mix)));
+        }
+    }
+
+    /**
+     * Enables or bypasses the brickwall limiter.
+     * @param {boolean} enabled
+     */
+    setLimiterEnabled(enabled) {
+        if (enabled === this.limiterEnabled) return;
+        this.limiterEnabled = enabled;
+
+        this.sum.disconnect();
+        if (enabled) {
+            this.sum.connect(this.limiter);
+        } else {
+            this.sum.connect(this.output);
+        }
+    }
+
+    /**
+     * @returns {boolean} True if the limiter is in the chain.
+     */
+    isLimiterEnabled() {
+        return this.limiterEnabled;
+    }
+
+    /**
+     * Returns every performable effect to its neutral position (limiter untouched).
+     */
+    reset() {
+        this.setFilterPosition(0);
+        this.setDelay({ mix: 0 });
+        this.setReverb({ mix: 0 });
+    }
+}
+
+/**
+ * Registry of performable effects.
+ * Each entry has `on(bus)` / `off(bus)` and a `type`:
+ * - momentary: active while the pad or button is held
+ */
+export const effects = {
+    filter_lowpass: {
+        on: (bus) => bus.setFilterPosition(-0.8),
+        off: (bus) => bus.setFilterPosition(0),
+        type: 'momentary'
+    },
+    filter_highpass: {
+        on: (bus) => bus.setFilterPosition(0.8),
+        off: (bus) => bus.setFilterPosition(0),
+        type: 'momentary'
+    },
+    reverb: {
+        on: (bus) => bus.setReverb({ mix: 0.6 }),
+        off: (bus) => bus.setReverb({ mix: 0 }),
+        type: 'momentary'
+    }
+};
+
+// Tempo-synced delays, one per division (e.g. `delay_1/8`)
+Object.keys(DELAY_DIVISIONS).forEach(division => {
+    effects[`delay_${division}`] = {
+        on: (bus) => bus.setDelay({ mix: 0.5, division }),
+        off: (bus) => bus.setDelay({ mix: 0 }),
+        type: 'momentary'
+    };
+});
@@ -8,25 +8,51 @@
  * 2. A connected Launchpad controller (or compatible device).
  *
  * Its responsibilities are:
- * - Detect and connect to the Launchpad device via launchpad-webmidi.
+ * - Detect and connect to the Launchpad device via launchpad-webmidi, and its model
+ *   (classic or RGB, see deviceProfiles.js).
  * - Map incoming MIDI signals (pad presses) to application actions.
  * - Handle dynamic connection/disconnection (hot-plugging) of the device.
+ * - Let the user pick the input/output ports of the Launchpad (device picker in the
+ *   MIDI status area), remembered by port name; "automatic" takes the first Launchpad.
+ * - Connect one Launchpad per device of the grid layout: two for a project spanning
+ *   two Launchpads (see gridLayout.js). Their buttons are mapped to grid coordinates.
+ * - Share the MIDI access with the mapping of other controllers (`midi:access` event,
+ *   see midiLearn.js).
  */
 
 // Import launchpad-webmidi library
 import Launchpad from './vendor/launchpad-webmidi.js';
-import { getTranslation, showNotification } from './ui.js';
+import { getTranslation, showNotification, fillMidiPortSelect, safeLocalStorageGetItem, safeLocalStorageSetItem } from './ui.js';
 import { setLaunchpadInstance } from './physicalInterface.js';
-import { triggerPad, releasePad, changeSoundSet, changeMode } from './interaction.js';
+import {
+    IDENTITY_REQUEST, isLaunchpadPort, findLaunchpadPort, findPortByName, getClassicProfile, getProfileForPort,
+    getProfileForIdentity, getButtonFromMessage, getSetupMessages, getResetMessages
+} from './deviceProfiles.js';
+import { triggerPad, releasePad, changeSoundSet, changeMode, triggerEffectButton, releaseEffectButton } from './interaction.js';
+import { isControllerInput } from './midiLearn.js';
 import { getProjectStateSnapshot } from './app.js';
 import { registerListener, cleanup, removeListener } from './eventCleanup.js';
 import { onVisibilityChange } from './visibilityManager.js';
 import { isProjectReady, waitForProjectReady } from './projectLoadingState.js';
-import { SCENE_BUTTONS_X, AUTOMAP_BUTTONS_Y, LAUNCHPAD_COLS, LAUNCHPAD_ROWS } from './constants.js';
+import { DEVICE_ROWS, MAX_VELOCITY, FIRST_MODE_INDEX, MIDI_IDENTITY_TIMEOUT_MS } from './constants.js';
+import {
+    getGridLayout, getGridCols, getGridRows, getPadIndex, getGridButton, getSceneButtonsX, getAutomapButtonsY
+} from './gridLayout.js';
 
-// Launchpad instance
-let launchpad = null;
+/**
+ * Connected Launchpads, by device index of the grid layout. Each one is
+ * `{ index, launchpad, profile, identityReplyHandler }`: the launchpad-webmidi instance,
+ * the profile of its model (see deviceProfiles.js) and the receiver of its SysEx
+ * messages while the model is being identified.
+ */
+const devices = [];
 let midiAccessRef = null;
+let connectionAttempt = 0; // Identifies the latest connectToLaunchpad call
+let devicePickerInitialized = false; // Prevent duplicate listener registration
+
+// Port names picked in the device picker ('' or missing: automatic), for the first Launchpad;
+// the keys of the second one end with '.2'
+const PORT_STORAGE_KEYS = { input: 'midi.input', output: 'midi.output' };
 
 /**
  * MIDI State Machine - Centralized state management to prevent race conditions
@@ -34,7 +60,8 @@ let midiAccessRef = null;
  * 
  * States:
  * - UNINITIALIZED: initMidi() has not been called
- * - INITIALIZED: initMidi() called, midiAccessRef acquired, listeners set up
+ * - INITIALIZED: initMidi() called, midiAccessRef acquired, listeners set up (also
+ *   after the Launchpad was unplugged or another port was picked)
  * - CONNECTING: connectToLaunchpad() in progress
  * - CONNECTED: Launchpad device is connected and ready
  * - SUSPENDED: Page visibility hidden (auto-disconnects to release MIDI resources)
@@ -53,6 +80,7 @@ let midiState = MIDI_STATE.UNINITIALIZED;
 let initializingPromise = null; // Guard for concurrent initMidi calls
 let visibilityUnsubscribe = null; // Store visibility change unsubscribe function
 let hardwareLayoutListener = null; // Store hardware layout listener reference for cleanup
+let gridLayoutListener = null; // Store grid layout listener reference for cleanup
 
 export let isMidiConnected = false;
 
@@ -66,7 +94,7 @@ function setMidiState(newState) {
         [MIDI_STATE.UNINITIALIZED]: [MIDI_STATE.INITIALIZED, MIDI_STATE.DISPOSED],
         [MIDI_STATE.INITIALIZED]: [MIDI_STATE.CONNECTING, MIDI_STATE.SUSPENDED, MIDI_STATE.DISPOSED, MIDI_STATE.INITIALIZED],
         [MIDI_STATE.CONNECTING]: [MIDI_STATE.CONNECTED, MIDI_STATE.INITIALIZED, MIDI_STATE.SUSPENDED, MIDI_STATE.DISPOSED],
-        [MIDI_STATE.CONNECTED]: [MIDI_STATE.SUSPENDED, MIDI_STATE.CONNECTING, MIDI_STATE.DISPOSED],
+        [MIDI_STATE.CONNECTED]: [MIDI_STATE.SUSPENDED, MIDI_STATE.CONNECTING, MIDI_STATE.INITIALIZED, MIDI_STATE.DISPOSED],
         [MIDI_STATE.SUSPENDED]: [MIDI_STATE.CONNECTING, MIDI_STATE.INITIALIZED, MIDI_STATE.DISPOSED],
         [MIDI_STATE.DISPOSED]: [MIDI_STATE.UNINITIALIZED]
     }[midiState] || [];
@@ -86,8 +114,9 @@ function setMidiState(newState) {
 }
 
 /**
- * Updates the MIDI connection status indicator.
- * @param {boolean} isConnected - True if Launchpad is connected, false otherwise.
+ * Updates the MIDI connection status indicator. When the grid spans two Launchpads,
+ * the text tells how many of them are connected.
+ * @param {boolean} isConnected - True if a Launchpad is connected, false otherwise.
  */
 function updateMidiStatus(isConnected) {
     isMidiConnected = isConnected;
@@ -99,7 +128,15 @@ function updateMidiStatus(isConnected) {
         return;
     }
 
-    if (isConnected) {
+    const total = getGridLayout().devices;
+    if (isConnected && total > 1) {
+        statusText.removeAttribute('data-i18n');
+        statusText.textContent = getTranslation('midi.status.connectedCount')
+            .replace('{count}', devices.filter(Boolean).length)
+            .replace('{total}', total);
+        statusDot.classList.remove('disconnected');
+        statusDot.classList.add('connected');
+    } else if (isConnected) {
         statusText.setAttribute('data-i18n', 'midi.status.connected');
         statusText.textContent = getTranslation('midi.status.connected');
         statusDot.classList.remove('disconnected');
@@ -113,37 +150,45 @@ function updateMidiStatus(isConnected) {
 }
 
 /**
- * Sets up event handlers for the Launchpad using the library.
- * Only called once when transitioning to CONNECTED state.
+ * Sets up event handlers for a Launchpad using the library.
+ * Only called once per device when transitioning to CONNECTED state.
+ * @param {object} device - The connected device (see `devices`).
  */
-function setupLaunchpadEvents() {
-    if (!launchpad) return;
-
-    // Handler for key events (press and release)
-    launchpad.on('key', (event) => {
-        const { x, y, pressed } = event;
+function setupLaunchpadEvents(device) {
+    // Handler for key events (press and release), in grid coordinates (see handleDeviceMessage)
+    device.launchpad.on('key', (event) => {
+        const { x, y, pressed, velocity } = event;
 
-        // Side buttons (Scene) have x=SCENE_BUTTONS_X
-        if (x === SCENE_BUTTONS_X && y < LAUNCHPAD_ROWS) {
+        // Side buttons (Scene) are in the column after the grid
+        if (x === getSceneButtonsX() && y < DEVICE_ROWS) {
             // Page change - only on press
             if (pressed) {
                 const pageIndex = y;
                 changeSoundSet(pageIndex);
             }
-        } else if (x < LAUNCHPAD_COLS && y < LAUNCHPAD_ROWS) {
-            // Main grid pads (excluding Automap buttons which have y=AUTOMAP_BUTTONS_Y)
-            const padIndex = y * LAUNCHPAD_COLS + x;
+        } else if (x < getGridCols() && y < getGridRows()) {
+            // Main grid pads (excluding Automap buttons which are in the row after the grid)
+            const padIndex = getPadIndex(x, y);
 
             if (pressed) {
                 // Trigger sound and light on press
-                triggerPad(padIndex);
+                // Velocity-sensitive devices report the hit strength, others always send full velocity
+                triggerPad(padIndex, velocity || MAX_VELOCITY);
             } else {
                 // Stop sound and light on release
                 releasePad(padIndex);
             }
         }
-        // Handler for top automap buttons (y=AUTOMAP_BUTTONS_Y)
-        else if (y === AUTOMAP_BUTTONS_Y && x < LAUNCHPAD_COLS) {
+        // Handler for top automap buttons
+        else if (y === getAutomapButtonsY() && x < FIRST_MODE_INDEX) {
+            // Navigation buttons drive the master effects bound in project.fxButtons
+            if (pressed) {
+                triggerEffectButton(x);
+            } else {
+                releaseEffectButton(x);
+            }
+        }
+        else if (y === getAutomapButtonsY()) {
             // Mode change - only on press
             if (pressed) {
                 const modeIndex = x;
@@ -163,33 +208,291 @@ function getLayoutCodeFromMode(modeIndex) {
 function handleHardwareLayoutChange(event) {
     const modeIndex = event?.detail?.mode;
     if (modeIndex === undefined || modeIndex === null) return;
-    if (!launchpad || !launchpad.midiOut) return;
 
     const layoutCode = getLayoutCodeFromMode(modeIndex);
-    try {
-        launchpad.sendRaw([0xb0, 0x00, layoutCode]);
-        console.log(`[MIDI] Hardware layout switched to ${layoutCode} (Mode ${modeIndex})`);
-    } catch (e) {
-        console.warn("[MIDI] Failed to change hardware layout:", e);
+    devices.forEach(device => {
+        if (!device || !device.launchpad.midiOut) return;
+        // The RGB models stay in programmer mode: the classic layout command would not apply
+        if (device.profile && device.profile.rgb) return;
+        try {
+            device.launchpad.sendRaw([0xb0, 0x00, layoutCode]);
+            console.log(`[MIDI] Hardware layout of device ${device.index} switched to ${layoutCode} (Mode ${modeIndex})`);
+        } catch (e) {
+            console.warn("[MIDI] Failed to change hardware layout:", e);
+        }
+    });
+}
+
+/**
+ * Handles the MIDI messages of a Launchpad: SysEx replies go to its pending identity
+ * request, button messages are decoded with its device profile, mapped to grid
+ * coordinates and emitted as the `key` events of launchpad-webmidi.
+ * @param {MIDIMessageEvent} message - The MIDI message.
+ * @param {object} device - The device the message comes from (see `devices`).
+ */
+function handleDeviceMessage(message, device) {
+    const data = message.data;
+    if (data[0] === 0xf0) {
+        if (device.identityReplyHandler) device.identityReplyHandler(data);
+        return;
     }
+    if (!device.profile) return;
+    // A Launchpad picked as controller input plays through its learned mapping (see midiLearn.js)
+    if (isControllerInput(message.currentTarget)) return;
+
+    const button = getButtonFromMessage(device.profile, data);
+    if (!button) return;
+    const [x, y] = getGridButton(device.index, button.x, button.y);
+    device.launchpad.emit('key', {
+        ...button,
+        x, y,
+        // Pretend to be an array, like the events of launchpad-webmidi
+        0: x, 1: y, length: 2
+    });
+}
+
+/**
+ * Detects the model of a Launchpad: from the port name, or from its reply to a SysEx
+ * identity request when the name matches no specific model.
+ * @param {object} device - The device being connected (see `devices`).
+ * @param {MIDIInput} input - The Launchpad input.
+ * @param {MIDIOutput} output - The Launchpad output.
+ * @returns {Promise<object>} The device profile.
+ */
+async function detectDeviceProfile(device, input, output) {
+    // Ports picked by hand may have any name (e.g. a MIDI interface): classic until identified
+    const profile = getProfileForPort(input.name) || getClassicProfile();
+    if (profile.rgb || !midiAccessRef.sysexEnabled) return profile;
+
+    let replyHandler = null;
+    const identified = await new Promise(resolve => {
+        const timer = setTimeout(() => resolve(null), MIDI_IDENTITY_TIMEOUT_MS);
+        replyHandler = (data) => {
+            const replyProfile = getProfileForIdentity(data);
+            if (!replyProfile) return;
+            clearTimeout(timer);
+            resolve(replyProfile);
+        };
+        device.identityReplyHandler = replyHandler;
+        try {
+            output.send(IDENTITY_REQUEST);
+        } catch (e) {
+            clearTimeout(timer);
+            resolve(null);
+        }
+    });
+    // A newer connection (another port picked meanwhile) may be waiting for its own reply
+    if (device.identityReplyHandler === replyHandler) device.identityReplyHandler = null;
+    return identified || profile;
 }
 
 /**
- * Clears Launchpad instance and its event handlers.
- * Called whenever we need to reset the device state.
+ * Sends the messages preparing a Launchpad (e.g. programmer mode on the RGB models).
+ * SysEx needs the permission of the user: without it, the device keeps its current mode.
+ * @param {object} device - The device (see `devices`).
  */
-function resetLaunchpadState() {
-    if (launchpad && launchpad.observers) {
+function sendSetupMessages(device) {
+    const messages = getSetupMessages(device.profile);
+    if (messages.length > 0 && !midiAccessRef.sysexEnabled) {
+        console.warn(`[MIDI] SysEx not allowed: ${device.profile.name} left in its current mode.`);
+        return;
+    }
+    messages.forEach(message => device.launchpad.sendRaw(message));
+}
+
+/**
+ * Clears the event handlers of a Launchpad and sends it the reset messages of its model.
+ * @param {object} device - The device (see `devices`).
+ */
+function releaseDevice(device) {
+    const { launchpad } = device;
+    if (launchpad.observers) {
         launchpad.observers = {};
     }
-    if (launchpad && launchpad.midiIn) {
+    if (launchpad.midiIn) {
         launchpad.midiIn.onmidimessage = null;
     }
+    device.identityReplyHandler = null;
+    try {
+        getResetMessages(device.profile || getClassicProfile()).forEach(message => launchpad.sendRaw(message));
+    } catch (e) {
+        // Reset fails if the device is unplugged (or SysEx is not allowed), ignore
+    }
 }
 
 /**
- * Attempts to find and connect to a Launchpad device.
+ * Returns true if a MIDI input is the one of a connected Launchpad.
+ * @param {MIDIPort} port - A MIDI input.
+ * @returns {boolean}
+ */
+function isUsedInput(port) {
+    return devices.some(device => device && device.launchpad.midiIn && device.launchpad.midiIn.id === port.id);
+}
+
+/**
+ * Gets the localStorage key of a port picked in the device picker.
+ * @param {string} type - 'input' or 'output'.
+ * @param {number} deviceIndex - Index of the device in the grid layout.
+ * @returns {string}
+ */
+function getPortStorageKey(type, deviceIndex) {
+    return deviceIndex === 0 ? PORT_STORAGE_KEYS[type] : `${PORT_STORAGE_KEYS[type]}.${deviceIndex + 1}`;
+}
+
+/**
+ * Gets the id of the picker select of a port.
+ * @param {string} type - 'input' or 'output'.
+ * @param {number} deviceIndex - Index of the device in the grid layout.
+ * @returns {string}
+ */
+function getPortSelectId(type, deviceIndex) {
+    return deviceIndex === 0 ? `midi-${type}-select` : `midi-${type}-select-${deviceIndex + 1}`;
+}
+
+/**
+ * Gets the port picked in the device picker.
+ * @param {string} type - 'input' or 'output'.
+ * @param {number} [deviceIndex=0] - Index of the device in the grid layout.
+ * @returns {string} The port name, '' for automatic.
+ */
+function getPickedPortName(type, deviceIndex = 0) {
+    return safeLocalStorageGetItem(getPortStorageKey(type, deviceIndex), '') || '';
+}
+
+/**
+ * Finds the ports of a Launchpad: the picked ones, or in automatic mode the first
+ * Launchpad not used by another device (the output named like the input first, to
+ * pair the ports of one device).
+ * @param {number} deviceIndex - Index of the device in the grid layout.
+ * @param {Set<string>} usedIds - Ids of the ports used by the other devices.
+ * @returns {{input: MIDIInput|null, output: MIDIOutput|null}}
+ */
+function findDevicePorts(deviceIndex, usedIds) {
+    const inputs = Array.from(midiAccessRef.inputs.values()).filter(port => !usedIds.has(port.id));
+    const outputs = Array.from(midiAccessRef.outputs.values()).filter(port => !usedIds.has(port.id));
+    const inputName = getPickedPortName('input', deviceIndex);
+    const outputName = getPickedPortName('output', deviceIndex);
+    const input = inputName
+        ? findPortByName(inputs, inputName)
+        : findLaunchpadPort(inputs);
+    const output = outputName
+        ? findPortByName(outputs, outputName)
+        : (input && findPortByName(outputs, input.name)) || findLaunchpadPort(outputs);
+    return { input, output };
+}
+
+/**
+ * Returns true if a port can be the input of a Launchpad of the layout: a picked
+ * port, or any Launchpad for a device in automatic mode.
+ * @param {MIDIPort} port - A MIDI input.
+ * @returns {boolean}
+ */
+function isDeviceInput(port) {
+    for (let deviceIndex = 0; deviceIndex < getGridLayout().devices; deviceIndex++) {
+        const inputName = getPickedPortName('input', deviceIndex);
+        if (inputName ? port.name === inputName : isLaunchpadPort(port.name)) return true;
+    }
+    return false;
+}
+
+/**
+ * Lists the MIDI ports in the device picker, with the ports of the second Launchpad
+ * when the grid spans two.
+ */
+function updateDevicePicker() {
+    const deviceCount = getGridLayout().devices;
+    const picker = document.getElementById('midi-device-picker');
+    if (picker) picker.classList.toggle('two-devices', deviceCount > 1);
+
+    for (let deviceIndex = 0; deviceIndex < deviceCount; deviceIndex++) {
+        const inputSelect = document.getElementById(getPortSelectId('input', deviceIndex));
+        const outputSelect = document.getElementById(getPortSelectId('output', deviceIndex));
+        if (inputSelect) {
+            fillMidiPortSelect(inputSelect, midiAccessRef && midiAccessRef.inputs.values(), getPickedPortName('input', deviceIndex), 'midi.devices.auto');
+        }
+        if (outputSelect) {
+            fillMidiPortSelect(outputSelect, midiAccessRef && midiAccessRef.outputs.values(), getPickedPortName('output', deviceIndex), 'midi.devices.auto');
+        }
+    }
+}
+
+/**
+ * Releases the Launchpads but keeps the MIDI access, so that they can be connected
+ * again (plugged back in, picked in the device picker, or for another grid layout).
+ */
+function disconnectLaunchpad() {
+    devices.forEach((device, deviceIndex) => {
+        if (!device) return;
+        releaseDevice(device);
+        setLaunchpadInstance(null, undefined, false, deviceIndex);
+    });
+    devices.length = 0;
+    if (midiState === MIDI_STATE.CONNECTED || midiState === MIDI_STATE.CONNECTING) {
+        setMidiState(MIDI_STATE.INITIALIZED);
+    }
+    updateMidiStatus(false);
+}
+
+/**
+ * Connects the Launchpads again, e.g. for another grid layout or after a port change.
+ */
+function reconnectLaunchpads() {
+    if (!midiAccessRef || midiState === MIDI_STATE.UNINITIALIZED ||
+        midiState === MIDI_STATE.SUSPENDED || midiState === MIDI_STATE.DISPOSED) return;
+    disconnectLaunchpad();
+    connectToLaunchpad();
+}
+
+/**
+ * Sets up the device picker: picking a port saves it and connects to it.
+ */
+function initializeDevicePicker() {
+    if (devicePickerInitialized) return;
+    devicePickerInitialized = true;
+
+    const toggle = document.getElementById('midi-devices-toggle');
+    const status = toggle && toggle.closest('.midi-status-fixed');
+    if (status) {
+        registerListener(toggle, 'click', () => {
+            const isOpen = status.classList.toggle('picker-open');
+            toggle.setAttribute('aria-expanded', String(isOpen));
+        });
+    }
+
+    // One input/output pair per Launchpad: the second pair is shown for two-device layouts
+    [0, 1].forEach(deviceIndex => {
+        Object.keys(PORT_STORAGE_KEYS).forEach(type => {
+            const select = document.getElementById(getPortSelectId(type, deviceIndex));
+            if (!select) return;
+            registerListener(select, 'change', function () {
+                safeLocalStorageSetItem(getPortStorageKey(type, deviceIndex), this.value);
+                console.log(`[MIDI] ${type} port of device ${deviceIndex} picked: ${this.value || 'automatic'}`);
+                reconnectLaunchpads();
+            });
+        });
+    });
+}
+
+/**
+ * Connects one Launchpad.
+ * @param {number} deviceIndex - Index of the device in the grid layout.
+ * @param {MIDIInput} input - The Launchpad input.
+ * @param {MIDIOutput} output - The Launchpad output.
+ * @returns {object} The device (see `devices`), its profile still to be detected.
+ */
+function attachDevice(deviceIndex, input, output) {
+    const device = { index: deviceIndex, launchpad: new Launchpad(), profile: null, identityReplyHandler: null };
+    device.launchpad.attach(input, output);
+    // Decode the messages with the device profile instead of the classic layout of the library
+    input.onmidimessage = (message) => handleDeviceMessage(message, device);
+    devices[deviceIndex] = device;
+    return device;
+}
+
+/**
+ * Attempts to find and connect to the Launchpads of the grid layout (one per device).
  * Respects state transitions and prevents parallel connection attempts.
+ * Missing Launchpads are connected when they are plugged in.
  */
 async function connectToLaunchpad() {
     // Only allow connection from specific states
@@ -211,6 +514,7 @@ async function connectToLaunchpad() {
 
     // Transition to CONNECTING state
     setMidiState(MIDI_STATE.CONNECTING);
+    const attempt = ++connectionAttempt;
 
     try {
         // Check if library is available
@@ -218,10 +522,18 @@ async function connectToLaunchpad() {
             throw new Error("launchpad-webmidi library not loaded correctly");
         }
 
-        const input = findPort(midiAccessRef.inputs.values());
-        const output = findPort(midiAccessRef.outputs.values());
+        // A port can only serve one device
+        const usedIds = new Set();
+        const connecting = [];
+        for (let deviceIndex = 0; deviceIndex < getGridLayout().devices; deviceIndex++) {
+            const { input, output } = findDevicePorts(deviceIndex, usedIds);
+            if (!input || !output) continue;
+            usedIds.add(input.id);
+            usedIds.add(output.id);
+            connecting.push({ device: attachDevice(deviceIndex, input, output), input, output });
+        }
 
-        if (!input || !output) {
+        if (connecting.length === 0) {
             console.log("[MIDI] No Launchpad found during scan.");
             // Return to INITIALIZED state if connection fails
             setMidiState(MIDI_STATE.INITIALIZED);
@@ -229,14 +541,21 @@ async function connectToLaunchpad() {
             return;
         }
 
-        // Connect to Launchpad
-        resetLaunchpadState();
-        launchpad = new Launchpad();
-        launchpad.attach(input, output);
+        const profiles = await Promise.all(connecting.map(({ device, input, output }) => detectDeviceProfile(device, input, output)));
+        // A newer attempt (another port picked) may have started meanwhile
+        if (midiState !== MIDI_STATE.CONNECTING || attempt !== connectionAttempt) {
+            console.log("[MIDI] Connection abandoned while identifying the device");
+            return;
+        }
+        connecting.forEach(({ device }, i) => {
+            device.profile = profiles[i];
+            device.launchpad.name = device.profile.name;
+            sendSetupMessages(device);
 
-        // If connection is successful, assign it to the main variable
-        setLaunchpadInstance(launchpad);
-        console.log(`[MIDI] ${launchpad.name || ''} connected`);
+            // If connection is successful, hand it to the physical interface
+            setLaunchpadInstance(device.launchpad, device.profile, midiAccessRef.sysexEnabled, device.index);
+            console.log(`[MIDI] ${device.launchpad.name || ''} connected (device ${device.index})`);
+        });
 
         // Transition to CONNECTED state
         setMidiState(MIDI_STATE.CONNECTED);
@@ -246,7 +565,7 @@ async function connectToLaunchpad() {
         showNotification(getTranslation('midi.status.connected'), 'success');
 
         // Set up pad event handlers
-        setupLaunchpadEvents();
+        connecting.forEach(({ device }) => setupLaunchpadEvents(device));
 
         // Always sync the current mode and hardware layout immediately
         // This forces the hardware into the correct layout (e.g. User 1)
@@ -282,16 +601,6 @@ async function connectToLaunchpad() {
     }
 }
 
-function findPort(iterator) {
-    let item = iterator.next();
-    while (!item.done) {
-        if (item.value.name.includes('Launchpad')) return item.value;
-        item = iterator.next();
-    }
-    return null;
-}
-
-
 /**
  * Initializes the MIDI system and sets up hot-plugging.
  * This is the module entry point, called by `app.js`.
@@ -311,38 +620,57 @@ export async function initMidi() {
 
     initializingPromise = (async () => {
         console.log("[MIDI] Initializing MIDI system...");
+        initializeDevicePicker();
         try {
-            // Request MIDI access from the browser
-            midiAccessRef = await navigator.requestMIDIAccess();
+            // Request MIDI access from the browser, with SysEx for the programmer mode of
+            // the RGB Launchpads; the classic models work without it
+            try {
+                midiAccessRef = await navigator.requestMIDIAccess({ sysex: true });
+            } catch (sysexError) {
+                console.warn("[MIDI] SysEx access denied, RGB Launchpads may not respond:", sysexError);
+                midiAccessRef = await navigator.requestMIDIAccess();
+            }
             console.log("[MIDI] Web MIDI API access granted.");
 
             // Transition to INITIALIZED state
             setMidiState(MIDI_STATE.INITIALIZED);
+            // Other MIDI controllers (midiLearn.js) share the access
+            window.dispatchEvent(new CustomEvent('midi:access', { detail: { access: midiAccessRef } }));
 
             // Set up the handler for device state changes (hot-plugging)
             midiAccessRef.onstatechange = (event) => {
+                updateDevicePicker();
+
                 // A port change can trigger multiple times (once for input, once for output)
                 // Only one of them is processed to avoid duplicate notifications
                 if (event.port.type !== 'input') return;
 
                 console.log(`[MIDI] Port state change: ${event.port.name}, ${event.port.state}`);
 
-                const isLaunchpad = event.port.name.includes('Launchpad');
+                // Only the ports in use count: another Launchpad may be unplugged meanwhile
+                const isConnectedPort = isUsedInput(event.port);
 
-                if (event.port.state === 'disconnected' && isLaunchpad) {
+                if (event.port.state === 'disconnected' && isConnectedPort) {
                     console.log("[MIDI] Launchpad disconnected via onstatechange.");
-                    updateMidiStatus(false);
                     showNotification(getTranslation('midi.status.disconnected'), 'error');
-                    disposeMidi({ releaseAccess: false });
-                } else if (event.port.state === 'connected' && isLaunchpad) {
-                    // Only attempt connection if not already connecting/connected
+                    // Keep the access: the picked ports are restored when plugged in again,
+                    // and the other Launchpad of the layout keeps playing
+                    disconnectLaunchpad();
+                    connectToLaunchpad();
+                } else if (event.port.state === 'connected' && !isConnectedPort && isDeviceInput(event.port)) {
                     if (midiState !== MIDI_STATE.CONNECTING && midiState !== MIDI_STATE.CONNECTED) {
                         console.log(`[MIDI] New Launchpad detected: ${event.port.name}`);
                         connectToLaunchpad();
+                    } else if (midiState === MIDI_STATE.CONNECTED && devices.filter(Boolean).length < getGridLayout().devices) {
+                        // The layout was waiting for this Launchpad
+                        console.log(`[MIDI] Additional Launchpad detected: ${event.port.name}`);
+                        reconnectLaunchpads();
                     }
                 }
             };
 
+            updateDevicePicker();
+
             // Perform an initial scan for the Launchpad
             await connectToLaunchpad();
 
@@ -354,6 +682,16 @@ export async function initMidi() {
             hardwareLayoutListener = handleHardwareLayoutChange;
             registerListener(window, 'midi:setHardwareLayout', hardwareLayoutListener);
 
+            // Another grid layout may need another number of Launchpads
+            if (gridLayoutListener) {
+                removeListener(window, 'grid:layout', gridLayoutListener);
+            }
+            gridLayoutListener = () => {
+                updateDevicePicker();
+                reconnectLaunchpads();
+            };
+            registerListener(window, 'grid:layout', gridLayoutListener);
+
             // Clean up previous visibility callback before registering a new one
             // This prevents callback accumulation in the Set
             if (visibilityUnsubscribe) {
@@ -416,20 +754,18 @@ export async function disposeMidi({ releaseAccess = false } = {}) {
     // The callback itself will check midiState and skip dispose if already DISPOSED.
 
     try {
-        if (launchpad) {
-            resetLaunchpadState();
-            try {
-                launchpad.reset(0);
-            } catch (e) {
-                // Reset may fail if device is unplugged, ignore
-            }
-            launchpad = null;
+        if (devices.some(Boolean)) {
+            devices.forEach(device => {
+                if (device) releaseDevice(device);
+            });
+            devices.length = 0;
             updateMidiStatus(false);
         }
 
         if (releaseAccess && midiAccessRef) {
             midiAccessRef.onstatechange = null;
             midiAccessRef = null;
+            window.dispatchEvent(new CustomEvent('midi:access', { detail: { access: null } }));
             // Return to uninitialized state when fully disposed
             setMidiState(MIDI_STATE.UNINITIALIZED);
         }
@@ -0,0 +1,231 @@
+/**
+ * MIDI FILE IMPORT (midiFile.js)
+ *
+ * Converts Standard MIDI Files (.mid) into LED timelines, so light shows authored
+ * in a DAW as MIDI clips can be bound to a pad like any other LED timeline.
+ *
+ * The clip follows the Launchpad programming conventions:
+ * - note number = pad, with the layout used by `setPhysicalColor` (`0x10 * y + x`);
+ * - MIDI channel = Launchpad, when the grid spans two (channel 1 the first, 2 the second,
+ *   see gridLayout.js);
+ * - note-on velocity = color, in the classic Launchpad encoding
+ *   (`0x10 * green + red`, each 0-3), mapped to the colors of `webColorMap`;
+ * - note-off (or velocity 0) turns the pad off.
+ */
+
+import { LEVEL_VELOCITIES } from './colorPalette.js';
+import { DEVICE_COLS, DEVICE_ROWS } from './constants.js';
+import { getGridLayout } from './gridLayout.js';
+
+const HEADER_CHUNK = 'MThd';
+const TRACK_CHUNK = 'MTrk';
+const DEFAULT_TEMPO = 500000; // Microseconds per quarter note (120 BPM)
+const BRIGHTNESS_LEVELS = [null, 'low', 'medium', 'full'];
+
+/**
+ * Parses a Standard MIDI File.
+ * @param {ArrayBuffer} buffer - The file content.
+ * @returns {{format: number, division: number, events: object[]}} Note and tempo events of
+ *   all tracks merged, sorted by absolute time:
+ *   `{ time, type: 'noteOn'|'noteOff'|'tempo'|'endOfTrack', channel, note, velocity, tempo }` (time in seconds).
+ * @throws {Error} If the data is not a Standard MIDI File.
+ */
+export function parseMidiFile(buffer) {
+    const bytes = new Uint8Array(buffer);
+    const view = new DataView(buffer);
+
+    if (readChunkId(bytes, 0) !== HEADER_CHUNK) throw new Error('Not a Standard MIDI File');
+    const headerLength = view.getUint32(4);
+    const format = view.getUint16(8);
+    const trackCount = view.getUint16(10);
+    const division = view.getUint16(12);
+
+    const tickEvents = [];
+    let offset = 8 + headerLength;
+    for (let track = 0; track < trackCount && offset + 8 <= bytes.length; track++) {
+        const length = view.getUint32(offset + 4);
+        if (readChunkId(bytes, offset) === TRACK_CHUNK) {
+            tickEvents.push(...readTrack(bytes, offset + 8, Math.min(offset + 8 + length, bytes.length)));
+        }
+        // Unknown chunks are skipped, as required by the specification
+        offset += 8 + length;
+    }
+
+    // Stable sort: events on the same tick keep their order within the file
+    tickEvents.sort((a, b) => a.tick - b.tick);
+    return { format, division, events: ticksToSeconds(tickEvents, division) };
+}
+
+/**
+ * Reads the 4-character id of a chunk.
+ * @param {Uint8Array} bytes - The file content.
+ * @param {number} offset - Start of the chunk.
+ * @returns {string}
+ */
+function readChunkId(bytes, offset) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + 4));
+}
+
+/**
+ * Reads the events of a track chunk.
+ * @param {Uint8Array} bytes - The file content.
+ * @param {number} start - First byte of the track data.
+ * @param {number} end - End of the track data.
+ * @returns {object[]} Events with their absolute `tick`.
+ */
+function readTrack(bytes, start, end) {
+    const events = [];
+    let offset = start;
+    let tick = 0;
+    let runningStatus = 0;
+
+    const readVariableLength = () => {
+        let value = 0;
+        let byte;
+        do {
+            byte = bytes[offset++];
+            value = (value << 7) | (byte & 0x7f);
+        } while (byte & 0x80 && offset < end);
+        return value;
+    };
+
+    while (offset < end) {
+        tick += readVariableLength();
+
+        let status = bytes[offset];
+        if (status & 0x80) {
+            offset++;
+        } else {
+            status = runningStatus; // Running status: the data byte belongs to the previous command
+        }
+
+        if (status === 0xff) {
+            const type = bytes[offset++];
+            const length = readVariableLength();
+            if (type === 0x51 && length === 3) {
+                const tempo = (bytes[offset] << 16) | (bytes[offset + 1] << 8) | bytes[offset + 2];
+                events.push({ tick, type: 'tempo', tempo });
+            }
+            offset += length;
+            if (type === 0x2f) {
+                events.push({ tick, type: 'endOfTrack' });
+                break;
+            }
+            continue;
+        }
+        if (status === 0xf0 || status === 0xf7) {
+            offset += readVariableLength(); // SysEx data is ignored
+            continue;
+        }
+
+        runningStatus = status;
+        const command = status & 0xf0;
+        const channel = status & 0x0f;
+        if (command === 0xc0 || command === 0xd0) {
+            offset += 1; // Program change and channel pressure have one data byte
+            continue;
+        }
+
+        const note = bytes[offset];
+        const velocity = bytes[offset + 1];
+        offset += 2;
+        if (command === 0x90 && velocity > 0) {
+            events.push({ tick, type: 'noteOn', channel, note, velocity });
+        } else if (command === 0x80 || command === 0x90) {
+            events.push({ tick, type: 'noteOff', channel, note, velocity: 0 });
+        }
+    }
+
+    return events;
+}
+
+/**
+ * Converts the absolute ticks of sorted events to seconds, following tempo changes.
+ * @param {object[]} events - Events sorted by `tick`.
+ * @param {number} division - Header division: ticks per quarter note, or SMPTE timing.
+ * @returns {object[]} The events with a `time` in seconds instead of `tick`.
+ */
+function ticksToSeconds(events, division) {
+    if (division & 0x8000) {
+        // SMPTE timing: frames per second (stored negative) x ticks per frame, tempo-independent
+        const framesPerSecond = 256 - (division >> 8);
+        const ticksPerSecond = framesPerSecond * (division & 0xff);
+        return events.map(({ tick, ...event }) => ({ time: tick / ticksPerSecond, ...event }));
+    }
+
+    let tempo = DEFAULT_TEMPO;
+    let lastTick = 0;
+    let time = 0;
+    return events.map(({ tick, ...event }) => {
+        time += (tick - lastTick) * tempo / division / 1000000;
+        lastTick = tick;
+        if (event.type === 'tempo') tempo = event.tempo;
+        return { time, ...event };
+    });
+}
+
+/**
+ * Gets the color and brightness of a classic Launchpad velocity
+ * (`0x10 * green + red`, each component 0-3).
+ * @param {number} velocity - Note-on velocity.
+ * @returns {{color: string, velocity: number}} A color of `webColorMap` (or 'off') and
+ *   its brightness as a 0-127 velocity.
+ */
+export function launchpadVelocityToColor(velocity) {
+    const red = velocity & 0x03;
+    const green = (velocity >> 4) & 0x03;
+    if (red === 0 && green === 0) return { color: 'off', velocity: 0 };
+
+    let color;
+    if (green === 0) color = 'red';
+    else if (red === 0) color = 'green';
+    else if (red === green) color = 'amber';
+    else color = green > red ? 'yellow' : 'orange';
+
+    const level = BRIGHTNESS_LEVELS[Math.max(red, green)];
+    return { color, velocity: LEVEL_VELOCITIES[level] };
+}
+
+/**
+ * Converts a Standard MIDI File into an LED timeline `{ events, duration }`, in grid
+ * coordinates. Notes outside the 8x8 pads of a device, or on the channel of a device
+ * the layout does not have, are ignored.
+ * @param {ArrayBuffer} buffer - The .mid file content.
+ * @param {{devices: number, deviceCols: number}} [layout] - The grid layout (see gridLayout.js),
+ *   the current one by default.
+ * @returns {{events: object[], duration: number}}
+ * @throws {Error} If the data is not a Standard MIDI File.
+ */
+export function midiFileToLedTimeline(buffer, layout = getGridLayout()) {
+    const { events } = parseMidiFile(buffer);
+    const timeline = [];
+    let skipped = 0;
+
+    events.forEach(event => {
+        if (event.type !== 'noteOn' && event.type !== 'noteOff') return;
+
+        const deviceX = event.note & 0x0f;
+        const deviceY = event.note >> 4;
+        // With one Launchpad, clips authored on any channel keep working
+        const device = layout.devices > 1 ? event.channel : 0;
+        if (deviceX >= DEVICE_COLS || deviceY >= DEVICE_ROWS || device >= layout.devices) {
+            skipped++;
+            return;
+        }
+        const x = (device % layout.deviceCols) * DEVICE_COLS + deviceX;
+        const y = Math.floor(device / layout.deviceCols) * DEVICE_ROWS + deviceY;
+
+        const { color, velocity } = event.type === 'noteOn'
+            ? launchpadVelocityToColor(event.velocity)
+            : { color: 'off', velocity: 0 };
+        timeline.push({ time: event.time, x, y, color, velocity });
+    });
+
+    if (skipped > 0) {
+        console.warn(`[MIDI File] ${skipped} note(s) outside the grid ignored.`);
+    }
+
+    // The clip ends with its longest track (end-of-track events are part of `events`)
+    const duration = events.length > 0 ? events[events.length - 1].time : 0;
+    return { events: timeline, duration };
+}
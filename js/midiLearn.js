@@ -0,0 +1,476 @@
+/**
+ * MIDI CONTROLLER MAPPING (midiLearn.js)
+ *
+ * Plays the app from any MIDI controller (APC40, APC Mini, Midi Fighter, Akai MPD...),
+ * not only from the Launchpads handled by midi.js.
+ *
+ * MIDI learn: with an input port picked in the sidebar, the user starts "MIDI learn",
+ * clicks a pad, page or mode button of the web grid, then hits the hardware control
+ * that should drive it. The control (note or CC, channel, number) is bound to that
+ * target; clicking another target maps the next control.
+ *
+ * The mapping is saved in the browser:
+ * `{ input, output, feedbackVelocity, controls: [{ type, channel, number, target }] }`,
+ * with `type` 'note' or 'cc' and `target` `{ type: 'pad'|'page'|'mode'|'fx', index }`.
+ *
+ * Messages of the mapped input replace the fixed Launchpad handling of midi.js (so a
+ * Launchpad can be remapped too). With an output port, the mapped controls get LED
+ * feedback: lit pads, the selected page and the current mode are sent back as the
+ * same note or CC, with `feedbackVelocity` (0 when off).
+ */
+
+import { triggerPad, releasePad, changeSoundSet, changeMode, triggerEffectButton, releaseEffectButton } from './interaction.js';
+import { getPadElement, setPadLightListener } from './webInterface.js';
+import { getProjectStateSnapshot } from './app.js';
+import { getTranslation, showNotification, fillMidiPortSelect, safeLocalStorageGetItem, safeLocalStorageSetItem } from './ui.js';
+import { findPortByName } from './deviceProfiles.js';
+import { registerListener } from './eventCleanup.js';
+import { MAX_VELOCITY } from './constants.js';
+import { getPadCoordinates } from './gridLayout.js';
+
+const CONTROLLER_STORAGE_KEY = 'midi.controller';
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+
+let controllerControlsInitialized = false; // Prevent duplicate listener registration
+let midiAccess = null;
+let inputPort = null;
+let outputPort = null;
+
+let controller = { input: '', output: '', feedbackVelocity: MAX_VELOCITY, controls: [] }; // Loaded at init
+let learning = false;
+let learnTarget = null; // Web grid target waiting for its control
+let lastLearned = null; // Last mapped control, shown while learning
+const feedbackState = new Map(); // Control key -> last value sent to the output
+
+/**
+ * Reads the saved mapping.
+ * @returns {{input: string, output: string, feedbackVelocity: number, controls: object[]}}
+ */
+function loadController() {
+    const empty = { input: '', output: '', feedbackVelocity: MAX_VELOCITY, controls: [] };
+    try {
+        const saved = JSON.parse(safeLocalStorageGetItem(CONTROLLER_STORAGE_KEY, 'null'));
+        if (!saved || !Array.isArray(saved.controls)) return empty;
+        return { ...empty, ...saved };
+    } catch (error) {
+        console.warn('[Controller] Saved mapping is not valid JSON, ignored:', error.message);
+        return empty;
+    }
+}
+
+function saveController() {
+    safeLocalStorageSetItem(CONTROLLER_STORAGE_KEY, JSON.stringify(controller));
+}
+
+/**
+ * Decodes a note or CC message.
+ * @param {Uint8Array} data - The MIDI message.
+ * @returns {{type: string, channel: number, number: number, value: number}|null}
+ *   Null for other messages. A note-off has value 0.
+ */
+function parseControlMessage(data) {
+    if (data.length < 3) return null;
+    const command = data[0] & 0xf0;
+    const channel = data[0] & 0x0f;
+    if (command === NOTE_ON || command === NOTE_OFF) {
+        return { type: 'note', channel, number: data[1], value: command === NOTE_OFF ? 0 : data[2] };
+    }
+    if (command === CONTROL_CHANGE) {
+        return { type: 'cc', channel, number: data[1], value: data[2] };
+    }
+    return null;
+}
+
+function getControlKey(control) {
+    return `${control.type}:${control.channel}:${control.number}`;
+}
+
+function isSameTarget(a, b) {
+    return a.type === b.type && a.index === b.index;
+}
+
+/**
+ * Gets the mapping target of a web grid element (pad, page, mode or navigation button).
+ * @param {Element} element - The pressed element.
+ * @returns {{type: string, index: number}|null}
+ */
+function getTargetFromElement(element) {
+    const button = element.closest('.grid-item, .grid-item-menu');
+    if (!button) return null;
+    for (const type of ['index', 'page', 'mode', 'fx']) {
+        if (button.dataset[type] !== undefined) {
+            return { type: type === 'index' ? 'pad' : type, index: parseInt(button.dataset[type], 10) };
+        }
+    }
+    return null;
+}
+
+/**
+ * Gets the web grid element of a mapping target.
+ * @param {{type: string, index: number}} target - The target.
+ * @returns {Element|null}
+ */
+function getTargetElement(target) {
+    if (target.type === 'pad') return getPadElement(target.index);
+    const attribute = target.type === 'fx' ? 'data-fx' : `data-${target.type}`;
+    return document.querySelector(`.grid-item-menu[${attribute}="${target.index}"]`);
+}
+
+function describeTarget(target) {
+    if (target.type === 'pad') {
+        const [x, y] = getPadCoordinates(target.index);
+        return getTranslation('controller.target.pad')
+            .replace('{x}', x)
+            .replace('{y}', y);
+    }
+    return getTranslation(`controller.target.${target.type}`).replace('{n}', target.index + 1);
+}
+
+function describeControl(control) {
+    return getTranslation(`controller.control.${control.type}`)
+        .replace('{number}', control.number)
+        .replace('{channel}', control.channel + 1);
+}
+
+/**
+ * Binds a control to a target, replacing the previous control of the target and the
+ * previous target of the control.
+ * @param {object} control - The decoded message.
+ * @param {{type: string, index: number}} target - The web grid target.
+ */
+function bindControl(control, target) {
+    const key = getControlKey(control);
+    sendFeedbackValue(controller.controls.find(mapped => isSameTarget(mapped.target, target)), 0);
+    controller.controls = controller.controls.filter(mapped =>
+        getControlKey(mapped) !== key && !isSameTarget(mapped.target, target));
+    const mapped = { type: control.type, channel: control.channel, number: control.number, target };
+    controller.controls.push(mapped);
+    saveController();
+
+    console.log(`[Controller] ${key} mapped to ${target.type} ${target.index}`);
+    lastLearned = mapped;
+    setLearnTarget(null);
+    syncFeedback();
+}
+
+/**
+ * Runs the action of a mapped control, as a press of the web grid would.
+ * @param {{type: string, index: number}} target - The mapped target.
+ * @param {boolean} pressed - Press (note-on, CC > 0) or release.
+ * @param {number} velocity - Velocity of the press.
+ */
+function applyControl(target, pressed, velocity) {
+    switch (target.type) {
+        case 'pad':
+            if (pressed) triggerPad(target.index, velocity);
+            else releasePad(target.index);
+            break;
+        case 'page':
+            if (pressed) changeSoundSet(target.index);
+            break;
+        case 'mode':
+            if (pressed) changeMode(target.index);
+            break;
+        case 'fx':
+            if (pressed) triggerEffectButton(target.index);
+            else releaseEffectButton(target.index);
+            break;
+    }
+}
+
+/**
+ * Handles the messages of the controller input: learns them while MIDI learn is on,
+ * plays the mapped targets otherwise.
+ * @param {MIDIMessageEvent} message - The MIDI message.
+ */
+function handleControllerMessage(message) {
+    const control = parseControlMessage(message.data);
+    if (!control) return;
+    const pressed = control.value > 0;
+
+    if (learning) {
+        if (learnTarget && pressed) bindControl(control, learnTarget);
+        return;
+    }
+
+    const key = getControlKey(control);
+    const mapped = controller.controls.find(candidate => getControlKey(candidate) === key);
+    if (mapped) applyControl(mapped.target, pressed, control.value);
+}
+
+/**
+ * Returns true if the messages of a port are handled by the controller mapping, in
+ * place of the fixed Launchpad handling of midi.js.
+ * @param {MIDIPort} port - A MIDI input.
+ * @returns {boolean}
+ */
+export function isControllerInput(port) {
+    return !!port && !!controller.input && port.name === controller.input;
+}
+
+/**
+ * Opens the saved input and output ports, if connected.
+ */
+function attachPorts() {
+    const input = midiAccess ? findPortByName(midiAccess.inputs.values(), controller.input) : null;
+    const output = midiAccess ? findPortByName(midiAccess.outputs.values(), controller.output) : null;
+
+    if (input !== inputPort) {
+        if (inputPort) inputPort.removeEventListener('midimessage', handleControllerMessage);
+        inputPort = input;
+        if (inputPort) {
+            inputPort.addEventListener('midimessage', handleControllerMessage);
+            // addEventListener does not open the port implicitly, unlike onmidimessage
+            inputPort.open().catch(error => console.warn(`[Controller] Unable to open ${inputPort.name}:`, error));
+            console.log(`[Controller] Listening to ${inputPort.name}`);
+        }
+    }
+    if (output !== outputPort) {
+        outputPort = output;
+        feedbackState.clear();
+        syncFeedback();
+    }
+}
+
+/**
+ * Sends a value to the LED of a mapped control, if it changed.
+ * @param {object|undefined} mapped - The mapped control.
+ * @param {number} value - Velocity (note) or value (CC), 0 for off.
+ */
+function sendFeedbackValue(mapped, value) {
+    if (!mapped || !outputPort) return;
+    const key = getControlKey(mapped);
+    if (feedbackState.get(key) === value) return;
+    feedbackState.set(key, value);
+
+    const status = (mapped.type === 'cc' ? CONTROL_CHANGE : NOTE_ON) | mapped.channel;
+    try {
+        outputPort.send([status, mapped.number, value]);
+    } catch (error) {
+        // The output may have been unplugged: the state change will detach it
+        console.warn('[Controller] Unable to send LED feedback:', error);
+    }
+}
+
+/**
+ * Lights the control mapped to a target, or turns it off.
+ * @param {{type: string, index: number}} target - The target.
+ * @param {boolean} isLit - Whether the target is lit.
+ */
+function sendFeedback(target, isLit) {
+    const mapped = controller.controls.find(candidate => isSameTarget(candidate.target, target));
+    sendFeedbackValue(mapped, isLit ? controller.feedbackVelocity : 0);
+}
+
+/**
+ * Sends the state of every mapped control: lit pads, selected page and current mode.
+ */
+function syncFeedback() {
+    if (!outputPort) return;
+    const state = getProjectStateSnapshot();
+    controller.controls.forEach(mapped => {
+        const { type, index } = mapped.target;
+        let isLit = false;
+        if (type === 'pad') {
+            const pad = getPadElement(index);
+            isLit = !!pad && pad.classList.contains('active');
+        } else if (type === 'page') {
+            isLit = index === state.page;
+        } else if (type === 'mode') {
+            isLit = index === state.mode;
+        }
+        sendFeedbackValue(mapped, isLit ? controller.feedbackVelocity : 0);
+    });
+}
+
+/**
+ * Turns off the LEDs of the mapped controls.
+ */
+function clearFeedback() {
+    controller.controls.forEach(mapped => sendFeedbackValue(mapped, 0));
+}
+
+/**
+ * Selects the web grid target that the next control will be bound to.
+ * @param {{type: string, index: number}|null} target - The target, or null for none.
+ */
+function setLearnTarget(target) {
+    if (learnTarget) {
+        const element = getTargetElement(learnTarget);
+        if (element) element.classList.remove('learn-target');
+    }
+    learnTarget = target;
+    if (learnTarget) {
+        const element = getTargetElement(learnTarget);
+        if (element) element.classList.add('learn-target');
+    }
+    updateControllerControls();
+}
+
+/**
+ * Marks the mapped targets of the web grid while MIDI learn is on.
+ */
+function renderLearnMarks() {
+    document.querySelectorAll('.learn-mapped').forEach(element => element.classList.remove('learn-mapped'));
+    if (!learning) return;
+    controller.controls.forEach(mapped => {
+        const element = getTargetElement(mapped.target);
+        if (element) element.classList.add('learn-mapped');
+    });
+}
+
+/**
+ * Starts or stops MIDI learn.
+ * @param {boolean} active - Whether MIDI learn is on.
+ */
+function setLearning(active) {
+    if (active && !inputPort) {
+        showNotification(getTranslation('controller.learn.noInput'), 'warning');
+        return;
+    }
+    learning = active;
+    lastLearned = null;
+    setLearnTarget(null);
+}
+
+/**
+ * Updates the controller menu: port pickers, learn button and status line.
+ */
+function updateControllerControls() {
+    renderLearnMarks();
+
+    const inputSelect = document.getElementById('controller-input-select');
+    const outputSelect = document.getElementById('controller-output-select');
+    if (inputSelect) fillMidiPortSelect(inputSelect, midiAccess && midiAccess.inputs.values(), controller.input, 'controller.none');
+    if (outputSelect) fillMidiPortSelect(outputSelect, midiAccess && midiAccess.outputs.values(), controller.output, 'controller.none');
+
+    const learnButton = document.getElementById('controller-learn-toggle');
+    if (learnButton) {
+        const key = learning ? 'controller.learn.stop' : 'controller.learn.start';
+        learnButton.setAttribute('data-i18n', key);
+        learnButton.textContent = getTranslation(key);
+        learnButton.classList.toggle('active', learning);
+    }
+
+    const info = document.getElementById('controller-learn-info');
+    if (!info) return;
+    if (learning && learnTarget) {
+        info.textContent = getTranslation('controller.learn.waiting').replace('{target}', describeTarget(learnTarget));
+    } else if (learning && lastLearned) {
+        info.textContent = getTranslation('controller.learn.mapped')
+            .replace('{target}', describeTarget(lastLearned.target))
+            .replace('{control}', describeControl(lastLearned));
+    } else if (learning) {
+        info.textContent = getTranslation('controller.learn.pickTarget');
+    } else {
+        info.textContent = getTranslation('controller.summary').replace('{count}', controller.controls.length);
+    }
+}
+
+/**
+ * Follows the MIDI access of midi.js: a new access after the page was hidden, or
+ * none once released.
+ * @param {CustomEvent} e - `midi:access`, with the access (or null) in `detail.access`.
+ */
+function handleMidiAccess(e) {
+    if (midiAccess) midiAccess.removeEventListener('statechange', handlePortStateChange);
+    midiAccess = e.detail.access;
+    if (midiAccess) midiAccess.addEventListener('statechange', handlePortStateChange);
+    attachPorts();
+    updateControllerControls();
+}
+
+/**
+ * Reattaches the saved ports when they are plugged in again (or unplugged).
+ */
+function handlePortStateChange() {
+    attachPorts();
+    updateControllerControls();
+}
+
+/**
+ * Sets up the controller menu, MIDI learn on the web grid and the LED feedback.
+ * The ports are opened once midi.js has the MIDI access (`midi:access` event).
+ */
+export function initializeControllerControls() {
+    if (controllerControlsInitialized) {
+        console.log("[Controller] Already initialized, skipping duplicate setup");
+        return;
+    }
+    controllerControlsInitialized = true;
+    controller = loadController();
+
+    registerListener(window, 'midi:access', handleMidiAccess);
+
+    const inputSelect = document.getElementById('controller-input-select');
+    if (inputSelect) {
+        registerListener(inputSelect, 'change', function () {
+            controller.input = this.value;
+            saveController();
+            attachPorts();
+            if (!inputPort) setLearning(false);
+            updateControllerControls();
+        });
+    }
+    const outputSelect = document.getElementById('controller-output-select');
+    if (outputSelect) {
+        registerListener(outputSelect, 'change', function () {
+            clearFeedback();
+            controller.output = this.value;
+            saveController();
+            attachPorts();
+        });
+    }
+    const velocityInput = document.getElementById('controller-feedback-velocity');
+    if (velocityInput) {
+        velocityInput.value = controller.feedbackVelocity;
+        registerListener(velocityInput, 'change', function () {
+            const velocity = Math.min(MAX_VELOCITY, Math.max(1, parseInt(this.value, 10) || MAX_VELOCITY));
+            this.value = velocity;
+            controller.feedbackVelocity = velocity;
+            saveController();
+            syncFeedback();
+        });
+    }
+
+    const learnButton = document.getElementById('controller-learn-toggle');
+    if (learnButton) {
+        registerListener(learnButton, 'click', () => setLearning(!learning));
+    }
+    const clearButton = document.getElementById('controller-clear');
+    if (clearButton) {
+        registerListener(clearButton, 'click', () => {
+            clearFeedback();
+            controller.controls = [];
+            saveController();
+            lastLearned = null;
+            setLearnTarget(null);
+        });
+    }
+
+    const launchpad = document.getElementById('launchpad-grid');
+    if (launchpad) {
+        // Capture phase: while learning, a click selects the target and never reaches
+        // the interaction handlers, so nothing plays
+        const handleTargetPress = (e) => {
+            if (!learning) return;
+            const target = getTargetFromElement(e.target);
+            if (!target) return;
+            e.preventDefault();
+            e.stopPropagation();
+            lastLearned = null;
+            setLearnTarget(target);
+        };
+        registerListener(launchpad, 'mousedown', handleTargetPress, { capture: true });
+        registerListener(launchpad, 'touchstart', handleTargetPress, { capture: true, passive: false });
+    }
+
+    setPadLightListener((index, isLit) => sendFeedback({ type: 'pad', index }, isLit));
+    registerListener(window, 'page:change', syncFeedback);
+    registerListener(window, 'midi:setHardwareLayout', syncFeedback);
+
+    updateControllerControls();
+}
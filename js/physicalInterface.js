@@ -1,81 +1,159 @@
 /**
  * PHYSICAL INTERFACE MODULE (physicalInterface.js)
  * 
- * Handles all communication with the physical Launchpad device via WebMIDI.
+ * Handles all communication with the physical Launchpad devices via WebMIDI.
+ * Grid coordinates are routed to the devices of the grid layout (see gridLayout.js),
+ * then coordinates and colors are translated for the connected model by its device
+ * profile (see deviceProfiles.js). RGB colors (`#RRGGBB`) are sent exactly with RGB
+ * SysEx when the device and the MIDI access allow it.
  */
 
-let launchpad = null;
+import { getClassicProfile, getButtonMessage, getColorVelocity, getRgbLedMessages } from './deviceProfiles.js';
+import { isHexColor, parseHexColor, rgbToNamedColor, getLevelForVelocity, LEVEL_VELOCITIES } from './colorPalette.js';
+import { getDeviceButtons } from './gridLayout.js';
+
+/**
+ * Connected devices, by device index of the grid layout (see gridLayout.js).
+ * Each one is `{ launchpad, profile, rgbSysexEnabled, pendingUpdates }`, pendingUpdates
+ * being keyed by (cmd << 8) | key, with {cmd, key, vel, rgb} values.
+ */
+const devices = [];
+let launchpad = null; // First connected instance: source of the color objects
 const colorCache = new Map();
-const pendingUpdates = new Map(); // Key: key index, Value: {cmd, vel}
 
 /**
- * Sets the launchpad instance to be used.
- * @param {object} lp - The launchpad-webmidi instance.
+ * Sets the launchpad instance of a device.
+ * @param {object|null} lp - The launchpad-webmidi instance, or null when the device is gone.
+ * @param {object} [profile] - Device profile of the connected model (see deviceProfiles.js).
+ * @param {boolean} [sysexEnabled=false] - Whether the MIDI access allows SysEx messages.
+ * @param {number} [deviceIndex=0] - Index of the device in the grid layout.
  */
-export function setLaunchpadInstance(lp) {
-    console.log("[PHYSICAL] Launchpad instance set:", lp);
-    launchpad = lp;
+export function setLaunchpadInstance(lp, profile = getClassicProfile(), sysexEnabled = false, deviceIndex = 0) {
+    console.log(`[PHYSICAL] Launchpad instance set (device ${deviceIndex}):`, lp);
+    devices[deviceIndex] = lp ? {
+        launchpad: lp,
+        profile,
+        rgbSysexEnabled: sysexEnabled && !!profile.rgbLeds,
+        pendingUpdates: new Map()
+    } : null;
+
+    const first = devices.find(Boolean);
+    launchpad = first ? first.launchpad : null;
     colorCache.clear();
-    pendingUpdates.clear();
 }
 
 /**
- * Gets the current launchpad instance.
+ * Gets the device profile of a connected Launchpad.
+ * @param {number} [deviceIndex=0] - Index of the device in the grid layout.
+ * @returns {object}
+ */
+export function getDeviceProfile(deviceIndex = 0) {
+    return devices[deviceIndex] ? devices[deviceIndex].profile : getClassicProfile();
+}
+
+/**
+ * Gets the launchpad instance of a device.
+ * @param {number} [deviceIndex=0] - Index of the device in the grid layout.
  * @returns {object|null}
  */
-export function getLaunchpad() {
-    return launchpad;
+export function getLaunchpad(deviceIndex = 0) {
+    return devices[deviceIndex] ? devices[deviceIndex].launchpad : null;
 }
 
 /**
- * Sets color on the physical launchpad using a batching system.
- * @param {object|number} colorObj - The color object or code.
- * @param {number[]} p - [x, y] coordinates.
+ * Sets color on the physical launchpads using a batching system.
+ * @param {object|number} colorObj - The color object (see `getLpColor`) or code.
+ * @param {number[]} p - [x, y] grid coordinates (see gridLayout.js).
  * @param {boolean} immediate - If true, sends the message immediately instead of buffering.
  */
 export function setPhysicalColor(colorObj, p, immediate = false) {
     if (!launchpad || colorObj === null || colorObj === undefined) return;
 
-    const x = p[0];
-    const y = p[1];
+    // Page and mode buttons are shown by every device, a pad by one
+    getDeviceButtons(p[0], p[1]).forEach(({ device: deviceIndex, x, y }) => {
+        const device = devices[deviceIndex];
+        if (!device) return;
 
-    // Calculate MIDI command and key (matches launchpad-webmidi logic)
-    const cmd = y >= 8 ? 0xb0 : 0x90;
-    const key = y >= 8 ? 0x68 + x : 0x10 * y + x;
-    const vel = typeof colorObj === 'number' ? colorObj : (colorObj.code !== undefined ? colorObj.code : 0);
+        // Calculate MIDI command, key and velocity for the connected model
+        const [cmd, key] = getButtonMessage(device.profile, x, y);
+        const code = typeof colorObj === 'number' ? colorObj : (colorObj.code !== undefined ? colorObj.code : 0);
+        const rgb = (colorObj.rgb && device.profile.rgb) ? colorObj.rgb : null;
+        const vel = getColorVelocity(device.profile, code, rgb);
+        // Notes and CCs may share a number (e.g. classic scene button 6 and top button 0)
+        const updateKey = (cmd << 8) | key;
+        const update = { cmd, key, vel, rgb: device.rgbSysexEnabled ? rgb : null };
 
-    if (immediate) {
-        launchpad.col(colorObj, p);
-        pendingUpdates.delete(key);
-    } else {
-        pendingUpdates.set(key, { cmd, vel });
+        if (immediate) {
+            sendUpdates(device, [update]);
+            device.pendingUpdates.delete(updateKey);
+        } else {
+            device.pendingUpdates.set(updateKey, update);
+        }
+    });
+}
+
+/**
+ * Sends LED updates to a device: one message with the running note/CC triplets,
+ * and RGB SysEx for the exact RGB colors.
+ * @param {object} device - The device (see `devices`).
+ * @param {{cmd: number, key: number, vel: number, rgb: number[]|null}[]} updates
+ */
+function sendUpdates(device, updates) {
+    const batch = [];
+    const rgbLeds = [];
+    updates.forEach(({ cmd, key, vel, rgb }) => {
+        if (rgb) rgbLeds.push({ key, rgb });
+        else batch.push(cmd, key, vel);
+    });
+
+    const { midiOut } = device.launchpad;
+    if (batch.length > 0) midiOut.send(new Uint8Array(batch));
+    if (rgbLeds.length > 0) {
+        getRgbLedMessages(device.profile, rgbLeds).forEach(message => midiOut.send(message));
     }
 }
 
 /**
- * Sends all buffered MIDI updates to the device in a single batch.
+ * Sends all buffered MIDI updates to the devices, in a single batch per device.
  * Should be called at the end of an animation frame or interaction cycle.
  */
 export function flushPhysicalColors() {
-    if (launchpad && launchpad.midiOut && pendingUpdates.size > 0) {
-        const batch = [];
-        pendingUpdates.forEach((val, key) => {
-            batch.push(val.cmd, key, val.vel);
-        });
-
+    devices.forEach((device, deviceIndex) => {
+        if (!device || !device.launchpad.midiOut || device.pendingUpdates.size === 0) return;
         try {
-            launchpad.midiOut.send(new Uint8Array(batch));
+            sendUpdates(device, Array.from(device.pendingUpdates.values()));
         } catch (e) {
-            console.warn("[PHYSICAL] Failed to send MIDI batch:", e);
+            console.warn(`[PHYSICAL] Failed to send MIDI batch to device ${deviceIndex}:`, e);
         }
 
-        pendingUpdates.clear();
-    }
+        device.pendingUpdates.clear();
+    });
+}
+
+/**
+ * Creates the color object of an RGB color, with its brightness levels like the
+ * colors of launchpad-webmidi. `rgb` is the exact color (for the RGB models) and
+ * `code` the nearest classic color, for the red/green models.
+ * @param {number[]} rgb - [r, g, b] in 0-255.
+ * @returns {{rgb: number[], code: number, full: object, medium: object, low: object}}
+ */
+function createRgbColor(rgb) {
+    const levels = {};
+    Object.entries(LEVEL_VELOCITIES).forEach(([level, velocity]) => {
+        const levelRgb = rgb.map(channel => Math.round(channel * velocity / LEVEL_VELOCITIES.full));
+        const nearest = rgbToNamedColor(levelRgb);
+        const nearestLevel = getLevelForVelocity(nearest.velocity);
+        // Not `getLpColor(color, level)`: the custom orange and yellow ignore the level
+        const named = nearestLevel ? getLpColor(nearest.color) : launchpad.off;
+        levels[level] = { rgb: levelRgb, code: (named[nearestLevel] || named).code };
+    });
+    return { ...levels.full, ...levels };
 }
 
 /**
  * Utility to get color objects from the launchpad instance safely.
- * @param {string} colorName - 'red', 'green', 'amber', 'off'.
+ * @param {string} colorName - 'red', 'green', 'amber', 'off', or an RGB color
+ *   (`#RRGGBB`, quantized to the nearest of these on the classic models).
  * @param {string} [level] - 'full', 'medium', 'low'.
  * @returns {object|null}
  */
@@ -94,6 +172,9 @@ export function getLpColor(colorName, level = null) {
         // Custom yellow fading to bypass library limitation (always full)
         // Full: R=2, G=3 (50), Medium: R=1, G=2 (33), Low: R=1, G=1 (17)
         color = { code: 50, full: { code: 50 }, medium: { code: 33 }, low: { code: 17 } };
+    } else if (isHexColor(colorName)) {
+        const base = createRgbColor(parseHexColor(colorName));
+        color = (level && base[level]) ? base[level] : base;
     } else if (colorName === 'orange') {
         // Custom orange for Launchpad S/Mini/Classic (r=3, g=1 or 2)
         // Code 35 is a good orange (r=3, g=2)
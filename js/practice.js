@@ -0,0 +1,385 @@
+/**
+ * PRACTICE MODE (practice.js)
+ *
+ * Guided practice on a reference timeline (see timeline.js), recorded once by
+ * someone who already knows the cover.
+ *
+ * - Every pad hit of the reference is announced `leadTimeMs` before it is due:
+ *   the pad counts down red -> amber -> green on the web grid and the Launchpad,
+ *   through the same `fader` used by the light animations.
+ * - Every page change is announced on the matching scene button.
+ * - The performer's hits are matched with the reference and, at the end of the run,
+ *   a report gives the timing offset of each hit (or marks it as missed).
+ *
+ * The run starts after a count-in, so the first hit can be announced too.
+ *
+ * The reference comes from the project (`"practice"`: a timeline file path or an
+ * inline timeline) or, if the project has none, from the timeline recorded or
+ * loaded in the recording menu.
+ */
+
+import { fader, scheduler, setPhysicalColor, getLpColor, flushPhysicalColors } from './animationEngine.js';
+import { changeSoundSet, updatePhysicalPageLights } from './interaction.js';
+import { getProjectStateSnapshot } from './app.js';
+import { getTranslation, showNotification, syncInputSlider } from './ui.js';
+import { registerListener } from './eventCleanup.js';
+import { isProjectReady } from './projectLoadingState.js';
+import { validateTimeline, getErrorSummary } from './projectValidator.js';
+import { getReplayTimeline } from './recorder.js';
+import { getPadCoordinates, getSceneButtonsX } from './gridLayout.js';
+
+export const DEFAULT_PRACTICE_LEAD_TIME_MS = 1000;
+export const MIN_PRACTICE_LEAD_TIME_MS = 250;
+export const MAX_PRACTICE_LEAD_TIME_MS = 4000;
+
+// Silence before the first reference event (added to the lead time)
+const PRACTICE_COUNT_IN_MS = 1500;
+
+// A hit further than this from the expected time does not count for that event
+const PRACTICE_HIT_WINDOW_MS = 300;
+
+// Countdown shown on a pad while its hit approaches (one step per third of the lead time)
+const HINT_SEQUENCE = [
+    { color: 'red', level: 'low' },
+    { color: 'amber', level: 'medium' },
+    { color: 'green', level: 'full' }
+];
+
+class PracticeSession {
+    constructor() {
+        this.expected = null; // Reference events to play, null while idle
+        this.origin = 0; // performance.now() matching time 0 of the reference
+        this.extraHits = 0;
+        this.token = null; // Invalidates the scheduled hints of a stopped run
+        this.endTimerId = null;
+        this.onEnd = null;
+
+        this.onTrigger = (e) => this.registerHit('trigger', e.detail.index);
+        this.onPageChange = (e) => this.registerHit('page', e.detail.page);
+    }
+
+    /**
+     * Starts a practice run on the current project.
+     * @param {object} timeline - A validated reference timeline.
+     * @param {object} [options] - `{ leadTimeMs, onEnd }`; `onEnd` receives the report.
+     */
+    start(timeline, { leadTimeMs = DEFAULT_PRACTICE_LEAD_TIME_MS, onEnd = null } = {}) {
+        this.stop();
+
+        const events = timeline.events;
+        const firstPage = events.find(event => event.type === 'page');
+        // The starting page is set up by the practice itself, it is not a hit to score
+        const scored = events.filter(event => event !== firstPage && event.type !== 'release');
+
+        this.expected = scored.map(event => ({ ...event, offsetMs: null }));
+        this.extraHits = 0;
+        this.onEnd = onEnd;
+        this.origin = performance.now() + PRACTICE_COUNT_IN_MS + leadTimeMs;
+
+        const token = {};
+        this.token = token;
+
+        if (firstPage) {
+            changeSoundSet(firstPage.page);
+        }
+
+        this.expected.forEach(event => {
+            const hintDelay = this.origin + event.time * 1000 - leadTimeMs - performance.now();
+            scheduler.schedule(() => {
+                if (this.token === token) this.showHint(event, leadTimeMs);
+            }, Math.max(0, hintDelay));
+        });
+
+        window.addEventListener('pad:trigger', this.onTrigger);
+        window.addEventListener('page:change', this.onPageChange);
+
+        // End once the last event can no longer be hit
+        const lastTime = this.expected.length > 0 ? this.expected[this.expected.length - 1].time : 0;
+        const endDelay = this.origin + lastTime * 1000 + PRACTICE_HIT_WINDOW_MS - performance.now();
+        this.endTimerId = setTimeout(() => this.stop(), endDelay);
+
+        console.log(`[Practice] Run started (${this.expected.length} hits, lead time ${leadTimeMs} ms).`);
+    }
+
+    /**
+     * Stops the run and reports the results.
+     * @returns {object|null} The report (see `buildReport`), or null if no run was active.
+     */
+    stop() {
+        if (!this.isRunning()) return null;
+
+        clearTimeout(this.endTimerId);
+        this.endTimerId = null;
+        this.token = null;
+        window.removeEventListener('pad:trigger', this.onTrigger);
+        window.removeEventListener('page:change', this.onPageChange);
+        this.clearSceneHints();
+
+        const report = this.buildReport();
+        this.expected = null;
+
+        console.log(`[Practice] Run ended: ${report.played}/${report.hits.length} hits, ${report.missed} missed, ${report.extra} extra.`);
+        const onEnd = this.onEnd;
+        this.onEnd = null;
+        if (onEnd) onEnd(report);
+        return report;
+    }
+
+    /**
+     * Returns true while a practice run is active.
+     * @returns {boolean}
+     */
+    isRunning() {
+        return this.expected !== null;
+    }
+
+    /**
+     * Announces an upcoming event on the web grid and the Launchpad.
+     * @param {object} event - The reference event.
+     * @param {number} leadTimeMs - Time left before the event is due.
+     */
+    showHint(event, leadTimeMs) {
+        if (event.type === 'trigger') {
+            fader.add(getPadCoordinates(event.pad), 'green', leadTimeMs, 'multi', { sequence: HINT_SEQUENCE });
+        } else if (event.type === 'page') {
+            document.querySelectorAll(`.grid-item-menu[data-page="${event.page}"]`).forEach(button => {
+                button.classList.add('practice-hint');
+            });
+            setPhysicalColor(getLpColor('green', 'full'), [getSceneButtonsX(), event.page]);
+            flushPhysicalColors();
+        }
+    }
+
+    /**
+     * Removes the scene button hints and restores the page lights.
+     */
+    clearSceneHints() {
+        document.querySelectorAll('.grid-item-menu.practice-hint').forEach(button => {
+            button.classList.remove('practice-hint');
+        });
+        updatePhysicalPageLights(getProjectStateSnapshot().page);
+    }
+
+    /**
+     * Matches a hit of the performer with the closest pending reference event.
+     * @param {string} type - 'trigger' or 'page'.
+     * @param {number} target - Pad index or page index.
+     */
+    registerHit(type, target) {
+        const time = (performance.now() - this.origin) / 1000;
+
+        let best = null;
+        for (const event of this.expected) {
+            if (event.type !== type || event.offsetMs !== null) continue;
+            if ((type === 'trigger' ? event.pad : event.page) !== target) continue;
+
+            const offsetMs = (time - event.time) * 1000;
+            if (Math.abs(offsetMs) <= PRACTICE_HIT_WINDOW_MS &&
+                (!best || Math.abs(offsetMs) < Math.abs(best.offsetMs))) {
+                best = { event, offsetMs };
+            }
+        }
+
+        if (best) {
+            best.event.offsetMs = Math.round(best.offsetMs);
+            if (type === 'page') {
+                document.querySelectorAll(`.grid-item-menu[data-page="${target}"]`).forEach(button => {
+                    button.classList.remove('practice-hint');
+                });
+            }
+        } else {
+            this.extraHits++;
+        }
+    }
+
+    /**
+     * Builds the accuracy report of the run.
+     * @returns {object} `{ hits, played, missed, extra, averageOffsetMs, averageErrorMs }`.
+     *   Each hit is the reference event with its `offsetMs` (negative = early, null = missed).
+     */
+    buildReport() {
+        const hits = this.expected;
+        const played = hits.filter(event => event.offsetMs !== null);
+        const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+        return {
+            hits,
+            played: played.length,
+            missed: hits.length - played.length,
+            extra: this.extraHits,
+            averageOffsetMs: played.length ? Math.round(sum(played.map(e => e.offsetMs)) / played.length) : 0,
+            averageErrorMs: played.length ? Math.round(sum(played.map(e => Math.abs(e.offsetMs))) / played.length) : 0
+        };
+    }
+}
+
+export const practiceSession = new PracticeSession();
+
+let practiceControlsInitialized = false; // Prevent duplicate listener registration
+let practiceLeadTimeMs = DEFAULT_PRACTICE_LEAD_TIME_MS;
+
+// Reference timeline of the current project: a resolved URL, an inline timeline or null
+let projectReference = null;
+
+/**
+ * Sets the reference timeline declared by the loaded project.
+ * Any run on the previous project is stopped.
+ * @param {string|object|null} reference - Resolved URL of the timeline file, inline timeline or null.
+ */
+export function setPracticeReference(reference) {
+    practiceSession.stop();
+    projectReference = reference || null;
+}
+
+/**
+ * Gets the reference timeline to practice on.
+ * @returns {Promise<object|null>} The timeline, or null if none is available.
+ */
+async function getReferenceTimeline() {
+    if (typeof projectReference === 'string') {
+        const response = await fetch(projectReference);
+        if (!response.ok) {
+            throw new Error(`HTTP Error: ${response.status} - Failed to load practice timeline`);
+        }
+        return response.json();
+    }
+    return projectReference || getReplayTimeline();
+}
+
+/**
+ * Formats a reference time as m:ss.mmm.
+ * @param {number} seconds - Time in seconds.
+ * @returns {string}
+ */
+function formatTime(seconds) {
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(3).padStart(6, '0');
+    return `${minutes}:${rest}`;
+}
+
+/**
+ * Shows the report of a run in the practice menu.
+ * @param {object} report - The report built by the practice session.
+ */
+function renderPracticeReport(report) {
+    const container = document.getElementById('practice-report');
+    if (!container) return;
+
+    container.innerHTML = '';
+
+    const summary = document.createElement('p');
+    summary.textContent = getTranslation('practice.report.summary')
+        .replace('{played}', report.played)
+        .replace('{total}', report.hits.length)
+        .replace('{missed}', report.missed)
+        .replace('{extra}', report.extra)
+        .replace('{error}', report.averageErrorMs)
+        .replace('{offset}', report.averageOffsetMs > 0 ? `+${report.averageOffsetMs}` : report.averageOffsetMs);
+    container.appendChild(summary);
+
+    const list = document.createElement('ol');
+    report.hits.forEach(hit => {
+        const item = document.createElement('li');
+        const [padX, padY] = getPadCoordinates(hit.pad);
+        const target = hit.type === 'trigger'
+            ? getTranslation('practice.report.pad')
+                .replace('{x}', padX)
+                .replace('{y}', padY)
+            : getTranslation('practice.report.page').replace('{page}', hit.page + 1);
+        const result = hit.offsetMs === null
+            ? getTranslation('practice.report.missed')
+            : `${hit.offsetMs > 0 ? '+' : ''}${hit.offsetMs} ms`;
+        item.textContent = `${formatTime(hit.time)} · ${target} · ${result}`;
+        item.classList.toggle('missed', hit.offsetMs === null);
+        list.appendChild(item);
+    });
+    container.appendChild(list);
+    container.style.display = 'block';
+}
+
+/**
+ * Updates the start/stop button label.
+ */
+function updatePracticeControls() {
+    const toggleButton = document.getElementById('practice-toggle');
+    if (!toggleButton) return;
+
+    const key = practiceSession.isRunning() ? 'practice.stop' : 'practice.start';
+    toggleButton.setAttribute('data-i18n', key);
+    toggleButton.textContent = getTranslation(key);
+    toggleButton.classList.toggle('selected', practiceSession.isRunning());
+}
+
+/**
+ * Starts a practice run on the reference timeline of the current project.
+ * @returns {Promise<boolean>} True if the run started.
+ */
+export async function startPractice() {
+    if (!isProjectReady()) {
+        console.warn("[Practice] Cannot start: project not ready");
+        return false;
+    }
+
+    let timeline;
+    try {
+        timeline = await getReferenceTimeline();
+    } catch (error) {
+        console.error("[Practice] Unable to load the reference timeline:", error);
+        showNotification(getTranslation('practice.loadError'), 'error');
+        return false;
+    }
+
+    if (!timeline) {
+        showNotification(getTranslation('practice.noReference'), 'info', 5000);
+        return false;
+    }
+
+    const validation = validateTimeline(timeline);
+    if (!validation.isValid) {
+        console.error("[Practice] Invalid reference timeline:", validation.errors);
+        showNotification(getErrorSummary(validation.errors), 'error', 5000);
+        return false;
+    }
+
+    const report = document.getElementById('practice-report');
+    if (report) report.style.display = 'none';
+
+    practiceSession.start(timeline, {
+        leadTimeMs: practiceLeadTimeMs,
+        onEnd: (result) => {
+            renderPracticeReport(result);
+            updatePracticeControls();
+        }
+    });
+    updatePracticeControls();
+    return true;
+}
+
+/**
+ * Initializes the practice menu controls.
+ * Only initializes once to prevent duplicate listeners.
+ */
+export function initializePracticeControls() {
+    if (practiceControlsInitialized) {
+        console.log("[Practice] Already initialized, skipping duplicate setup");
+        return;
+    }
+    practiceControlsInitialized = true;
+
+    syncInputSlider('practice-lead-slider', 'practice-lead-input', (value) => {
+        practiceLeadTimeMs = value;
+    }, MIN_PRACTICE_LEAD_TIME_MS, MAX_PRACTICE_LEAD_TIME_MS, false);
+
+    const toggleButton = document.getElementById('practice-toggle');
+    if (toggleButton) {
+        registerListener(toggleButton, 'click', () => {
+            if (practiceSession.isRunning()) {
+                practiceSession.stop();
+            } else {
+                startPractice();
+            }
+        });
+    }
+
+    updatePracticeControls();
+}
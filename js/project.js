@@ -5,19 +5,38 @@
  */
 
 import { audioEngine } from './audio.js';
-import { setLaunchpadBackground, getTranslation, setTopRightIconFile, resetTopRightIcon, showNotification } from './ui.js';
+import { transport } from './transport.js';
+import { setPracticeReference } from './practice.js';
+import { setLaunchpadBackground, getTranslation, setTopRightIconFile, resetTopRightIcon, showNotification, downloadBlob } from './ui.js';
 import { setBackgroundVideo } from './video.js';
-import { selectedProjectButton, setCurrentProject, setProjectSounds, setProjectLights, setSelectedProjectButton } from './app.js';
+import { currentProject, selectedProjectButton, setCurrentProject, setProjectSounds, setProjectLights, setSelectedProjectButton } from './app.js';
 import { changeSoundSet } from './interaction.js';
 import { stopAnimationLoop, startAnimationLoop } from './lights.js';
-import { validateProject, getErrorSummary } from './projectValidator.js';
+import { validateProject, validateLedTimeline, getErrorSummary } from './projectValidator.js';
+import { registerLedTimeline, unregisterAnimations } from './animationLibrary.js';
+import { midiFileToLedTimeline } from './midiFile.js';
+import {
+    getLocalProject,
+    getLocalProjectId,
+    getLocalProjectSource,
+    saveLocalProject,
+    listLocalProjects,
+    renameLocalProject,
+    deleteLocalProject,
+    setLocalProjectMedia
+} from './localStore.js';
+import { importUnipadPack } from './unipad.js';
+import { importProjectBundle, exportProjectBundle, isBundleSource, BUNDLE_EXTENSION } from './projectBundle.js';
+import { DEFAULT_PAD_MODE, DEFAULT_SAMPLE_SELECT } from './constants.js';
+import { setGridLayout, getLayoutSize } from './gridLayout.js';
 import { 
     beginLoadingProject, 
     markProjectReady, 
     markProjectLoadError,
-    isProjectLoading,
+    markProjectLoadCancelled,
     isProjectReady
 } from './projectLoadingState.js';
+import { registerListener } from './eventCleanup.js';
 
 /**
  * Dynamically populates the background video menu.
@@ -40,24 +59,440 @@ export function initializeBackgroundMenu(videoFiles) {
     });
 }
 
+/**
+ * Splits a `page.sounds` entry into its sample layers and per-pad options.
+ * An entry is either a path string or an object such as
+ * `{ "src": "kick.wav", "gain": 0.8, "pan": -0.5, "playbackRate": 1.5 }`.
+ * Multisampled pads list their layers in `samples` instead of `src`:
+ * `{ "samples": ["a.wav", { "src": "b.wav", "velocity": [64, 127] }], "select": "velocity" }`.
+ * Pads played from an audio sprite have no `src` (an empty entry, or only options).
+ * @param {string|object|null} entry - The sound entry from the project JSON.
+ * @returns {{layers: {src: string, velocity: number[]|null}[], options: object}}
+ */
+function parseSoundEntry(entry) {
+    if (!entry || typeof entry !== 'object') {
+        return { layers: [{ src: entry || '', velocity: null }], options: {} };
+    }
+    const { src, samples, ...options } = entry;
+    if (Array.isArray(samples) && samples.length > 0) {
+        const layers = samples.map(sample => (typeof sample === 'string')
+            ? { src: sample, velocity: null }
+            : { src: sample.src, velocity: sample.velocity || null });
+        return { layers, options };
+    }
+    return { layers: [{ src: src || '', velocity: null }], options };
+}
+
+/**
+ * Inverts the `page.chokeGroups` map (group name -> pad indices) into a
+ * per-pad lookup (pad index -> group name).
+ * @param {object} page - The page definition from the project JSON.
+ * @returns {string[]} Sparse array of group names indexed by pad.
+ */
+function getPadChokeGroups(page) {
+    const groups = [];
+    if (!page.chokeGroups) return groups;
+
+    Object.entries(page.chokeGroups).forEach(([groupName, padIndices]) => {
+        padIndices.forEach(padIndex => {
+            groups[padIndex] = groupName;
+        });
+    });
+    return groups;
+}
+
+/**
+ * Prefix of the animations registered for the LED timelines of the current project.
+ */
+const LED_TIMELINE_PREFIX = 'ledtimeline_';
+
+/**
+ * Gets the registry name of the LED timeline of a pad.
+ * @param {number} pageIndex - Page of the pad.
+ * @param {number} padIndex - Pad index within the page.
+ * @returns {string}
+ */
+function getLedTimelineName(pageIndex, padIndex) {
+    return `${LED_TIMELINE_PREFIX}${pageIndex}_${padIndex}`;
+}
+
+/**
+ * Gets the audio sprite slice of a pad: from the sprite of its page, else from the
+ * sprite of the project (whose pads are numbered across pages: page * pads per page + pad,
+ * 64 pads per page, 128 when the project spans two Launchpads).
+ * @param {object} project - The project object.
+ * @param {number} pageIndex - Page of the pad.
+ * @param {number} padIndex - Pad index within the page.
+ * @returns {{src: string, start: number, end: number}|null} Null if the pad has no slice.
+ */
+function getSpriteSlice(project, pageIndex, padIndex) {
+    const pageSprite = project.pages[pageIndex].sprite;
+    if (pageSprite && pageSprite.pads[padIndex]) {
+        return { src: pageSprite.src, ...pageSprite.pads[padIndex] };
+    }
+    const projectPad = pageIndex * getLayoutSize(project.layout).pads + padIndex;
+    if (project.sprite && project.sprite.pads[projectPad]) {
+        return { src: project.sprite.src, ...project.sprite.pads[projectPad] };
+    }
+    return null;
+}
+
+/**
+ * Flattens the pages of a project into the arrays used by the audio and light engines.
+ * The first sample of every pad is stored at its pad index (page * pads per page + pad), so
+ * single-sample projects map one URL per pad; additional layers of multisampled
+ * pads are appended after the last page and referenced from `padOptions[i].layers`.
+ * Audio sprites are appended there too, once per file, and the pads they slice keep
+ * an empty URL at their own index.
+ * LED timeline objects in `page.lights` are replaced by the name they are registered
+ * under (see `registerProjectLedTimelines`).
+ * @param {object} project - The validated project object.
+ * @param {function} resolvePath - Resolves a project-relative path to a URL.
+ * @returns {{sounds: string[], lights: string[], padOptions: object[]}}
+ */
+function buildPadModel(project, resolvePath) {
+    const sounds = [];
+    const extraSounds = [];
+    const lights = [];
+    const padOptions = [];
+    const pagePads = getLayoutSize(project.layout).pads;
+    const padCount = project.pages.length * pagePads;
+    const spriteIndices = new Map(); // sprite URL -> buffer index
+
+    project.pages.forEach((page, pageIndex) => {
+        const entries = page.sounds.map(parseSoundEntry);
+        const chokeGroups = getPadChokeGroups(page);
+
+        entries.forEach(({ layers, options }, padIndex) => {
+            const soundIndex = sounds.length;
+            const slice = getSpriteSlice(project, pageIndex, padIndex);
+            let padLayers;
+            if (slice) {
+                const spriteUrl = resolvePath(slice.src);
+                if (!spriteIndices.has(spriteUrl)) {
+                    spriteIndices.set(spriteUrl, padCount + extraSounds.length);
+                    extraSounds.push(spriteUrl);
+                }
+                sounds.push('');
+                padLayers = [{ bufferIndex: spriteIndices.get(spriteUrl), velocity: null, start: slice.start, end: slice.end }];
+            } else {
+                sounds.push(resolvePath(layers[0].src));
+                padLayers = layers.map((layer, layerIndex) => {
+                    let bufferIndex = soundIndex;
+                    if (layerIndex > 0) {
+                        bufferIndex = padCount + extraSounds.length;
+                        extraSounds.push(resolvePath(layer.src));
+                    }
+                    return { bufferIndex, velocity: layer.velocity };
+                });
+            }
+
+            padOptions.push({
+                // Settings on the pad object win over the page-level arrays
+                mode: options.mode || (page.modes && page.modes[padIndex]) || DEFAULT_PAD_MODE,
+                chokeGroup: options.chokeGroup || chokeGroups[padIndex] || null,
+                gain: options.gain ?? 1,
+                pan: options.pan ?? 0,
+                playbackRate: options.playbackRate ?? 1,
+                layers: padLayers,
+                select: options.select || DEFAULT_SAMPLE_SELECT,
+                fx: options.fx || null
+            });
+        });
+
+        if (page.lights) {
+            lights.push(...page.lights.map((light, padIndex) => (light && typeof light === 'object')
+                ? getLedTimelineName(pageIndex, padIndex)
+                : light));
+        } else {
+            lights.push(...new Array(pagePads).fill(""));
+        }
+    });
+
+    return { sounds: sounds.concat(extraSounds), lights, padOptions };
+}
+
+/**
+ * Fetches a resource of a project, turning the offline answer of the Service Worker
+ * into a readable error.
+ * @param {string} url - URL of the resource.
+ * @returns {Promise<Response>}
+ */
+async function fetchProjectResource(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        // Gestione specifica per il caso offline restituito dal Service Worker
+        if (response.status === 503) {
+            let errData = null;
+            try { errData = await response.json(); } catch (_) { /* parsing fallito, usa errore generico */ }
+
+            if (errData?.error === "offline") {
+                const offlineMessage = getTranslation('error.offline');
+                showNotification(offlineMessage, "warning", 5000);
+                throw new Error(offlineMessage);
+            }
+        }
+        throw new Error(`HTTP Error: ${response.status} - Failed to load project`);
+    }
+    return response;
+}
+
+/**
+ * Loads the LED timeline of a `page.lights` object: inline, or from the file named
+ * by `src`: a JSON file (either `{ events, duration, loop }` or a bare array of events)
+ * or a Standard MIDI File (.mid) converted by midiFile.js.
+ * A `loop` set next to `src` overrides the one of the file.
+ * @param {object} light - The light object from the project JSON.
+ * @param {function} resolvePath - Resolves a project-relative path to a URL.
+ * @param {Map<string, Promise<object>>} files - Timeline files already requested, by URL.
+ * @returns {Promise<object>} The timeline `{ events, duration, loop }`.
+ * @throws {Error} If the file cannot be loaded or is not a valid LED timeline.
+ */
+async function loadLedTimeline(light, resolvePath, files) {
+    if (light.src === undefined) return light;
+
+    const url = resolvePath(light.src);
+    if (!files.has(url)) {
+        const request = fetchProjectResource(url);
+        files.set(url, /\.midi?$/i.test(light.src)
+            ? request.then(response => response.arrayBuffer()).then(midiFileToLedTimeline)
+            : request.then(response => response.json()).then(timeline => {
+                const validation = validateLedTimeline(timeline);
+                if (!validation.isValid) {
+                    throw new Error(`${light.src}: ${getErrorSummary(validation.errors)}`);
+                }
+                return Array.isArray(timeline) ? { events: timeline } : timeline;
+            }));
+    }
+    const timeline = await files.get(url);
+    return (light.loop === undefined) ? timeline : { ...timeline, loop: light.loop };
+}
+
+/**
+ * Registers the LED timelines of a project in the animation registry, replacing
+ * those of the previous project. They then play through the same loop as the
+ * built-in animations.
+ * @param {object} project - The validated project object.
+ * @param {function} resolvePath - Resolves a project-relative path to a URL.
+ * @returns {Promise<void>}
+ */
+async function registerProjectLedTimelines(project, resolvePath) {
+    unregisterAnimations(LED_TIMELINE_PREFIX);
+
+    const files = new Map();
+    const pending = [];
+    project.pages.forEach((page, pageIndex) => {
+        (page.lights || []).forEach((light, padIndex) => {
+            if (!light || typeof light !== 'object') return;
+            // A list holds variants played in turn, one per press
+            const variants = Array.isArray(light) ? light : [light];
+            pending.push(Promise.all(variants.map(variant => loadLedTimeline(variant, resolvePath, files))).then(timelines => {
+                registerLedTimeline(getLedTimelineName(pageIndex, padIndex), timelines);
+            }));
+        });
+    });
+    await Promise.all(pending);
+}
+
+/**
+ * Object URLs created for the assets of the current imported project.
+ * They are revoked once another project has been loaded.
+ */
+let projectObjectUrls = [];
+
+/**
+ * Id of the current project in the local library, or null for a built-in project.
+ */
+let currentLocalProjectId = null;
+
+/**
+ * Path resolver of the current project, used to export it as a bundle.
+ */
+let currentResolvePath = null;
+
+let importControlsInitialized = false; // Prevent duplicate listener registration
+let mediaPersistenceInitialized = false; // Prevent duplicate listener registration
+
+/**
+ * Releases the object URLs of a previously imported project.
+ * @param {string[]} urls - The URLs to revoke.
+ */
+function revokeObjectUrls(urls) {
+    urls.forEach(url => URL.revokeObjectURL(url));
+}
+
+/**
+ * Creates a path resolver serving the assets of an imported project from memory.
+ * @param {Map<string, Blob>} assets - Project-relative path -> content.
+ * @returns {{resolvePath: function, urls: string[]}}
+ */
+function createAssetResolver(assets) {
+    const urls = new Map();
+    assets.forEach((blob, path) => urls.set(path, URL.createObjectURL(blob)));
+
+    const resolvePath = (path) => {
+        if (!path) return path;
+        return urls.get(path) || path;
+    };
+    return { resolvePath, urls: Array.from(urls.values()) };
+}
+
+/**
+ * Returns true if a project source is a Unipad pack (.zip).
+ * @param {string|Blob} source - URL or file.
+ * @returns {boolean}
+ */
+function isUnipadSource(source) {
+    const name = typeof source === 'string' ? source.split(/[?#]/)[0] : (source.name || '');
+    return /\.zip$/i.test(name) || (typeof source !== 'string' && source.type === 'application/zip');
+}
+
+/**
+ * Adds an imported project to the local library, if it passes validation.
+ * An invalid project is not stored: `loadProject` then reports its errors.
+ * @param {object} project - The imported project.
+ * @param {Map<string, Blob>} assets - Its files.
+ * @param {AbortSignal} signal - Cancels the import: nothing is stored once it is aborted.
+ * @returns {Promise<string|null>} The id in the library, or null if not stored.
+ * @throws {DOMException} An 'AbortError' if the import was cancelled before saving.
+ */
+async function storeImportedProject(project, assets, signal) {
+    if (!validateProject(project).isValid) return null;
+    signal.throwIfAborted();
+    try {
+        await saveLocalProject(project, assets);
+        return project.id;
+    } catch (error) {
+        // The project still plays, it just won't be in the library after a reload
+        console.warn("[Project] Unable to add the imported project to the library:", error);
+        showNotification(getTranslation('library.saveError'), 'warning');
+        return null;
+    }
+}
+
+/**
+ * Opens a project source and returns the project with the resolver of its relative paths.
+ * Supported sources:
+ * - the URL of a project JSON file (paths are relative to the JSON file);
+ * - the URL or the File of a project bundle (.lpbundle), see projectBundle.js;
+ * - the URL or the File of a Unipad pack (.zip), converted by unipad.js;
+ * - `local:<id>`, a project stored in the browser (see localStore.js);
+ * - an opened project `{ project, assets }` whose paths are keys of `assets`,
+ *   e.g. a dropped project folder (see folderDrop.js).
+ * Imported bundles and packs are also added to the local library, so they survive a reload.
+ * @param {string|Blob|object} source - The project source.
+ * @param {AbortSignal} signal - Cancels the opening: an import cancelled before it is saved is not
+ *   added to the library (one cancelled during the save is kept, see `runProjectLoad`).
+ * @returns {Promise<{project: object, resolvePath: function, objectUrls: string[], localId: string|null}>}
+ *   `localId` is the id of the project in the local library, if it is stored there.
+ */
+async function openProjectSource(source, signal) {
+    if (source.assets instanceof Map) {
+        const { resolvePath, urls } = createAssetResolver(source.assets);
+        return { project: source.project, resolvePath, objectUrls: urls, localId: null };
+    }
+
+    const localId = getLocalProjectId(source);
+    if (localId !== null) {
+        const stored = await getLocalProject(localId);
+        if (!stored) throw new Error(`Local project not found: ${localId}`);
+        const { resolvePath, urls } = createAssetResolver(stored.assets);
+        return { project: stored.project, resolvePath, objectUrls: urls, localId };
+    }
+
+    if (isBundleSource(source) || isUnipadSource(source)) {
+        const data = typeof source === 'string' ? await (await fetchProjectResource(source)).arrayBuffer() : source;
+        const isBundle = isBundleSource(source);
+        const { project, assets, report } = isBundle ? await importProjectBundle(data) : await importUnipadPack(data);
+        signal.throwIfAborted();
+        if (report.length > 0) {
+            const reportKey = isBundle ? 'bundle.importReport' : 'import.unipad.report';
+            showNotification(getTranslation(reportKey).replace('{count}', report.length), 'warning', 5000);
+        }
+
+        const storedId = await storeImportedProject(project, assets, signal);
+        const { resolvePath, urls } = createAssetResolver(assets);
+        return { project, resolvePath, objectUrls: urls, localId: storedId };
+    }
+
+    const response = await fetchProjectResource(source);
+    const project = await response.json();
+
+    const baseUrl = source.substring(0, source.lastIndexOf('/') + 1);
+    const resolvePath = (path) => {
+        if (!path) return path;
+        if (path.startsWith('http') || path.startsWith('/') || path.startsWith('assets/')) return path;
+        return baseUrl + path;
+    };
+    return { project, resolvePath, objectUrls: [], localId: null };
+}
+
+/**
+ * Number of the latest `loadProject` request: older requests still waiting give up.
+ */
+let latestLoadRequest = 0;
+
+/**
+ * Aborts the load in progress, or null when no project is loading.
+ */
+let activeLoadController = null;
+
+/**
+ * Settles when the load in progress is over (loaded, failed or cancelled).
+ */
+let activeLoad = Promise.resolve();
+
 /**
  * Loads a project, its sounds, and sets the associated background.
- * @param {string} configPath - Path to the project configuration JSON file.
+ * Requests are queued and the latest one wins: a new request cancels the load in
+ * progress (its sample downloads are aborted) and replaces any request still waiting.
+ * @param {string|Blob|object} source - Path to the project configuration JSON file,
+ *   a bundle (.lpbundle) or Unipad pack (.zip) given by URL or as a File, `local:<id>`
+ *   for a stored project, or an opened `{ project, assets }` (see `openProjectSource`).
  * @param {HTMLElement} button - Clicked button element to update 'selected' state.
  * @param {function} onProgress - Optional callback for loading progress (0-100).
+ * @returns {Promise<void>} Settles when this request is done, or has been superseded.
  */
-export async function loadProject(configPath, button, onProgress = null) {
-    // Prevent multiple concurrent loads - wait for previous to complete
-    if (isProjectLoading()) {
-        console.log("[Project] Project loading already in progress, queueing...");
+export async function loadProject(source, button, onProgress = null) {
+    const request = ++latestLoadRequest;
+    if (activeLoadController) {
+        console.log("[Project] Another project requested, cancelling the current load...");
+        activeLoadController.abort();
+    }
+
+    // Wait for the current load to wind down; meanwhile a newer request may arrive
+    await activeLoad;
+    if (request !== latestLoadRequest) {
+        console.log("[Project] Load request superseded by a newer one.");
         return;
     }
 
+    const controller = new AbortController();
+    let finishLoad;
+    activeLoadController = controller;
+    activeLoad = new Promise(resolve => { finishLoad = resolve; });
+    try {
+        await runProjectLoad(source, button, onProgress, controller.signal);
+    } finally {
+        activeLoadController = null;
+        finishLoad();
+    }
+}
+
+/**
+ * Performs one project load (see `loadProject`).
+ * @param {string|Blob|object} source - The project source.
+ * @param {HTMLElement} button - Clicked button element to update 'selected' state.
+ * @param {function} onProgress - Optional callback for loading progress (0-100).
+ * @param {AbortSignal} signal - Aborted when another project is requested.
+ */
+async function runProjectLoad(source, button, onProgress, signal) {
     // Mark loading as started
     await beginLoadingProject();
 
     const overlay = document.getElementById('audio-unlock-overlay');
     const progressText = overlay ? overlay.querySelector('p') : null;
+    let newObjectUrls = []; // Object URLs of an imported project, revoked if the load fails
 
     try {
         // Stop the animation loop to clean up previous animations before loading new project
@@ -72,22 +507,9 @@ export async function loadProject(configPath, button, onProgress = null) {
             }
         }
 
-        const response = await fetch(configPath);
-        if (!response.ok) {
-            // Gestione specifica per il caso offline restituito dal Service Worker
-            if (response.status === 503) {
-                let errData = null;
-                try { errData = await response.json(); } catch (_) { /* parsing fallito, usa errore generico */ }
-
-                if (errData?.error === "offline") {
-                    const offlineMessage = getTranslation('error.offline');
-                    showNotification(offlineMessage, "warning", 5000);
-                    throw new Error(offlineMessage);
-                }
-            }
-            throw new Error(`HTTP Error: ${response.status} - Failed to load project`);
-        }
-        const project = await response.json();
+        const { project, resolvePath, objectUrls, localId } = await openProjectSource(source, signal);
+        newObjectUrls = objectUrls;
+        signal.throwIfAborted();
 
         // Validate project schema before processing
         const validation = validateProject(project);
@@ -100,40 +522,31 @@ export async function loadProject(configPath, button, onProgress = null) {
         // CRITICAL: Set current project BEFORE any operations that depend on it
         // This ensures MIDI and other modules see consistent state
         setCurrentProject(project);
+        // Pads per page and the Launchpads to connect depend on the layout
+        setGridLayout(project.layout);
 
-        const baseUrl = configPath.substring(0, configPath.lastIndexOf('/') + 1);
-        const resolvePath = (path) => {
-            if (!path) return path;
-            if (path.startsWith('http') || path.startsWith('/') || path.startsWith('assets/')) return path;
-            return baseUrl + path;
-        };
-
-        const sounds = [];
-        const lights = [];
-        if (project.pages) {
-            project.pages.forEach(page => {
-                sounds.push(...page.sounds.map(s => resolvePath(s)));
-                if (page.lights) {
-                    lights.push(...page.lights);
-                } else {
-                    lights.push(...new Array(64).fill(""));
-                }
-            });
-        }
+        const { sounds, lights, padOptions } = buildPadModel(project, resolvePath);
         setProjectSounds(sounds);
         setProjectLights(lights);
+        await registerProjectLedTimelines(project, resolvePath);
+        signal.throwIfAborted();
+        audioEngine.setPadOptions(padOptions);
+        transport.configure({ bpm: project.bpm, quantize: project.quantize });
+        setPracticeReference(typeof project.practice === 'string' ? resolvePath(project.practice) : project.practice);
 
         // --- PROGRESS TRACKING ---
         let audioLoaded = 0;
+        let audioTotal = sounds.length; // Set by loadSounds, which only awaits the first pages
         let skinLoaded = 0;
         let iconLoaded = 0;
         let videoLoaded = 0;
         const hasSkin = !!project.coverImage;
         const hasIcon = !!project.iconImage;
         const hasVideo = !!project.backgroundVideo;
-        const totalAssets = sounds.length + (hasSkin ? 1 : 0) + (hasIcon ? 1 : 0) + (hasVideo ? 1 : 0);
+        const otherAssets = (hasSkin ? 1 : 0) + (hasIcon ? 1 : 0) + (hasVideo ? 1 : 0);
 
         const updateOverallProgress = () => {
+            const totalAssets = Math.max(1, audioTotal + otherAssets);
             const totalLoaded = audioLoaded + skinLoaded + iconLoaded + videoLoaded;
             const percentage = Math.min(Math.round((totalLoaded / totalAssets) * 100), 100);
             if (progressText) {
@@ -147,10 +560,12 @@ export async function loadProject(configPath, button, onProgress = null) {
         const loadingPromises = [];
 
         // 1. Audio Loading
-        const audioPromise = audioEngine.loadSounds(sounds, (loadedSoundsCount) => {
+        const audioPromise = audioEngine.loadSounds(sounds, (loadedSoundsCount, totalSoundsCount) => {
             audioLoaded = loadedSoundsCount;
+            audioTotal = totalSoundsCount;
             updateOverallProgress();
-        }).catch((error) => {
+        }, signal).catch((error) => {
+            if (signal.aborted) return; // Checked once everything has settled
             console.error("[Project] Audio loading error:", error);
             showNotification('Failed to load all project audio files. Some pads may be silent.', 'warning');
         });
@@ -192,6 +607,11 @@ export async function loadProject(configPath, button, onProgress = null) {
 
         // Wait for everything to finish
         await Promise.all(loadingPromises);
+        signal.throwIfAborted();
+
+        // The previous imported project is no longer referenced
+        revokeObjectUrls(projectObjectUrls);
+        projectObjectUrls = newObjectUrls;
 
         // Ensure final UI update
         updateOverallProgress();
@@ -205,8 +625,8 @@ export async function loadProject(configPath, button, onProgress = null) {
         }
         if (button) {
             button.classList.add('selected');
-            setSelectedProjectButton(button);
         }
+        setSelectedProjectButton(button); // null for imports (listed by the library afterwards) and dropped folders
 
         console.log(`Project "${project.name}" loaded.`);
         
@@ -214,14 +634,31 @@ export async function loadProject(configPath, button, onProgress = null) {
         // This signals that currentProject, projectSounds, and projectLights are all set
         markProjectReady();
 
+        currentLocalProjectId = localId;
+        currentResolvePath = resolvePath;
+        if (localId && getLocalProjectId(source) === null) {
+            // Just added to the library: list it (as the selected project)
+            refreshLocalProjectMenu();
+        }
+
         // Reset to first page ONLY AFTER the project is marked as ready
         changeSoundSet(0);
         
     } catch (error) {
+        if (signal.aborted) {
+            // Not a failure: the newer request loads everything again
+            markProjectLoadCancelled();
+            revokeObjectUrls(newObjectUrls);
+            // An import cancelled while it was being saved (too late to skip it) is in the library all the same
+            if (isBundleSource(source) || isUnipadSource(source)) refreshLocalProjectMenu();
+            return;
+        }
+
         console.error("[Project] Failed to load project:", error);
         
         // Mark loading as failed - prevents MIDI and other systems from using incomplete state
         markProjectLoadError(error);
+        revokeObjectUrls(newObjectUrls);
         
         // Extract meaningful error message
         let userMessage;
@@ -259,6 +696,7 @@ export function initializeProjectMenu(projects) {
     projects.forEach((project, index) => {
         const button = document.createElement('button');
         button.className = 'menu-option';
+        button.dataset.configPath = project.configPath; // Tells built-in projects from the import actions
         button.textContent = project.name;
         button.onclick = () => {
             if (button.classList.contains('selected')) return;
@@ -271,4 +709,241 @@ export function initializeProjectMenu(projects) {
             // Selected button handling logic is in loadProject
         }
     });
-}
\ No newline at end of file
+
+    refreshLocalProjectMenu();
+    initializeMediaPersistence();
+    initializeImportControls();
+}
+
+/**
+ * Sets up the import buttons of the project menu (Unipad packs and bundles)
+ * and the export of the current project.
+ */
+function initializeImportControls() {
+    if (importControlsInitialized) return;
+    importControlsInitialized = true;
+
+    // Import of Unipad packs (.zip), added to the local library once loaded
+    const unipadInput = document.getElementById('unipad-file-input');
+    const unipadTrigger = document.getElementById('unipad-file-trigger');
+    if (unipadTrigger && unipadInput) {
+        registerListener(unipadTrigger, 'click', () => unipadInput.click());
+        registerListener(unipadInput, 'change', function () {
+            const file = this.files && this.files[0];
+            if (!file) return;
+            loadProject(file, null);
+            this.value = ''; // Allow importing the same pack again
+        });
+    }
+
+    // Project bundles (.lpbundle): import, and export of the current project
+    const bundleInput = document.getElementById('bundle-file-input');
+    const bundleTrigger = document.getElementById('bundle-file-trigger');
+    if (bundleTrigger && bundleInput) {
+        registerListener(bundleTrigger, 'click', () => bundleInput.click());
+        registerListener(bundleInput, 'change', function () {
+            const file = this.files && this.files[0];
+            if (!file) return;
+            loadProject(file, null);
+            this.value = '';
+        });
+    }
+    const exportButton = document.getElementById('bundle-export');
+    if (exportButton) {
+        registerListener(exportButton, 'click', () => exportCurrentProject());
+    }
+}
+
+/**
+ * Downloads the current project as a bundle.
+ * @returns {Promise<void>}
+ */
+export async function exportCurrentProject() {
+    if (!isProjectReady() || !currentProject || !currentResolvePath) {
+        showNotification(getTranslation('bundle.noProject'), 'warning');
+        return;
+    }
+
+    const project = currentProject;
+    showNotification(getTranslation('bundle.exporting'), 'info');
+    try {
+        const { blob, report } = await exportProjectBundle(project, currentResolvePath);
+        if (report.length > 0) {
+            console.warn("[Project] Files left out of the bundle:", report);
+            showNotification(getTranslation('bundle.exportReport').replace('{count}', report.length), 'warning', 5000);
+        }
+        const fileName = project.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'project';
+        downloadBlob(blob, `${fileName}${BUNDLE_EXTENSION}`);
+        console.log(`[Project] Project "${project.name}" exported (${(blob.size / (1024 * 1024)).toFixed(1)} MB).`);
+    } catch (error) {
+        console.error("[Project] Export failed:", error);
+        showNotification(getTranslation('bundle.exportError'), 'error');
+    }
+}
+
+/**
+ * Formats a storage size for the entries of the local library.
+ * @param {number} bytes - Size in bytes.
+ * @returns {string}
+ */
+function formatStorageSize(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+}
+
+/**
+ * Creates a small action button of a library entry.
+ * @param {string} symbol - The button label.
+ * @param {string} titleKey - Translation key of the tooltip.
+ * @param {function} onClick - Click handler.
+ * @returns {HTMLButtonElement}
+ */
+function createLibraryAction(symbol, titleKey, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'local-project-action';
+    button.textContent = symbol;
+    button.title = getTranslation(titleKey);
+    button.onclick = onClick;
+    return button;
+}
+
+/**
+ * Asks for a new name and renames a project of the local library.
+ * @param {{id: string, name: string}} entry - The library entry.
+ * @returns {Promise<void>}
+ */
+async function renameLibraryProject(entry) {
+    const name = (window.prompt(getTranslation('library.renamePrompt'), entry.name) || '').trim();
+    if (!name || name === entry.name) return;
+
+    try {
+        await renameLocalProject(entry.id, name);
+        if (entry.id === currentLocalProjectId && currentProject) {
+            currentProject.name = name;
+        }
+    } catch (error) {
+        console.error("[Project] Unable to rename the project:", error);
+        showNotification(getTranslation('library.saveError'), 'error');
+    }
+    refreshLocalProjectMenu();
+}
+
+/**
+ * Deletes a project of the local library after confirmation.
+ * A project being played stays loaded until another one is selected.
+ * @param {{id: string, name: string}} entry - The library entry.
+ * @returns {Promise<void>}
+ */
+async function deleteLibraryProject(entry) {
+    if (!window.confirm(getTranslation('library.deleteConfirm').replace('{name}', entry.name))) return;
+
+    try {
+        await deleteLocalProject(entry.id);
+        if (entry.id === currentLocalProjectId) currentLocalProjectId = null;
+    } catch (error) {
+        console.error("[Project] Unable to delete the project:", error);
+    }
+    refreshLocalProjectMenu();
+}
+
+/**
+ * Lists the projects of the local library in the project menu, after the built-in
+ * ones, with their storage usage and rename/delete actions.
+ * @returns {Promise<void>}
+ */
+export async function refreshLocalProjectMenu() {
+    const projectMenu = document.getElementById('project-menu');
+    if (!projectMenu) return;
+
+    let entries;
+    try {
+        entries = await listLocalProjects();
+    } catch (error) {
+        console.warn("[Project] Local library unavailable:", error);
+        return;
+    }
+
+    projectMenu.querySelectorAll('.local-library').forEach(element => element.remove());
+    if (entries.length === 0) return;
+
+    const title = document.createElement('div');
+    title.className = 'menu-section-title local-library';
+    title.setAttribute('data-i18n', 'library.title');
+    title.textContent = getTranslation('library.title');
+    projectMenu.appendChild(title);
+
+    entries.forEach(entry => {
+        const row = document.createElement('div');
+        row.className = 'local-project-row local-library';
+
+        const button = document.createElement('button');
+        button.className = 'menu-option';
+        button.textContent = entry.name;
+        const size = document.createElement('span');
+        size.className = 'local-project-size';
+        size.textContent = formatStorageSize(entry.size);
+        button.appendChild(size);
+        button.onclick = () => {
+            if (button.classList.contains('selected')) return;
+            loadProject(getLocalProjectSource(entry.id), button);
+        };
+        if (entry.id === currentLocalProjectId) {
+            // The menu was rebuilt: move the selection to the new button
+            if (selectedProjectButton) selectedProjectButton.classList.remove('selected');
+            button.classList.add('selected');
+            setSelectedProjectButton(button);
+        }
+
+        row.append(
+            button,
+            createLibraryAction('✎', 'library.rename', () => renameLibraryProject(entry)),
+            createLibraryAction('✕', 'library.delete', () => deleteLibraryProject(entry))
+        );
+        projectMenu.appendChild(row);
+    });
+}
+
+/**
+ * Keeps the background video and the logo picked from the sidebar when the current
+ * project belongs to the local library: they are stored in the project, which then
+ * shows them after a reload too. Built-in projects cannot store them: the user is told
+ * that the file only lasts until the page is reloaded.
+ */
+function initializeMediaPersistence() {
+    if (mediaPersistenceInitialized) return;
+    mediaPersistenceInitialized = true;
+
+    const persist = async (field, file) => {
+        if (!currentLocalProjectId) {
+            showNotification(getTranslation('library.mediaNotSaved'), 'warning');
+            return;
+        }
+        try {
+            await setLocalProjectMedia(currentLocalProjectId, field, file);
+            showNotification(getTranslation('library.mediaSaved'), 'success');
+            refreshLocalProjectMenu();
+        } catch (error) {
+            console.error(`[Project] Unable to store ${field} in the project:`, error);
+            showNotification(getTranslation('library.saveError'), 'error');
+        }
+    };
+
+    const backgroundInput = document.getElementById('background-file-input');
+    if (backgroundInput) {
+        registerListener(backgroundInput, 'change', function () {
+            const file = this.files && this.files[0];
+            // Projects only have a background video (images are not supported by `backgroundVideo`)
+            if (file && file.type.startsWith('video/')) persist('backgroundVideo', file);
+        });
+    }
+
+    const logoInput = document.getElementById('logo-file-input');
+    if (logoInput) {
+        registerListener(logoInput, 'change', function () {
+            const file = this.files && this.files[0];
+            // Project icons are shown as images
+            if (file && file.type.startsWith('image/')) persist('iconImage', file);
+        });
+    }
+}
@@ -0,0 +1,186 @@
+/**
+ * PROJECT BUNDLES (projectBundle.js)
+ *
+ * A bundle is a single file holding a whole project, so it can be shared without
+ * hosting a folder: a zip archive (`.lpbundle`) with the project JSON as `project.json`
+ * at its root and every file the project uses next to it (samples, cover, icon,
+ * background video, LED timeline and practice files), referenced in the JSON by
+ * their path inside the archive.
+ *
+ * Paths the bundle does not contain are kept as they are, so a project can still
+ * use the files shipped with the app (`assets/...`) or hosted elsewhere.
+ */
+
+import { ZipArchive, createZipArchive } from './zip.js';
+
+export const BUNDLE_EXTENSION = '.lpbundle';
+const BUNDLE_PROJECT_FILE = 'project.json';
+
+/**
+ * Paths that resolve without the bundle: files of the app and absolute URLs.
+ */
+const SHARED_PATH_PATTERN = /^(https?:|\/|assets\/)/;
+
+/**
+ * Copies a project, replacing every asset path it references.
+ * Asset paths are the sound entries (`src` and `samples` of pad objects included),
+ * the `src` of LED timeline objects in `page.lights`, the `src` of audio sprites
+ * (`page.sprite`, `project.sprite`), `coverImage`, `iconImage`, `backgroundVideo`
+ * and a `practice` file. Animation names in `page.lights` are not paths.
+ * @param {object} project - The project JSON.
+ * @param {function(string): string} mapPath - Returns the new path of an asset.
+ * @returns {object} The new project.
+ */
+export function mapProjectAssetPaths(project, mapPath) {
+    const copy = JSON.parse(JSON.stringify(project));
+    const mapEntry = (entry) => {
+        if (typeof entry === 'string') return entry ? mapPath(entry) : entry;
+        if (entry && typeof entry === 'object' && entry.src) entry.src = mapPath(entry.src);
+        return entry;
+    };
+
+    (copy.pages || []).forEach(page => {
+        if (Array.isArray(page.sounds)) {
+            page.sounds = page.sounds.map(sound => {
+                if (sound && typeof sound === 'object' && Array.isArray(sound.samples)) {
+                    sound.samples = sound.samples.map(mapEntry);
+                }
+                return mapEntry(sound);
+            });
+        }
+        if (Array.isArray(page.lights)) {
+            page.lights = page.lights.map(light => {
+                if (Array.isArray(light)) return light.map(variant => (typeof variant === 'object') ? mapEntry(variant) : variant);
+                return (light && typeof light === 'object') ? mapEntry(light) : light;
+            });
+        }
+        if (page.sprite && typeof page.sprite === 'object') mapEntry(page.sprite);
+    });
+    if (copy.sprite && typeof copy.sprite === 'object') mapEntry(copy.sprite);
+
+    ['coverImage', 'iconImage', 'backgroundVideo', 'practice'].forEach(field => {
+        if (typeof copy[field] === 'string' && copy[field]) copy[field] = mapPath(copy[field]);
+    });
+    return copy;
+}
+
+/**
+ * Turns an asset path into a path inside a bundle: relative, with '/' separators,
+ * without query string, host, '.' or '..' segments.
+ * @param {string} path - The path in the project JSON.
+ * @returns {string}
+ */
+function toBundlePath(path) {
+    const segments = path.split(/[?#]/)[0]
+        .replace(/\\/g, '/')
+        .replace(/^[a-z]+:\/\/[^/]*/i, '')
+        .split('/')
+        .filter(segment => segment && segment !== '.' && segment !== '..');
+    return segments.join('/') || 'file';
+}
+
+/**
+ * Creates the bundle of a project.
+ * Files that cannot be read keep their original path and are listed in the report.
+ * @param {object} project - The project JSON.
+ * @param {function(string): string} resolvePath - Resolves a project path to a URL,
+ *   as in `loadProject`.
+ * @returns {Promise<{blob: Blob, report: string[]}>}
+ */
+export async function exportProjectBundle(project, resolvePath) {
+    const paths = new Set();
+    mapProjectAssetPaths(project, path => {
+        paths.add(path);
+        return path;
+    });
+
+    const bundlePaths = new Map(); // project path -> path in the bundle
+    const usedPaths = new Set([BUNDLE_PROJECT_FILE]);
+    const files = [];
+    const report = [];
+
+    // One file at a time: a project can be hundreds of MB of samples
+    for (const path of paths) {
+        try {
+            const response = await fetch(resolvePath(path));
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const data = await response.blob();
+
+            // Different paths may end up the same once made relative (e.g. two hosts)
+            let bundlePath = toBundlePath(path);
+            for (let copy = 2; usedPaths.has(bundlePath); copy++) {
+                bundlePath = toBundlePath(path).replace(/(\.[^./]*)?$/, `-${copy}$1`);
+            }
+            usedPaths.add(bundlePath);
+            bundlePaths.set(path, bundlePath);
+            files.push({ path: bundlePath, data });
+        } catch (error) {
+            report.push(`${path}: ${error.message}`);
+        }
+    }
+
+    const bundled = mapProjectAssetPaths(project, path => bundlePaths.get(path) || path);
+    files.unshift({ path: BUNDLE_PROJECT_FILE, data: JSON.stringify(bundled, null, 2) });
+    return { blob: await createZipArchive(files), report };
+}
+
+/**
+ * Reads a bundle.
+ * Asset paths of the project are rewritten to the keys of `assets`, so that a
+ * resolver serving `assets` finds them; missing files are listed in the report.
+ * The project gets a new id, so that it never replaces a project of the library
+ * (e.g. the one it was exported from) or shares the id of a built-in one.
+ * @param {ArrayBuffer|Blob} data - The bundle.
+ * @returns {Promise<{project: object, assets: Map<string, Blob>, report: string[]}>}
+ *   The project is not validated.
+ * @throws {Error} If the data is not a project bundle.
+ */
+export async function importProjectBundle(data) {
+    const archive = await ZipArchive.open(data);
+    if (!archive.has(BUNDLE_PROJECT_FILE)) {
+        throw new Error(`Not a project bundle: ${BUNDLE_PROJECT_FILE} not found`);
+    }
+
+    let project;
+    try {
+        project = JSON.parse(await archive.readText(BUNDLE_PROJECT_FILE));
+    } catch (error) {
+        throw new Error(`Not a project bundle: ${BUNDLE_PROJECT_FILE} is not valid JSON`);
+    }
+
+    const usedPaths = new Set();
+    const report = [];
+    const imported = mapProjectAssetPaths(project, path => {
+        const bundlePath = toBundlePath(path);
+        if (archive.has(bundlePath)) {
+            usedPaths.add(bundlePath);
+            return bundlePath;
+        }
+        if (!SHARED_PATH_PATTERN.test(path)) report.push(`Missing file: ${path}`);
+        return path;
+    });
+
+    const slug = String(imported.name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    imported.id = `bundle-${slug || 'project'}-${Date.now().toString(36)}`;
+
+    const assets = new Map();
+    for (const path of usedPaths) {
+        assets.set(path, await archive.readBlob(path));
+    }
+
+    console.log(`[Bundle] Imported "${imported.name}": ${assets.size} files.`);
+    if (report.length > 0) {
+        console.warn('[Bundle] Not imported:', report);
+    }
+    return { project: imported, assets, report };
+}
+
+/**
+ * Returns true if a project source is a bundle.
+ * @param {string|Blob} source - URL or file.
+ * @returns {boolean}
+ */
+export function isBundleSource(source) {
+    const name = typeof source === 'string' ? source.split(/[?#]/)[0] : (source.name || '');
+    return name.toLowerCase().endsWith(BUNDLE_EXTENSION);
+}
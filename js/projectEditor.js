@@ -0,0 +1,438 @@
+/**
+ * PROJECT EDITOR (projectEditor.js)
+ *
+ * Builds a project in the browser, without editing JSON by hand:
+ * - while the editor is on, clicking a pad of the web grid selects it instead of playing it;
+ * - audio files dropped on a pad (or picked from the sidebar) become its sample;
+ *   several files fill the following pads;
+ * - each pad can get an animation from the `animations` registry;
+ * - pages can be added and named.
+ * A new draft takes the grid layout in use (one or two Launchpads, see gridLayout.js).
+ *
+ * Saving builds a project JSON, checks it with `validateProject` and stores it with
+ * its samples in the browser (see localStore.js). "Play" saves and opens it
+ * through `loadProject`.
+ */
+
+import { animations } from './animationLibrary.js';
+import { getPadElement } from './webInterface.js';
+import { getTranslation, showNotification } from './ui.js';
+import { registerListener } from './eventCleanup.js';
+import { loadProject, refreshLocalProjectMenu } from './project.js';
+import { validateProject, getErrorSummary } from './projectValidator.js';
+import { saveLocalProject, getLocalProjectSource } from './localStore.js';
+import { isDesignerActive, setDesignerActive } from './animationDesigner.js';
+import { TOTAL_PAGES } from './constants.js';
+import { DEFAULT_GRID_LAYOUT, getGridLayout, getLayoutSize, getPadCoordinates, getPadIndex, getGridCols, getGridRows } from './gridLayout.js';
+
+const AUDIO_FILE_PATTERN = /\.(wav|mp3|ogg|oga|flac|m4a|aac|webm)$/i;
+
+let editorControlsInitialized = false; // Prevent duplicate listener registration
+let editorActive = false;
+let selectedPage = 0;
+let selectedPad = null;
+
+/**
+ * Creates an empty page of the draft.
+ * @param {string} layout - Grid layout of the draft.
+ * @returns {{name: string, sounds: (File|null)[], lights: string[]}}
+ */
+function createDraftPage(layout) {
+    const { pads } = getLayoutSize(layout);
+    return {
+        name: '',
+        sounds: new Array(pads).fill(null),
+        lights: new Array(pads).fill('')
+    };
+}
+
+/**
+ * Creates an empty draft, for the grid layout in use. The id is assigned on the first
+ * save, so saving again replaces the stored project instead of adding a copy.
+ * @returns {{id: string|null, name: string, layout: string, pages: object[]}}
+ */
+function createDraft() {
+    const layout = getGridLayout().id;
+    return { id: null, name: '', layout, pages: [createDraftPage(layout)] };
+}
+
+let draft = createDraft();
+
+/**
+ * Gets the pad of the draft under a pad of the web grid. The grid may have another
+ * layout than the draft (e.g. a project for two Launchpads was opened since).
+ * @param {number} gridIndex - Pad index on the web grid.
+ * @returns {number|null} Pad index in the draft, or null if the draft has no such pad.
+ */
+function getDraftPad(gridIndex) {
+    const [x, y] = getPadCoordinates(gridIndex);
+    const { cols, rows } = getLayoutSize(draft.layout);
+    return (x < cols && y < rows) ? y * cols + x : null;
+}
+
+/**
+ * Gets the pad of the web grid showing a pad of the draft.
+ * @param {number} padIndex - Pad index in the draft.
+ * @returns {number|null} Pad index on the web grid, or null if the grid has no such pad.
+ */
+function getGridPad(padIndex) {
+    const { cols } = getLayoutSize(draft.layout);
+    const x = padIndex % cols;
+    const y = Math.floor(padIndex / cols);
+    return (x < getGridCols() && y < getGridRows()) ? getPadIndex(x, y) : null;
+}
+
+/**
+ * Returns true if a file looks like an audio file the browser can decode.
+ * @param {File} file - The file.
+ * @returns {boolean}
+ */
+function isAudioFile(file) {
+    return file.type.startsWith('audio/') || AUDIO_FILE_PATTERN.test(file.name);
+}
+
+/**
+ * Builds a project id from its name, unique among the stored projects.
+ * @param {string} name - The project name.
+ * @returns {string}
+ */
+function createProjectId(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return `local-${slug || 'project'}-${Date.now().toString(36)}`;
+}
+
+/**
+ * Builds the project JSON of the draft and the files it references.
+ * Samples are stored under `samples/<page>-<pad>-<file name>`.
+ * @returns {{project: object, assets: Map<string, Blob>}}
+ */
+function buildDraftProject() {
+    const assets = new Map();
+    const name = draft.name.trim() || getTranslation('editor.untitled');
+
+    const pages = draft.pages.map((page, pageIndex) => ({
+        name: page.name.trim() || `Page ${pageIndex + 1}`,
+        sounds: page.sounds.map((file, padIndex) => {
+            if (!file) return '';
+            const path = `samples/${pageIndex + 1}-${padIndex + 1}-${file.name}`;
+            assets.set(path, file);
+            return path;
+        }),
+        lights: page.lights.slice()
+    }));
+
+    const project = { id: draft.id || createProjectId(name), name, pages };
+    if (draft.layout !== DEFAULT_GRID_LAYOUT) project.layout = draft.layout;
+    return { project, assets };
+}
+
+/**
+ * Validates and stores the draft.
+ * @returns {Promise<string|null>} The id of the stored project, or null if it was not saved.
+ */
+export async function saveDraft() {
+    const { project, assets } = buildDraftProject();
+
+    if (assets.size === 0) {
+        showNotification(getTranslation('editor.empty'), 'warning');
+        return null;
+    }
+
+    const validation = validateProject(project);
+    if (!validation.isValid) {
+        console.error("[Editor] Draft is not a valid project:", validation.errors);
+        showNotification(getErrorSummary(validation.errors), 'error', 5000);
+        return null;
+    }
+
+    try {
+        await saveLocalProject(project, assets);
+    } catch (error) {
+        console.error("[Editor] Unable to save the project:", error);
+        showNotification(getTranslation('editor.saveError'), 'error');
+        return null;
+    }
+
+    draft.id = project.id;
+    showNotification(getTranslation('editor.saved').replace('{name}', project.name), 'success');
+    refreshLocalProjectMenu();
+    return project.id;
+}
+
+/**
+ * Saves the draft and loads it as the current project.
+ * @returns {Promise<void>}
+ */
+async function playDraft() {
+    const id = await saveDraft();
+    if (!id) return;
+    setEditorActive(false);
+    await loadProject(getLocalProjectSource(id), null);
+}
+
+/**
+ * Assigns audio files to the pads of the selected page, starting from a pad.
+ * Extra files fill the following pads; files that are not audio are skipped.
+ * @param {number} padIndex - First pad of the draft.
+ * @param {File[]} files - The files.
+ */
+function assignSamples(padIndex, files) {
+    const audioFiles = files.filter(isAudioFile);
+    if (audioFiles.length < files.length) {
+        showNotification(getTranslation('editor.notAudio'), 'warning');
+    }
+
+    const page = draft.pages[selectedPage];
+    audioFiles.slice(0, page.sounds.length - padIndex).forEach((file, offset) => {
+        page.sounds[padIndex + offset] = file;
+    });
+    if (audioFiles.length > 0) selectPad(padIndex);
+}
+
+/**
+ * Selects the pad whose sample and animation are edited in the sidebar.
+ * @param {number|null} padIndex - Pad index in the draft, or null for none.
+ */
+function selectPad(padIndex) {
+    selectedPad = padIndex;
+    updateEditorControls();
+}
+
+/**
+ * Marks the pads of the selected page that have a sample, and the selected pad.
+ * With the editor off, the marks are removed.
+ */
+function renderEditorGrid() {
+    const page = draft.pages[selectedPage];
+    page.sounds.forEach((sound, index) => {
+        const gridIndex = getGridPad(index);
+        const pad = gridIndex === null ? null : getPadElement(gridIndex);
+        if (!pad) return;
+        const file = editorActive ? sound : null;
+        pad.classList.toggle('editor-assigned', !!file);
+        pad.classList.toggle('editor-selected', editorActive && index === selectedPad);
+        if (file) {
+            pad.title = page.lights[index] ? `${file.name} · ${page.lights[index]}` : file.name;
+        } else {
+            pad.removeAttribute('title');
+        }
+    });
+}
+
+/**
+ * Fills the animation picker with the reusable names of the registry.
+ * LED timelines of the loaded project are left out: they only exist in that project.
+ * @param {HTMLSelectElement} select - The picker.
+ */
+function fillAnimationSelect(select) {
+    const names = Object.keys(animations)
+        .filter(name => !animations[name].projectOnly)
+        .sort();
+
+    select.innerHTML = '';
+    const none = document.createElement('option');
+    none.value = '';
+    none.textContent = getTranslation('editor.noAnimation');
+    select.appendChild(none);
+    names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Updates the sidebar controls and the grid marks from the draft.
+ */
+function updateEditorControls() {
+    const toggleButton = document.getElementById('editor-toggle');
+    if (toggleButton) {
+        const key = editorActive ? 'editor.stop' : 'editor.start';
+        toggleButton.setAttribute('data-i18n', key);
+        toggleButton.textContent = getTranslation(key);
+        toggleButton.classList.toggle('selected', editorActive);
+    }
+
+    const panel = document.getElementById('editor-panel');
+    if (panel) panel.style.display = editorActive ? 'block' : 'none';
+
+    document.querySelectorAll('.Launchpad').forEach(launchpad => {
+        launchpad.classList.toggle('editor-mode', editorActive);
+    });
+
+    const nameInput = document.getElementById('editor-project-name');
+    if (nameInput) nameInput.value = draft.name;
+
+    const pageSelect = document.getElementById('editor-page-select');
+    if (pageSelect) {
+        pageSelect.innerHTML = '';
+        draft.pages.forEach((page, pageIndex) => {
+            const option = document.createElement('option');
+            option.value = pageIndex;
+            option.textContent = page.name || `${getTranslation('editor.page')} ${pageIndex + 1}`;
+            pageSelect.appendChild(option);
+        });
+        pageSelect.value = selectedPage;
+    }
+
+    const addPageButton = document.getElementById('editor-add-page');
+    if (addPageButton) addPageButton.disabled = draft.pages.length >= TOTAL_PAGES;
+
+    const pageNameInput = document.getElementById('editor-page-name');
+    if (pageNameInput) pageNameInput.value = draft.pages[selectedPage].name;
+
+    const page = draft.pages[selectedPage];
+    const padInfo = document.getElementById('editor-pad-info');
+    if (padInfo) {
+        if (selectedPad === null) {
+            padInfo.textContent = getTranslation('editor.selectPad');
+        } else {
+            const file = page.sounds[selectedPad];
+            const { cols } = getLayoutSize(draft.layout);
+            padInfo.textContent = getTranslation('editor.pad')
+                .replace('{x}', selectedPad % cols)
+                .replace('{y}', Math.floor(selectedPad / cols))
+                .replace('{sample}', file ? file.name : getTranslation('editor.noSample'));
+        }
+    }
+
+    const padControls = document.getElementById('editor-pad-controls');
+    if (padControls) padControls.style.display = selectedPad === null ? 'none' : 'block';
+
+    const animationSelect = document.getElementById('editor-animation-select');
+    if (animationSelect && selectedPad !== null) {
+        animationSelect.value = page.lights[selectedPad];
+    }
+
+    renderEditorGrid();
+}
+
+/**
+ * Turns the editor on or off. The animation designer is turned off, as both use
+ * clicks on the web grid.
+ * @param {boolean} active - True to start editing.
+ */
+export function setEditorActive(active) {
+    if (active && isDesignerActive()) setDesignerActive(false);
+    editorActive = active;
+    if (active) {
+        const animationSelect = document.getElementById('editor-animation-select');
+        if (animationSelect) fillAnimationSelect(animationSelect);
+    }
+    updateEditorControls();
+    console.log(`[Editor] ${active ? 'Started' : 'Stopped'}.`);
+}
+
+/**
+ * Returns true while the editor is on.
+ * @returns {boolean}
+ */
+export function isEditorActive() {
+    return editorActive;
+}
+
+/**
+ * Initializes the editor menu and the editing gestures on the web grid.
+ * Only initializes once to prevent duplicate listeners.
+ */
+export function initializeEditorControls() {
+    if (editorControlsInitialized) {
+        console.log("[Editor] Already initialized, skipping duplicate setup");
+        return;
+    }
+    editorControlsInitialized = true;
+
+    const bind = (id, event, handler) => {
+        const element = document.getElementById(id);
+        if (element) registerListener(element, event, handler);
+        return element;
+    };
+
+    bind('editor-toggle', 'click', () => setEditorActive(!editorActive));
+    bind('editor-new', 'click', () => {
+        draft = createDraft();
+        selectedPage = 0;
+        selectedPad = null;
+        updateEditorControls();
+    });
+    bind('editor-project-name', 'input', function () {
+        draft.name = this.value;
+    });
+    bind('editor-page-select', 'change', function () {
+        selectedPage = parseInt(this.value, 10);
+        updateEditorControls();
+    });
+    bind('editor-add-page', 'click', () => {
+        if (draft.pages.length >= TOTAL_PAGES) return;
+        draft.pages.push(createDraftPage(draft.layout));
+        selectedPage = draft.pages.length - 1;
+        updateEditorControls();
+    });
+    bind('editor-page-name', 'change', function () {
+        draft.pages[selectedPage].name = this.value;
+        updateEditorControls();
+    });
+    bind('editor-animation-select', 'change', function () {
+        if (selectedPad === null) return;
+        draft.pages[selectedPage].lights[selectedPad] = this.value;
+        renderEditorGrid();
+    });
+    bind('editor-clear-pad', 'click', () => {
+        if (selectedPad === null) return;
+        draft.pages[selectedPage].sounds[selectedPad] = null;
+        draft.pages[selectedPage].lights[selectedPad] = '';
+        updateEditorControls();
+    });
+
+    const sampleInput = document.getElementById('editor-sample-input');
+    bind('editor-sample-trigger', 'click', () => {
+        if (sampleInput && selectedPad !== null) sampleInput.click();
+    });
+    if (sampleInput) {
+        registerListener(sampleInput, 'change', function () {
+            if (selectedPad !== null && this.files.length > 0) {
+                assignSamples(selectedPad, Array.from(this.files));
+            }
+            this.value = ''; // Allow picking the same file again
+        });
+    }
+
+    bind('editor-save', 'click', () => saveDraft());
+    bind('editor-play', 'click', () => playDraft());
+
+    const launchpad = document.getElementById('launchpad-grid');
+    if (launchpad) {
+        // Capture phase: while editing, a click on a pad selects it and never reaches
+        // the interaction handlers, so nothing plays
+        const handlePadPress = (e) => {
+            if (!editorActive) return;
+            const pad = e.target.closest('.grid-item');
+            if (!pad || pad.dataset.index === undefined) return;
+            e.preventDefault();
+            e.stopPropagation();
+            const padIndex = getDraftPad(parseInt(pad.dataset.index, 10));
+            if (padIndex !== null) selectPad(padIndex);
+        };
+        registerListener(launchpad, 'mousedown', handlePadPress, { capture: true });
+        registerListener(launchpad, 'touchstart', handlePadPress, { capture: true, passive: false });
+
+        registerListener(launchpad, 'dragover', (e) => {
+            if (!editorActive || !e.target.closest('.grid-item')) return;
+            e.preventDefault(); // Accept the drop
+            e.dataTransfer.dropEffect = 'copy';
+        });
+        registerListener(launchpad, 'drop', (e) => {
+            if (!editorActive) return;
+            const pad = e.target.closest('.grid-item');
+            if (!pad || pad.dataset.index === undefined) return;
+            e.preventDefault();
+            const padIndex = getDraftPad(parseInt(pad.dataset.index, 10));
+            if (padIndex !== null) assignSamples(padIndex, Array.from(e.dataTransfer.files));
+        });
+        // The grid is built again for another layout: show the marks on the new pads
+        registerListener(window, 'grid:layout', () => renderEditorGrid());
+    }
+
+    updateEditorControls();
+}
@@ -10,6 +10,7 @@
  * - LOADING: Project assets being fetched/processed
  * - READY: Project fully loaded and safe to access
  * - ERROR: Project loading failed
+ * - CANCELLED: Project loading was abandoned for a newer request (see `loadProject`)
  */
 
 import { PROJECT_LOADING_TIMEOUT_MS } from './constants.js';
@@ -18,7 +19,8 @@ const LOADING_STATES = {
     IDLE: 'IDLE',
     LOADING: 'LOADING',
     READY: 'READY',
-    ERROR: 'ERROR'
+    ERROR: 'ERROR',
+    CANCELLED: 'CANCELLED'
 };
 
 let currentLoadingState = LOADING_STATES.IDLE;
@@ -139,6 +141,38 @@ export function markProjectLoadError(error) {
     }));
 }
 
+/**
+ * Marks project loading as cancelled, because another project was requested.
+ * Not an error: the newer load takes over, so nothing is reported to the user.
+ * Automatically cancels the safety timeout since the load is over
+ */
+export function markProjectLoadCancelled() {
+    if (loadingTimeoutId !== null) {
+        clearTimeout(loadingTimeoutId);
+        loadingTimeoutId = null;
+    }
+
+    currentLoadingState = LOADING_STATES.CANCELLED;
+    lastError = null;
+    console.log("[ProjectLoading] Project loading cancelled");
+
+    if (resolveLoadingPromise) {
+        resolveLoadingPromise();
+        resolveLoadingPromise = null;
+    }
+
+    window.dispatchEvent(new CustomEvent('project:cancelled', {
+        detail: { timestamp: Date.now() }
+    }));
+}
+
+/**
+ * Returns true if the last project load was cancelled
+ */
+export function isProjectLoadCancelled() {
+    return currentLoadingState === LOADING_STATES.CANCELLED;
+}
+
 /**
  * Wraps a loading operation to ensure proper state management
  * 
@@ -160,6 +194,7 @@ export async function wrapProjectLoading(operation) {
 /**
  * Waits until the project is ready before proceeding
  * Useful for operations that depend on project data.
+ * A cancelled load keeps the wait going: the request that replaced it is on its way.
  * 
  * Example:
  *   const ready = await waitForProjectReady(timeout);
@@ -7,6 +7,18 @@
  * Uses a defensive programming approach to catch and report validation errors.
  */
 
+import { effects } from './masterBus.js';
+import { webColorMap } from './webInterface.js';
+import { isHexColor } from './colorPalette.js';
+import { PAD_MODES, SAMPLE_SELECT_MODES, MAX_VELOCITY, MIN_BPM, MAX_BPM, LAUNCH_QUANTIZE_BEATS } from './constants.js';
+import { GRID_LAYOUTS, DEFAULT_GRID_LAYOUT, getLayoutSize } from './gridLayout.js';
+
+/**
+ * Slice ends may exceed the decoded duration by this much (seconds): offsets are
+ * usually rounded by the tool that made the sprite.
+ */
+const SPRITE_END_TOLERANCE = 0.001;
+
 /**
  * Validates a project configuration object.
  * @param {object} project - The project object to validate
@@ -44,13 +56,30 @@ export function validateProject(project) {
         errors.push(`Project has ${project.pages.length} pages, but maximum is 8`);
     }
 
-    // 4. Validate each page
+    // The grid layout sets the pads of a page: 64, or 128 on two Launchpads
+    if (project.layout !== undefined && project.layout !== null && !GRID_LAYOUTS[project.layout]) {
+        errors.push(`Project field "layout" must be one of ${Object.keys(GRID_LAYOUTS).join(', ')}`);
+    }
+    const size = getLayoutSize(project.layout || DEFAULT_GRID_LAYOUT);
+
+    // 4. Validate the project audio sprite (pads numbered across pages: page * pads + pad)
+    const spritePads = new Set();
+    if (project.sprite !== undefined && project.sprite !== null) {
+        errors.push(...validateSprite(project.sprite, project.pages.length * size.pads, 'Project sprite'));
+        getSpritePads(project.sprite).forEach(padIndex => spritePads.add(padIndex));
+    }
+
+    // 5. Validate each page
     project.pages.forEach((page, pageIndex) => {
-        const pageErrors = validatePage(page, pageIndex);
+        const pagePads = new Set();
+        spritePads.forEach(padIndex => {
+            if (Math.floor(padIndex / size.pads) === pageIndex) pagePads.add(padIndex % size.pads);
+        });
+        const pageErrors = validatePage(page, pageIndex, pagePads, size);
         errors.push(...pageErrors);
     });
 
-    // 5. Check optional fields (must be strings or null)
+    // 6. Check optional fields (must be strings or null)
     const optionalStringFields = ['coverImage', 'iconImage', 'backgroundVideo', 'visualizerMode'];
     optionalStringFields.forEach(field => {
         if (project[field] !== undefined && project[field] !== null && typeof project[field] !== 'string') {
@@ -58,6 +87,39 @@ export function validateProject(project) {
         }
     });
 
+    // 7. Check master effect buttons (navigation buttons 0-3)
+    if (project.fxButtons !== undefined && project.fxButtons !== null) {
+        if (!Array.isArray(project.fxButtons) || project.fxButtons.length > 4) {
+            errors.push('Project field "fxButtons" must be an array of at most 4 effect names');
+        } else {
+            project.fxButtons.forEach((name, buttonIndex) => {
+                if (name !== null && name !== '' && !effects[name]) {
+                    errors.push(`Effect button ${buttonIndex}: unknown effect "${name}"`);
+                }
+            });
+        }
+    }
+
+    // 8. Check the practice reference timeline (file path or inline timeline)
+    if (project.practice !== undefined && project.practice !== null && typeof project.practice !== 'string') {
+        const practiceValidation = validateTimeline(project.practice, size.pads);
+        practiceValidation.errors.forEach(error => errors.push(`Practice timeline: ${error}`));
+    }
+
+    // 9. Check tempo and launch quantization
+    if (project.bpm !== undefined && project.bpm !== null) {
+        if (typeof project.bpm !== 'number' || !Number.isFinite(project.bpm) || project.bpm < MIN_BPM || project.bpm > MAX_BPM) {
+            errors.push(`Project field "bpm" must be a number between ${MIN_BPM} and ${MAX_BPM}`);
+        }
+    }
+
+    if (project.quantize !== undefined && project.quantize !== null) {
+        const validQuantize = Object.keys(LAUNCH_QUANTIZE_BEATS);
+        if (!validQuantize.includes(project.quantize)) {
+            errors.push(`Project field "quantize" must be one of ${validQuantize.join(', ')}`);
+        }
+    }
+
     const isValid = errors.length === 0;
     return { isValid, errors };
 }
@@ -66,9 +128,12 @@ export function validateProject(project) {
  * Validates a page object within a project.
  * @param {object} page - The page to validate
  * @param {number} pageIndex - The index of this page (for error messages)
+ * @param {Set<number>} [spritePads] - Pads of this page played from the project audio sprite
+ * @param {{cols: number, rows: number, pads: number}} [size] - Grid size of the project
+ *   layout (see gridLayout.js), 8x8 by default
  * @returns {string[]} Array of error messages (empty if valid)
  */
-export function validatePage(page, pageIndex) {
+export function validatePage(page, pageIndex, spritePads = new Set(), size = getLayoutSize(DEFAULT_GRID_LAYOUT)) {
     const errors = [];
     const pageNum = pageIndex + 1;
 
@@ -89,15 +154,34 @@ export function validatePage(page, pageIndex) {
         return errors;
     }
 
-    // Validate sounds array length (must be exactly 64 for a page)
-    if (page.sounds.length !== 64) {
-        errors.push(`Page ${pageNum}: sounds array must have exactly 64 elements, found ${page.sounds.length}`);
+    // Validate sounds array length (one sound per pad of the grid: 64, or 128 on two Launchpads)
+    if (page.sounds.length !== size.pads) {
+        errors.push(`Page ${pageNum}: sounds array must have exactly ${size.pads} elements, found ${page.sounds.length}`);
     }
 
-    // Validate each sound entry
+    // Check the page audio sprite (it takes precedence over the project one)
+    const slicedPads = new Set(spritePads);
+    if (page.sprite !== undefined && page.sprite !== null) {
+        errors.push(...validateSprite(page.sprite, size.pads, `Page ${pageNum}, Sprite`));
+        getSpritePads(page.sprite).forEach(padIndex => slicedPads.add(padIndex));
+    }
+
+    // Validate each sound entry (a path string or a pad object)
     page.sounds.forEach((sound, soundIndex) => {
-        if (sound !== null && sound !== undefined && sound !== '' && typeof sound !== 'string') {
-            errors.push(`Page ${pageNum}, Sound ${soundIndex}: must be a string or empty, got ${typeof sound}`);
+        const isSpriteSlice = slicedPads.has(soundIndex);
+        if (sound === null || sound === undefined || sound === '') {
+            return;
+        }
+        if (typeof sound === 'string') {
+            if (isSpriteSlice) {
+                errors.push(`Page ${pageNum}, Sound ${soundIndex}: has both a path and an audio sprite slice`);
+            }
+            return;
+        }
+        if (typeof sound === 'object' && !Array.isArray(sound)) {
+            errors.push(...validatePadObject(sound, `Page ${pageNum}, Sound ${soundIndex}`, isSpriteSlice));
+        } else {
+            errors.push(`Page ${pageNum}, Sound ${soundIndex}: must be a string, a pad object or empty, got ${typeof sound}`);
         }
     });
 
@@ -105,14 +189,68 @@ export function validatePage(page, pageIndex) {
     if (page.lights !== undefined && page.lights !== null) {
         if (!Array.isArray(page.lights)) {
             errors.push(`Page ${pageNum}: "lights" must be an array if provided`);
-        } else if (page.lights.length !== 64) {
-            errors.push(`Page ${pageNum}: lights array must have exactly 64 elements, found ${page.lights.length}`);
+        } else if (page.lights.length !== size.pads) {
+            errors.push(`Page ${pageNum}: lights array must have exactly ${size.pads} elements, found ${page.lights.length}`);
         } else {
             // Validate each light entry
             page.lights.forEach((light, lightIndex) => {
-                if (light !== null && light !== undefined && light !== '' && typeof light !== 'string') {
-                    errors.push(`Page ${pageNum}, Light ${lightIndex}: must be a string or empty, got ${typeof light}`);
+                const label = `Page ${pageNum}, Light ${lightIndex}`;
+                if (Array.isArray(light)) {
+                    // Variants of an LED timeline, played in turn
+                    if (light.length === 0) errors.push(`${label}: the list of LED timelines must not be empty`);
+                    light.forEach((variant, variantIndex) => {
+                        const variantLabel = `${label}, Variant ${variantIndex}`;
+                        if (variant && typeof variant === 'object' && !Array.isArray(variant)) {
+                            errors.push(...validateLightObject(variant, variantLabel, size));
+                        } else {
+                            errors.push(`${variantLabel}: must be an LED timeline object`);
+                        }
+                    });
+                } else if (light && typeof light === 'object') {
+                    errors.push(...validateLightObject(light, label, size));
+                } else if (light !== null && light !== undefined && light !== '' && typeof light !== 'string') {
+                    errors.push(`${label}: must be a string, an LED timeline object, a list of them or empty, got ${typeof light}`);
+                }
+            });
+        }
+    }
+
+    // Check modes array if it exists
+    if (page.modes !== undefined && page.modes !== null) {
+        const validModes = Object.values(PAD_MODES);
+        if (!Array.isArray(page.modes)) {
+            errors.push(`Page ${pageNum}: "modes" must be an array if provided`);
+        } else if (page.modes.length !== size.pads) {
+            errors.push(`Page ${pageNum}: modes array must have exactly ${size.pads} elements, found ${page.modes.length}`);
+        } else {
+            page.modes.forEach((mode, modeIndex) => {
+                if (mode !== null && mode !== undefined && mode !== '' && !validModes.includes(mode)) {
+                    errors.push(`Page ${pageNum}, Mode ${modeIndex}: must be one of ${validModes.join(', ')} or empty, got "${mode}"`);
+                }
+            });
+        }
+    }
+
+    // Check choke groups if they exist (group name -> array of pad indices)
+    if (page.chokeGroups !== undefined && page.chokeGroups !== null) {
+        if (typeof page.chokeGroups !== 'object' || Array.isArray(page.chokeGroups)) {
+            errors.push(`Page ${pageNum}: "chokeGroups" must be an object mapping group names to pad indices`);
+        } else {
+            const assignedPads = new Map();
+            Object.entries(page.chokeGroups).forEach(([groupName, padIndices]) => {
+                if (!Array.isArray(padIndices)) {
+                    errors.push(`Page ${pageNum}, Choke group "${groupName}": must be an array of pad indices`);
+                    return;
                 }
+                padIndices.forEach(padIndex => {
+                    if (!Number.isInteger(padIndex) || padIndex < 0 || padIndex >= size.pads) {
+                        errors.push(`Page ${pageNum}, Choke group "${groupName}": pad index must be an integer between 0 and ${size.pads - 1}, got ${padIndex}`);
+                    } else if (assignedPads.has(padIndex) && assignedPads.get(padIndex) !== groupName) {
+                        errors.push(`Page ${pageNum}, Pad ${padIndex}: belongs to both "${assignedPads.get(padIndex)}" and "${groupName}" choke groups`);
+                    } else {
+                        assignedPads.set(padIndex, groupName);
+                    }
+                });
             });
         }
     }
@@ -120,6 +258,294 @@ export function validatePage(page, pageIndex) {
     return errors;
 }
 
+/**
+ * Validates a pad object used in place of a path string in `page.sounds`,
+ * e.g. `{ "src": "kick.wav", "gain": 0.8, "pan": -0.5, "playbackRate": 1.5 }`.
+ * A pad played from an audio sprite only carries its options (no `src`).
+ * @param {object} pad - The pad object to validate
+ * @param {string} label - Prefix for error messages (e.g. "Page 1, Sound 3")
+ * @param {boolean} [isSpriteSlice=false] - Whether the pad is played from an audio sprite
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+export function validatePadObject(pad, label, isSpriteSlice = false) {
+    const errors = [];
+
+    if (isSpriteSlice) {
+        if (pad.src !== undefined || pad.samples !== undefined) {
+            errors.push(`${label}: has both a "src" (or "samples") and an audio sprite slice`);
+        }
+    } else if (pad.samples !== undefined) {
+        errors.push(...validatePadSamples(pad, label));
+    } else if (!pad.src || typeof pad.src !== 'string') {
+        errors.push(`${label}: pad object must have a valid "src" field (string) or a "samples" array`);
+    }
+
+    if (pad.gain !== undefined && (typeof pad.gain !== 'number' || !Number.isFinite(pad.gain) || pad.gain < 0 || pad.gain > 4)) {
+        errors.push(`${label}: "gain" must be a number between 0 and 4`);
+    }
+
+    if (pad.pan !== undefined && (typeof pad.pan !== 'number' || !Number.isFinite(pad.pan) || pad.pan < -1 || pad.pan > 1)) {
+        errors.push(`${label}: "pan" must be a number between -1 (left) and 1 (right)`);
+    }
+
+    if (pad.playbackRate !== undefined && (typeof pad.playbackRate !== 'number' || !Number.isFinite(pad.playbackRate) || pad.playbackRate < 0.0625 || pad.playbackRate > 16)) {
+        errors.push(`${label}: "playbackRate" must be a number between 0.0625 and 16`);
+    }
+
+    if (pad.mode !== undefined && !Object.values(PAD_MODES).includes(pad.mode)) {
+        errors.push(`${label}: "mode" must be one of ${Object.values(PAD_MODES).join(', ')}`);
+    }
+
+    if (pad.chokeGroup !== undefined && pad.chokeGroup !== null && typeof pad.chokeGroup !== 'string') {
+        errors.push(`${label}: "chokeGroup" must be a string if provided`);
+    }
+
+    if (pad.fx !== undefined && pad.fx !== null && !effects[pad.fx]) {
+        errors.push(`${label}: unknown effect "${pad.fx}"`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates the layers of a multisampled pad (`samples` + `select`).
+ * @param {object} pad - The pad object to validate
+ * @param {string} label - Prefix for error messages
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validatePadSamples(pad, label) {
+    const errors = [];
+
+    if (!Array.isArray(pad.samples) || pad.samples.length === 0) {
+        errors.push(`${label}: "samples" must be a non-empty array`);
+        return errors;
+    }
+
+    const validSelects = Object.values(SAMPLE_SELECT_MODES);
+    if (pad.select !== undefined && !validSelects.includes(pad.select)) {
+        errors.push(`${label}: "select" must be one of ${validSelects.join(', ')}`);
+    }
+
+    pad.samples.forEach((sample, sampleIndex) => {
+        const sampleLabel = `${label}, Sample ${sampleIndex}`;
+        if (typeof sample === 'string') {
+            if (sample === '') errors.push(`${sampleLabel}: path must not be empty`);
+            return;
+        }
+        if (!sample || typeof sample !== 'object' || !sample.src || typeof sample.src !== 'string') {
+            errors.push(`${sampleLabel}: must be a path string or an object with a valid "src" field`);
+            return;
+        }
+        if (sample.velocity !== undefined) {
+            const range = sample.velocity;
+            const isValidRange = Array.isArray(range) && range.length === 2 &&
+                range.every(v => Number.isInteger(v) && v >= 0 && v <= MAX_VELOCITY) &&
+                range[0] <= range[1];
+            if (!isValidRange) {
+                errors.push(`${sampleLabel}: "velocity" must be a [min, max] range between 0 and ${MAX_VELOCITY}`);
+            }
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates an audio sprite: one file holding the samples of several pads, e.g.
+ * `{ "src": "page1.ogg", "pads": { "0": { "start": 0, "end": 1.5 } } }` (seconds).
+ * Slices past the end of the file are only found once it is decoded (see `validateSpriteSlices`).
+ * @param {object} sprite - The sprite object to validate
+ * @param {number} padCount - Number of pads the keys of `pads` can refer to
+ * @param {string} label - Prefix for error messages (e.g. "Page 1, Sprite")
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validateSprite(sprite, padCount, label) {
+    const errors = [];
+
+    if (typeof sprite !== 'object' || Array.isArray(sprite)) {
+        errors.push(`${label}: must be an object with "src" and "pads"`);
+        return errors;
+    }
+    if (!sprite.src || typeof sprite.src !== 'string') {
+        errors.push(`${label}: must have a valid "src" field (string)`);
+    }
+    if (!sprite.pads || typeof sprite.pads !== 'object' || Array.isArray(sprite.pads)) {
+        errors.push(`${label}: "pads" must be an object mapping pad indices to { start, end } slices`);
+        return errors;
+    }
+
+    Object.entries(sprite.pads).forEach(([key, slice]) => {
+        const padIndex = Number(key);
+        if (!Number.isInteger(padIndex) || padIndex < 0 || padIndex >= padCount) {
+            errors.push(`${label}: pad index must be an integer between 0 and ${padCount - 1}, got "${key}"`);
+            return;
+        }
+        const isValidSlice = slice && typeof slice === 'object' &&
+            typeof slice.start === 'number' && Number.isFinite(slice.start) && slice.start >= 0 &&
+            typeof slice.end === 'number' && Number.isFinite(slice.end) && slice.end > slice.start;
+        if (!isValidSlice) {
+            errors.push(`${label}, Pad ${key}: must be { start, end } in seconds, with end after start`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Gets the pads an audio sprite has a slice for.
+ * @param {object} sprite - The sprite object
+ * @returns {number[]} The pad indices (keys of `pads`)
+ */
+function getSpritePads(sprite) {
+    if (!sprite || typeof sprite.pads !== 'object' || !sprite.pads) return [];
+    return Object.keys(sprite.pads).map(Number).filter(Number.isInteger);
+}
+
+/**
+ * Checks the slices of an audio sprite against its decoded duration.
+ * @param {{label: string, start: number, end: number}[]} slices - The slices played
+ *   from the sprite, `label` naming the pad in error messages.
+ * @param {number} duration - Duration of the decoded sprite (seconds).
+ * @returns {object} { isValid: boolean, errors: string[] }
+ */
+export function validateSpriteSlices(slices, duration) {
+    const errors = [];
+    slices.forEach(({ label, end }) => {
+        if (end > duration + SPRITE_END_TOLERANCE) {
+            errors.push(`${label}: slice ends at ${end}s, after the end of the audio sprite (${duration.toFixed(3)}s)`);
+        }
+    });
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validates an LED timeline used in place of an animation name in `page.lights`:
+ * either inline (`{ "events": [...], "duration": 2, "loop": false }`) or
+ * a reference to a JSON file (`{ "src": "lights/intro.json", "loop": true }`).
+ * Referenced files are validated with `validateLedTimeline` once loaded.
+ * @param {object} light - The light object to validate
+ * @param {string} label - Prefix for error messages (e.g. "Page 1, Light 3")
+ * @param {{cols: number, rows: number}} size - Grid size of the project layout
+ * @returns {string[]} Array of error messages (empty if valid)
+ */
+function validateLightObject(light, label, size) {
+    if (light.src !== undefined) {
+        const errors = [];
+        if (!light.src || typeof light.src !== 'string') {
+            errors.push(`${label}: "src" must be the path of an LED timeline file`);
+        }
+        if (light.loop !== undefined && typeof light.loop !== 'boolean') {
+            errors.push(`${label}: "loop" must be a boolean`);
+        }
+        return errors;
+    }
+    return validateLedTimeline(light, size).errors.map(error => `${label}, ${error}`);
+}
+
+/**
+ * Validates an LED timeline: `{ events, duration, loop }` where each event is
+ * `{ time, x, y, color, velocity }` (time in seconds, color = a named color or `#RRGGBB`,
+ * velocity = brightness 0-127).
+ * A bare array of events is also accepted, as written in timeline files.
+ * `x` and `y` are grid coordinates, spanning every Launchpad of the project layout.
+ * @param {object|object[]} timeline - The timeline object loaded from JSON.
+ * @param {{cols: number, rows: number}} [size] - Grid size (default: the current layout).
+ * @returns {object} { isValid: boolean, errors: string[] }
+ */
+export function validateLedTimeline(timeline, size = getLayoutSize()) {
+    const errors = [];
+    const events = Array.isArray(timeline) ? timeline : timeline && timeline.events;
+
+    if (!Array.isArray(events)) {
+        errors.push('LED timeline must be an object with an "events" array');
+        return { isValid: false, errors };
+    }
+
+    if (!Array.isArray(timeline)) {
+        if (timeline.duration !== undefined && (typeof timeline.duration !== 'number' || !Number.isFinite(timeline.duration) || timeline.duration < 0)) {
+            errors.push('LED timeline: "duration" must be a positive number of seconds');
+        }
+        if (timeline.loop !== undefined && typeof timeline.loop !== 'boolean') {
+            errors.push('LED timeline: "loop" must be a boolean');
+        }
+    }
+
+    const validColors = Object.keys(webColorMap).concat('off');
+    let previousTime = 0;
+    events.forEach((event, eventIndex) => {
+        const label = `LED event ${eventIndex}`;
+        if (!event || typeof event !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (typeof event.time !== 'number' || event.time < previousTime) {
+            errors.push(`${label}: "time" must be a number of seconds, in ascending order`);
+        } else {
+            previousTime = event.time;
+        }
+        if (!Number.isInteger(event.x) || event.x < 0 || event.x >= size.cols ||
+            !Number.isInteger(event.y) || event.y < 0 || event.y >= size.rows) {
+            errors.push(`${label}: "x" must be an integer between 0 and ${size.cols - 1}, "y" between 0 and ${size.rows - 1}`);
+        }
+        if (!validColors.includes(event.color) && !isHexColor(event.color)) {
+            errors.push(`${label}: "color" must be one of ${validColors.join(', ')} or an RGB color (#RRGGBB)`);
+        }
+        if (event.velocity !== undefined &&
+            (!Number.isInteger(event.velocity) || event.velocity < 0 || event.velocity > MAX_VELOCITY)) {
+            errors.push(`${label}: "velocity" must be an integer between 0 and ${MAX_VELOCITY}`);
+        }
+    });
+
+    return { isValid: errors.length === 0, errors };
+}
+
+/**
+ * Validates a performance timeline (see timeline.js) before it is replayed.
+ * @param {object} timeline - The timeline object loaded from JSON.
+ * @param {number} [padCount] - Pads of a page (default: those of the current layout).
+ * @returns {object} { isValid: boolean, errors: string[] }
+ */
+export function validateTimeline(timeline, padCount = getLayoutSize().pads) {
+    const errors = [];
+
+    if (!timeline || typeof timeline !== 'object' || !Array.isArray(timeline.events)) {
+        errors.push('Timeline must be an object with an "events" array');
+        return { isValid: false, errors };
+    }
+
+    let previousTime = 0;
+    timeline.events.forEach((event, eventIndex) => {
+        const label = `Event ${eventIndex}`;
+        if (!event || typeof event !== 'object') {
+            errors.push(`${label}: must be an object`);
+            return;
+        }
+        if (typeof event.time !== 'number' || event.time < previousTime) {
+            errors.push(`${label}: "time" must be a number of seconds, in ascending order`);
+        } else {
+            previousTime = event.time;
+        }
+
+        if (event.type === 'trigger' || event.type === 'release') {
+            if (!Number.isInteger(event.pad) || event.pad < 0 || event.pad >= padCount) {
+                errors.push(`${label}: "pad" must be an integer between 0 and ${padCount - 1}`);
+            }
+            if (event.velocity !== undefined &&
+                (!Number.isInteger(event.velocity) || event.velocity < 0 || event.velocity > MAX_VELOCITY)) {
+                errors.push(`${label}: "velocity" must be an integer between 0 and ${MAX_VELOCITY}`);
+            }
+        } else if (event.type === 'page') {
+            if (!Number.isInteger(event.page) || event.page < 0 || event.page >= 8) {
+                errors.push(`${label}: "page" must be an integer between 0 and 7`);
+            }
+        } else {
+            errors.push(`${label}: unknown type "${event.type}"`);
+        }
+    });
+
+    return { isValid: errors.length === 0, errors };
+}
+
 /**
  * Gets a human-readable error summary for displaying to the user.
  * @param {string[]} errors - Array of error messages
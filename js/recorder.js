@@ -0,0 +1,233 @@
+/**
+ * PERFORMANCE RECORDER (recorder.js)
+ *
+ * Sidebar controls to record a live performance:
+ * - the audio mix, captured by the audio engine after the master bus;
+ * - the pad-event timeline (see timeline.js), saved next to it as JSON.
+ *
+ * Both files share the same base name (project name + date) so they stay paired.
+ *
+ * The same menu replays a timeline, either the last recorded one or a JSON file
+ * loaded from disk, through `timelinePlayer`.
+ */
+
+import { audioEngine } from './audio.js';
+import { timelineCapture, timelinePlayer } from './timeline.js';
+import { getTranslation, showNotification, downloadBlob } from './ui.js';
+import { registerListener } from './eventCleanup.js';
+import { getProjectStateSnapshot } from './app.js';
+import { isProjectReady } from './projectLoadingState.js';
+import { validateTimeline, getErrorSummary } from './projectValidator.js';
+
+let recorderControlsInitialized = false; // Prevent duplicate listener registration
+
+// Last finished recording: { audio: Blob, timeline: object, baseName: string }
+let lastRecording = null;
+
+// Timeline offered by the replay button: the last recorded one or one loaded from a file
+let replayTimeline = null;
+
+/**
+ * Builds a file name safe for every OS from the project name and the recording date.
+ * @param {object} timeline - The captured timeline.
+ * @returns {string} Base name without extension.
+ */
+function buildBaseName(timeline) {
+    const project = (timeline.project || 'performance').replace(/[\\/:*?"<>|]+/g, '').trim();
+    const date = timeline.recordedAt.slice(0, 19).replace(/[T:]/g, '-');
+    return `${project} - ${date}`;
+}
+
+/**
+ * Gets the file extension matching a recorded audio blob.
+ * @param {Blob} blob - The recorded audio.
+ * @returns {string} Extension without the dot.
+ */
+function getAudioExtension(blob) {
+    if (blob.type.includes('mp4')) return 'm4a';
+    if (blob.type.includes('ogg')) return 'ogg';
+    return 'webm';
+}
+
+/**
+ * Updates the start/stop button labels and the download/replay buttons visibility.
+ */
+function updateRecorderControls() {
+    const toggleButton = document.getElementById('recording-toggle');
+    const audioButton = document.getElementById('recording-download-audio');
+    const timelineButton = document.getElementById('recording-download-timeline');
+
+    if (toggleButton) {
+        const key = audioEngine.isRecording() ? 'recording.stop' : 'recording.start';
+        toggleButton.setAttribute('data-i18n', key);
+        toggleButton.textContent = getTranslation(key);
+        toggleButton.classList.toggle('selected', audioEngine.isRecording());
+    }
+
+    const display = lastRecording ? 'block' : 'none';
+    if (audioButton) audioButton.style.display = display;
+    if (timelineButton) timelineButton.style.display = display;
+
+    const replayButton = document.getElementById('replay-toggle');
+    if (replayButton) {
+        const key = timelinePlayer.isPlaying() ? 'replay.stop' : 'replay.start';
+        replayButton.setAttribute('data-i18n', key);
+        replayButton.textContent = getTranslation(key);
+        replayButton.classList.toggle('selected', timelinePlayer.isPlaying());
+        replayButton.style.display = replayTimeline ? 'block' : 'none';
+    }
+}
+
+/**
+ * Gets the timeline offered for replay (last recorded or loaded from a file).
+ * @returns {object|null}
+ */
+export function getReplayTimeline() {
+    return replayTimeline;
+}
+
+/**
+ * Replays a timeline on the current project, lighting the web grid and the hardware.
+ * @param {object} timeline - The timeline to replay.
+ * @returns {boolean} True if the replay started.
+ */
+export function startTimelineReplay(timeline) {
+    if (!isProjectReady()) {
+        console.warn("[Recorder] Cannot replay: project not ready");
+        return false;
+    }
+
+    const validation = validateTimeline(timeline);
+    if (!validation.isValid) {
+        console.error("[Recorder] Invalid timeline:", validation.errors);
+        showNotification(getErrorSummary(validation.errors), 'error', 5000);
+        return false;
+    }
+
+    const state = getProjectStateSnapshot();
+    if (timeline.project && state.project && timeline.project !== state.project.name) {
+        showNotification(getTranslation('replay.otherProject').replace('{project}', timeline.project), 'info', 5000);
+    }
+
+    timelinePlayer.play(timeline, updateRecorderControls);
+    updateRecorderControls();
+    return true;
+}
+
+/**
+ * Loads a timeline JSON file and makes it the one offered for replay.
+ * @param {File} file - The JSON file picked by the user.
+ * @returns {Promise<void>}
+ */
+async function loadTimelineFile(file) {
+    try {
+        const timeline = JSON.parse(await file.text());
+        const validation = validateTimeline(timeline);
+        if (!validation.isValid) {
+            console.error("[Recorder] Invalid timeline file:", validation.errors);
+            showNotification(getErrorSummary(validation.errors), 'error', 5000);
+            return;
+        }
+        replayTimeline = timeline;
+        console.log(`[Recorder] Timeline loaded from "${file.name}".`);
+    } catch (error) {
+        console.error("[Recorder] Unable to read timeline file:", error);
+        showNotification(getTranslation('replay.invalidFile'), 'error');
+    }
+    updateRecorderControls();
+}
+
+/**
+ * Starts recording the mix and the pad-event timeline.
+ * @returns {boolean} True if the recording started.
+ */
+export function startPerformanceRecording() {
+    if (!audioEngine.startRecording()) {
+        showNotification(getTranslation('recording.notSupported'), 'error');
+        return false;
+    }
+    timelineCapture.start();
+    updateRecorderControls();
+    return true;
+}
+
+/**
+ * Stops the recording and keeps the result available for download.
+ * @returns {Promise<void>}
+ */
+export async function stopPerformanceRecording() {
+    const timeline = timelineCapture.stop();
+    const audio = await audioEngine.stopRecording();
+
+    if (audio && timeline) {
+        lastRecording = { audio, timeline, baseName: buildBaseName(timeline) };
+        replayTimeline = timeline;
+        showNotification(getTranslation('recording.saved'), 'success');
+    }
+    updateRecorderControls();
+}
+
+/**
+ * Initializes the recording menu controls.
+ * Only initializes once to prevent duplicate listeners.
+ */
+export function initializeRecorderControls() {
+    if (recorderControlsInitialized) {
+        console.log("[Recorder] Already initialized, skipping duplicate setup");
+        return;
+    }
+    recorderControlsInitialized = true;
+
+    const toggleButton = document.getElementById('recording-toggle');
+    if (toggleButton) {
+        registerListener(toggleButton, 'click', () => {
+            if (audioEngine.isRecording()) {
+                stopPerformanceRecording();
+            } else {
+                startPerformanceRecording();
+            }
+        });
+    }
+
+    const audioButton = document.getElementById('recording-download-audio');
+    if (audioButton) {
+        registerListener(audioButton, 'click', () => {
+            if (!lastRecording) return;
+            downloadBlob(lastRecording.audio, `${lastRecording.baseName}.${getAudioExtension(lastRecording.audio)}`);
+        });
+    }
+
+    const timelineButton = document.getElementById('recording-download-timeline');
+    if (timelineButton) {
+        registerListener(timelineButton, 'click', () => {
+            if (!lastRecording) return;
+            const json = JSON.stringify(lastRecording.timeline, null, 2);
+            downloadBlob(new Blob([json], { type: 'application/json' }), `${lastRecording.baseName}.json`);
+        });
+    }
+
+    const replayButton = document.getElementById('replay-toggle');
+    if (replayButton) {
+        registerListener(replayButton, 'click', () => {
+            if (timelinePlayer.isPlaying()) {
+                timelinePlayer.stop();
+            } else if (replayTimeline) {
+                startTimelineReplay(replayTimeline);
+            }
+        });
+    }
+
+    const fileInput = document.getElementById('replay-file-input');
+    const fileTrigger = document.getElementById('replay-file-trigger');
+    if (fileTrigger && fileInput) {
+        registerListener(fileTrigger, 'click', () => fileInput.click());
+        registerListener(fileInput, 'change', function () {
+            const file = this.files && this.files[0];
+            if (!file) return;
+            loadTimelineFile(file);
+            this.value = ''; // Allow loading the same file again
+        });
+    }
+
+    updateRecorderControls();
+}
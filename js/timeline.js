@@ -0,0 +1,220 @@
+/**
+ * PERFORMANCE TIMELINE (timeline.js)
+ *
+ * Captures what the performer does (pad hits, pad releases, page changes)
+ * as a list of timestamped events, so a performance can be saved as a small JSON file.
+ *
+ * Events are collected from the window CustomEvents dispatched by interaction.js
+ * ('pad:trigger', 'pad:release', 'page:change'), timestamped with `performance.now()`
+ * relative to the start of the capture.
+ *
+ * A timeline can be replayed with `timelinePlayer`, which drives `triggerPad`,
+ * `releasePad` and `changeSoundSet` at the recorded times, so the web grid and
+ * any connected Launchpad light up exactly as during the performance.
+ *
+ * Timeline format:
+ * {
+ *   "version": 1,
+ *   "project": "Virtual Riot - Idols",
+ *   "recordedAt": "2026-10-19T09:15:00.000Z",
+ *   "duration": 12.5,
+ *   "events": [
+ *     { "time": 0, "type": "page", "page": 0 },
+ *     { "time": 0.512, "type": "trigger", "pad": 12, "velocity": 127 },
+ *     { "time": 0.734, "type": "release", "pad": 12 }
+ *   ]
+ * }
+ * `time` and `duration` are in seconds.
+ */
+
+import { getProjectStateSnapshot } from './app.js';
+import { triggerPad, releasePad, changeSoundSet } from './interaction.js';
+
+export const TIMELINE_VERSION = 1;
+
+// Minimum delay between two checks of the replay loop
+const REPLAY_TICK_MS = 5;
+
+class TimelineCapture {
+    constructor() {
+        this.events = null; // null while not capturing
+        this.startTime = 0;
+        this.startedAt = null;
+
+        this.onTrigger = (e) => this.push({ type: 'trigger', pad: e.detail.index, velocity: e.detail.velocity });
+        this.onRelease = (e) => this.push({ type: 'release', pad: e.detail.index });
+        this.onPageChange = (e) => this.push({ type: 'page', page: e.detail.page });
+    }
+
+    /**
+     * Starts capturing pad events. The current page is recorded as the first event,
+     * so the timeline can be replayed from any starting page.
+     */
+    start() {
+        if (this.isCapturing()) return;
+
+        this.events = [];
+        this.startTime = performance.now();
+        this.startedAt = new Date();
+
+        const state = getProjectStateSnapshot();
+        this.push({ type: 'page', page: state.page });
+
+        window.addEventListener('pad:trigger', this.onTrigger);
+        window.addEventListener('pad:release', this.onRelease);
+        window.addEventListener('page:change', this.onPageChange);
+        console.log("[Timeline] Capture started.");
+    }
+
+    /**
+     * Stops capturing and returns the timeline.
+     * @returns {object|null} The captured timeline, or null if nothing was being captured.
+     */
+    stop() {
+        if (!this.isCapturing()) return null;
+
+        window.removeEventListener('pad:trigger', this.onTrigger);
+        window.removeEventListener('pad:release', this.onRelease);
+        window.removeEventListener('page:change', this.onPageChange);
+
+        const state = getProjectStateSnapshot();
+        const timeline = {
+            version: TIMELINE_VERSION,
+            project: state.project ? state.project.name : null,
+            recordedAt: this.startedAt.toISOString(),
+            duration: this.elapsed(),
+            events: this.events
+        };
+
+        this.events = null;
+        console.log(`[Timeline] Capture stopped (${timeline.events.length} events).`);
+        return timeline;
+    }
+
+    /**
+     * Returns true while events are being captured.
+     * @returns {boolean}
+     */
+    isCapturing() {
+        return this.events !== null;
+    }
+
+    /**
+     * Seconds elapsed since the capture started, with microsecond resolution.
+     * @returns {number}
+     */
+    elapsed() {
+        return Math.round((performance.now() - this.startTime) * 1000) / 1000000;
+    }
+
+    /**
+     * Appends an event stamped with the current time.
+     * @param {object} event - Event without `time`.
+     */
+    push(event) {
+        // A replay drives the same functions as the performer: don't record it again
+        if (timelinePlayer.isPlaying()) return;
+        this.events.push({ time: this.elapsed(), ...event });
+    }
+}
+
+class TimelinePlayer {
+    constructor() {
+        this.timeline = null; // Timeline being replayed, null when idle
+        this.nextEventIndex = 0;
+        this.startTime = 0;
+        this.timerId = null;
+        this.heldPads = new Set(); // Pads pressed by the replay and not yet released
+        this.onEnd = null;
+    }
+
+    /**
+     * Replays a timeline from the beginning. Any replay in progress is stopped first.
+     * @param {object} timeline - A validated timeline (see `validateTimeline`).
+     * @param {Function} [onEnd] - Called when the replay ends or is stopped.
+     */
+    play(timeline, onEnd = null) {
+        this.stop();
+
+        this.timeline = timeline;
+        this.nextEventIndex = 0;
+        this.startTime = performance.now();
+        this.onEnd = onEnd;
+        console.log(`[Timeline] Replay started (${timeline.events.length} events, ${timeline.duration || 0}s).`);
+        this.tick();
+    }
+
+    /**
+     * Stops the replay and releases every pad it is still holding.
+     */
+    stop() {
+        if (!this.isPlaying()) return;
+
+        clearTimeout(this.timerId);
+        this.timerId = null;
+
+        // Released while still "playing", so an ongoing capture ignores them too
+        this.heldPads.forEach(pad => releasePad(pad));
+        this.heldPads.clear();
+        this.timeline = null;
+
+        const onEnd = this.onEnd;
+        this.onEnd = null;
+        console.log("[Timeline] Replay stopped.");
+        if (onEnd) onEnd();
+    }
+
+    /**
+     * Returns true while a timeline is being replayed.
+     * @returns {boolean}
+     */
+    isPlaying() {
+        return this.timeline !== null;
+    }
+
+    /**
+     * Fires every event that is due, then schedules the next check.
+     * Timers are only used as a wake-up: event times are always compared with
+     * `performance.now()`, so late timers never accumulate drift.
+     */
+    tick() {
+        const events = this.timeline.events;
+        const elapsed = (performance.now() - this.startTime) / 1000;
+
+        while (this.nextEventIndex < events.length && events[this.nextEventIndex].time <= elapsed) {
+            this.fire(events[this.nextEventIndex]);
+            this.nextEventIndex++;
+        }
+
+        if (this.nextEventIndex >= events.length) {
+            this.stop();
+            return;
+        }
+
+        const delayMs = (events[this.nextEventIndex].time - elapsed) * 1000;
+        this.timerId = setTimeout(() => this.tick(), Math.max(REPLAY_TICK_MS, Math.min(delayMs, 100)));
+    }
+
+    /**
+     * Drives the interaction function matching a timeline event.
+     * @param {object} event - The event to replay.
+     */
+    fire(event) {
+        switch (event.type) {
+            case 'trigger':
+                triggerPad(event.pad, event.velocity);
+                this.heldPads.add(event.pad);
+                break;
+            case 'release':
+                releasePad(event.pad);
+                this.heldPads.delete(event.pad);
+                break;
+            case 'page':
+                changeSoundSet(event.page);
+                break;
+        }
+    }
+}
+
+export const timelineCapture = new TimelineCapture();
+export const timelinePlayer = new TimelinePlayer();
@@ -0,0 +1,85 @@
+/**
+ * TRANSPORT (transport.js)
+ *
+ * Musical clock used to quantize pad launches to the project tempo.
+ * All times are expressed in `AudioContext` seconds so that audio sources
+ * can be scheduled sample-accurately with `source.start(when)`.
+ *
+ * The transport starts on the first launch after a project is loaded:
+ * that hit plays immediately and becomes the origin of the beat grid,
+ * every following hit is delayed to the next grid boundary.
+ */
+
+import { DEFAULT_BPM, LAUNCH_QUANTIZE_BEATS, DEFAULT_LAUNCH_QUANTIZE } from './constants.js';
+
+// Hits landing within this fraction of a step after a boundary are not pushed to the next one
+const BOUNDARY_EPSILON = 0.001;
+
+class Transport {
+    constructor() {
+        this.bpm = DEFAULT_BPM;
+        this.quantize = DEFAULT_LAUNCH_QUANTIZE;
+        this.originTime = null; // AudioContext time of the first beat, null until started
+    }
+
+    /**
+     * Applies the tempo and quantization of a project and rewinds the transport.
+     * @param {object} settings - `{ bpm, quantize }`, missing values fall back to defaults.
+     */
+    configure({ bpm, quantize } = {}) {
+        this.bpm = bpm || DEFAULT_BPM;
+        this.quantize = (quantize in LAUNCH_QUANTIZE_BEATS) ? quantize : DEFAULT_LAUNCH_QUANTIZE;
+        this.reset();
+    }
+
+    /**
+     * Rewinds the transport: the next launch restarts the beat grid.
+     */
+    reset() {
+        this.originTime = null;
+    }
+
+    /**
+     * @returns {boolean} True once the first launch has set the beat grid.
+     */
+    isRunning() {
+        return this.originTime !== null;
+    }
+
+    /**
+     * @returns {number} Duration of one beat in seconds.
+     */
+    getBeatDuration() {
+        return 60 / this.bpm;
+    }
+
+    /**
+     * @returns {number} Duration of one quantization step in seconds, 0 if quantization is off.
+     */
+    getGridDuration() {
+        return LAUNCH_QUANTIZE_BEATS[this.quantize] * this.getBeatDuration();
+    }
+
+    /**
+     * Computes when a launch requested at `now` should actually start.
+     * @param {number} now - Current AudioContext time in seconds.
+     * @returns {number} AudioContext time of the next grid boundary (or `now` if not quantized).
+     */
+    getNextLaunchTime(now) {
+        const grid = this.getGridDuration();
+
+        if (this.originTime === null) {
+            this.originTime = now;
+            return now;
+        }
+        if (grid <= 0) {
+            return now;
+        }
+
+        const steps = Math.ceil((now - this.originTime) / grid - BOUNDARY_EPSILON);
+        return Math.max(now, this.originTime + steps * grid);
+    }
+}
+
+// SINGLETON EXPORT
+export const transport = new Transport();
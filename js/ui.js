@@ -1,6 +1,14 @@
 import { updateVideoControlsVisibility } from './video.js';
 import { syncInputSlider } from './formControls.js';
-import { LAUNCHPAD_ROTATION_MIN, LAUNCHPAD_ROTATION_MAX, LAUNCHPAD_SIZE_MIN, LAUNCHPAD_SIZE_MAX } from './constants.js';
+import { audioEngine } from './audio.js';
+import {
+    LAUNCHPAD_ROTATION_MIN,
+    LAUNCHPAD_ROTATION_MAX,
+    LAUNCHPAD_SIZE_MIN,
+    LAUNCHPAD_SIZE_MAX,
+    AUDIO_MEMORY_BUDGET_OPTIONS_MB,
+    DEFAULT_AUDIO_MEMORY_BUDGET_MB
+} from './constants.js';
 
 export { syncInputSlider };
 
@@ -14,7 +22,7 @@ export { syncInputSlider };
  * @param {*} defaultValue - Value to return if key not found or storage unavailable
  * @returns {*} The stored value or defaultValue
  */
-function safeLocalStorageGetItem(key, defaultValue = null) {
+export function safeLocalStorageGetItem(key, defaultValue = null) {
     try {
         const value = localStorage.getItem(key);
         return value !== null ? value : defaultValue;
@@ -31,7 +39,7 @@ function safeLocalStorageGetItem(key, defaultValue = null) {
  * @param {*} value - The value to store
  * @returns {boolean} True if successful, false if storage unavailable
  */
-function safeLocalStorageSetItem(key, value) {
+export function safeLocalStorageSetItem(key, value) {
     try {
         localStorage.setItem(key, String(value));
         return true;
@@ -92,6 +100,32 @@ export async function initializeLanguageControls() {
     await loadTranslations(initialLang);
 }
 
+/**
+ * Fills the memory budget select of the project menu and applies the saved budget
+ * to the audio engine (see `AudioEngine.setMemoryBudget`).
+ */
+export function initializeAudioMemoryControls() {
+    const saved = parseInt(safeLocalStorageGetItem('audio.memoryBudget', DEFAULT_AUDIO_MEMORY_BUDGET_MB), 10);
+    const budget = AUDIO_MEMORY_BUDGET_OPTIONS_MB.includes(saved) ? saved : DEFAULT_AUDIO_MEMORY_BUDGET_MB;
+    audioEngine.setMemoryBudget(budget);
+
+    const select = document.getElementById('audio-memory-select');
+    if (!select) return;
+
+    AUDIO_MEMORY_BUDGET_OPTIONS_MB.forEach(megabytes => {
+        const option = document.createElement('option');
+        option.value = megabytes;
+        option.textContent = megabytes >= 1024 ? `${megabytes / 1024} GB` : `${megabytes} MB`;
+        select.appendChild(option);
+    });
+    select.value = budget;
+    select.addEventListener('change', function () {
+        const megabytes = parseInt(this.value, 10);
+        safeLocalStorageSetItem('audio.memoryBudget', megabytes);
+        audioEngine.setMemoryBudget(megabytes);
+    });
+}
+
 /**
  * Shows or hides the sidebar.
  */
@@ -140,7 +174,8 @@ export function toggleMenu(menuId) {
  * @returns {Promise<void>} A promise that resolves when the background is loaded.
  */
 export function setLaunchpadBackground(imageFile) {
-    const launchpad = document.getElementById('Launchpad');
+    // Every Launchpad of the grid (see renderGridLayout in webInterface.js)
+    const launchpads = document.querySelectorAll('.Launchpad');
     const menu = document.getElementById('personalize-launchpad-menu');
 
     if (menu) {
@@ -152,7 +187,7 @@ export function setLaunchpadBackground(imageFile) {
     }
 
     if (!imageFile) {
-        launchpad.style.backgroundImage = 'none';
+        launchpads.forEach(launchpad => { launchpad.style.backgroundImage = 'none'; });
         return Promise.resolve();
     }
 
@@ -165,12 +200,12 @@ export function setLaunchpadBackground(imageFile) {
         // Create a temporary image to track loading
         const img = new Image();
         img.onload = () => {
-            launchpad.style.backgroundImage = `url('${fullUrl}')`;
+            launchpads.forEach(launchpad => { launchpad.style.backgroundImage = `url('${fullUrl}')`; });
             resolve();
         };
         img.onerror = () => {
             console.error(`Error loading skin: ${fullUrl}`);
-            launchpad.style.backgroundImage = 'none';
+            launchpads.forEach(launchpad => { launchpad.style.backgroundImage = 'none'; });
             resolve(); // Still resolve to not block loading indefinitely
         };
         img.src = fullUrl;
@@ -182,12 +217,9 @@ export function setLaunchpadBackground(imageFile) {
  * @param {boolean} isActive - `true` to show stickers, `false` to hide them.
  */
 export function toggleLaunchpadStickers(isActive) {
-    const launchpad = document.getElementById('Launchpad');
-    if (isActive) {
-        launchpad.classList.add('has-stickers');
-    } else {
-        launchpad.classList.remove('has-stickers');
-    }
+    document.querySelectorAll('.Launchpad').forEach(launchpad => {
+        launchpad.classList.toggle('has-stickers', isActive);
+    });
 }
 
 /**
@@ -284,6 +316,54 @@ export function showNotification(message, type = 'info', duration = 3000) {
     }, duration);
 }
 
+/**
+ * Fills a MIDI port picker: an empty choice, the connected ports, and the selected
+ * port if it is unplugged (so the saved choice stays visible).
+ * @param {HTMLSelectElement} select - The picker.
+ * @param {Iterable<MIDIPort>|null} ports - The inputs or outputs of the MIDI access.
+ * @param {string} selected - Name of the selected port, '' for the empty choice.
+ * @param {string} emptyKey - Translation key of the empty choice.
+ */
+export function fillMidiPortSelect(select, ports, selected, emptyKey) {
+    select.innerHTML = '';
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+        return option;
+    };
+
+    addOption('', getTranslation(emptyKey)).setAttribute('data-i18n', emptyKey);
+    const names = new Set();
+    for (const port of ports || []) {
+        if (port.state === 'disconnected' || names.has(port.name)) continue;
+        names.add(port.name);
+        addOption(port.name, port.name);
+    }
+    if (selected && !names.has(selected)) {
+        addOption(selected, getTranslation('midi.portMissing').replace('{name}', selected));
+    }
+    select.value = selected;
+}
+
+/**
+ * Starts a browser download of a Blob.
+ * @param {Blob} blob - The file content.
+ * @param {string} fileName - The suggested file name.
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 /**
  * Launchpad UI Settings - Grouped state management
  * Centralizes all launchpad customization settings (rotation, scale, etc.)
@@ -366,10 +446,10 @@ export function bindStaticUIEvents() {
 }
 
 /**
- * Applies both rotation and scale to the Launchpad element.
+ * Applies both rotation and scale to the Launchpad grid (all its Launchpads at once).
  */
 function applyLaunchpadTransform() {
-    const launchpad = document.getElementById('Launchpad');
+    const launchpad = document.getElementById('launchpad-grid');
     if (launchpad) {
         const rotation = getSettingValue('rotation', 0);
         const scale = getSettingValue('scale', 1);
@@ -0,0 +1,382 @@
+/**
+ * UNIPAD IMPORTER (unipad.js)
+ *
+ * Converts a Unipad project pack (.zip) into the project model of this app,
+ * so it can be played through `loadProject` without manual conversion.
+ *
+ * Pack layout (file names are matched case-insensitively, at any folder depth):
+ * - `info`      key=value lines: title, producerName, buttonX, buttonY, chain...
+ * - `keySound`  one line per sound: `chain x y file [loop] [wormhole]`;
+ *               several lines for the same button play in order, one per press.
+ * - `sounds/`   the audio files.
+ * - `keyLED/`   one file per light show, named `chain x y repeat [variant]`, with the
+ *               commands `o x y [rrggbb] [a velocity]`, `f x y` and `d milliseconds`.
+ * - `autoPlay`  the reference performance: `c chain`, `o x y`, `f x y`, `t x y`, `d ms`.
+ *
+ * Unipad coordinates are 1-based `row column`. Chains become pages, keyLED files
+ * become inline LED timelines in `page.lights` (a list of variants when a button has
+ * several), and autoPlay becomes the practice timeline of the project (see practice.js).
+ * The result is a plain project JSON, so it can be stored in the local library.
+ *
+ * Everything that has no equivalent here (round buttons, extra chains, wormholes...)
+ * is listed in the import report instead of failing the import.
+ */
+
+import { ZipArchive } from './zip.js';
+import { paletteToNamedColor, parseHexColor, rgbToNamedColor } from './colorPalette.js';
+import { TIMELINE_VERSION } from './timeline.js';
+import { TOTAL_PAGES, DEVICE_COLS, DEVICE_ROWS, DEVICE_PADS, SAMPLE_SELECT_MODES, PAD_MODES } from './constants.js';
+
+/**
+ * Collects what could not be imported, counting repeated problems once.
+ */
+class ImportReport {
+    constructor() {
+        this.items = new Map(); // message -> occurrences
+    }
+
+    add(message) {
+        this.items.set(message, (this.items.get(message) || 0) + 1);
+    }
+
+    /**
+     * @returns {string[]} One line per problem, with its number of occurrences.
+     */
+    toArray() {
+        return Array.from(this.items, ([message, count]) => count > 1 ? `${message} (x${count})` : message);
+    }
+}
+
+/**
+ * Splits a Unipad text file into trimmed, non-empty lines of tokens.
+ * @param {string} text - File content.
+ * @returns {string[][]}
+ */
+function tokenize(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line.length > 0 && !line.startsWith('//'))
+        .map(line => line.split(/\s+/));
+}
+
+/**
+ * Converts 1-based Unipad `row column` tokens to a pad of the 8x8 grid.
+ * @param {string} rowToken - Row (1-8), or 'mc' for the round buttons.
+ * @param {string} columnToken - Column (1-8).
+ * @returns {{x: number, y: number, pad: number}|null} Null if outside the grid.
+ */
+function toPad(rowToken, columnToken) {
+    const row = parseInt(rowToken, 10) - 1;
+    const column = parseInt(columnToken, 10) - 1;
+    if (!(row >= 0 && row < DEVICE_ROWS && column >= 0 && column < DEVICE_COLS)) {
+        return null;
+    }
+    return { x: column, y: row, pad: row * DEVICE_COLS + column };
+}
+
+/**
+ * Finds the folder holding the `info` file, which is the root of the pack.
+ * @param {ZipArchive} archive - The opened pack.
+ * @returns {string} Root prefix ('' or 'folder/').
+ */
+function findPackRoot(archive) {
+    const infoPath = archive.paths()
+        .filter(path => /(^|\/)info$/i.test(path))
+        .sort((a, b) => a.length - b.length)[0];
+    if (infoPath === undefined) {
+        throw new Error('Not a Unipad pack: "info" file not found');
+    }
+    return infoPath.slice(0, infoPath.length - 'info'.length);
+}
+
+/**
+ * Builds a case-insensitive lookup of the pack files, relative to its root.
+ * @param {ZipArchive} archive - The opened pack.
+ * @param {string} root - Root prefix of the pack.
+ * @returns {Map<string, string>} Lower-case relative path -> archive path.
+ */
+function indexPackFiles(archive, root) {
+    const files = new Map();
+    archive.paths().forEach(path => {
+        if (path.startsWith(root)) {
+            files.set(path.slice(root.length).toLowerCase(), path);
+        }
+    });
+    return files;
+}
+
+/**
+ * Parses the `info` file.
+ * @param {string} text - File content.
+ * @returns {object} Key/value pairs.
+ */
+function parseInfo(text) {
+    const info = {};
+    text.split(/\r?\n/).forEach(line => {
+        const separator = line.indexOf('=');
+        if (separator > 0) {
+            info[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+        }
+    });
+    return info;
+}
+
+/**
+ * Parses a keyLED file into an LED timeline.
+ * @param {string} text - File content.
+ * @param {number} repeat - Times the show is played, 0 = loop while the pad is held.
+ * @param {ImportReport} report - Collects unsupported commands.
+ * @returns {{events: object[], duration: number, loop: boolean}}
+ */
+function parseKeyLed(text, repeat, report) {
+    const events = [];
+    let timeMs = 0;
+
+    tokenize(text).forEach(tokens => {
+        const command = tokens[0].toLowerCase();
+
+        if (command === 'd' || command === 'delay') {
+            timeMs += parseInt(tokens[1], 10) || 0;
+            return;
+        }
+
+        if (command !== 'o' && command !== 'on' && command !== 'f' && command !== 'off') {
+            report.add(`keyLED: unknown command "${tokens[0]}"`);
+            return;
+        }
+
+        const target = toPad(tokens[1], tokens[2]);
+        if (!target) {
+            report.add(tokens[1] === 'mc' || tokens[1] === 'l'
+                ? 'keyLED: round buttons and logo LEDs are not supported'
+                : `keyLED: LED outside the 8x8 grid (${tokens[1]} ${tokens[2]})`);
+            return;
+        }
+
+        const event = { time: timeMs / 1000, x: target.x, y: target.y, color: 'off', velocity: 0 };
+
+        if (command === 'o' || command === 'on') {
+            // Colors come as an RGB hex value, a palette velocity (`a 5`), or both
+            const rest = tokens.slice(3);
+            const autoIndex = rest.findIndex(token => token === 'a' || token === 'auto');
+            const rgb = rest.length > 0 && autoIndex !== 0 ? parseHexColor(rest[0]) : null;
+            const named = rgb
+                ? rgbToNamedColor(rgb)
+                : paletteToNamedColor(autoIndex >= 0 ? parseInt(rest[autoIndex + 1], 10) || 0 : 3);
+
+            if (!named.exact) {
+                report.add('keyLED: colors approximated with the red/green palette');
+            }
+            event.color = named.color;
+            event.velocity = named.velocity;
+        }
+
+        events.push(event);
+    });
+
+    // A finite repeat count is unrolled into the timeline
+    const playCount = Math.max(1, repeat);
+    const unrolled = [];
+    for (let i = 0; i < playCount; i++) {
+        events.forEach(event => unrolled.push({ ...event, time: event.time + i * timeMs / 1000 }));
+    }
+
+    return { events: unrolled, duration: playCount * timeMs / 1000, loop: repeat === 0 };
+}
+
+/**
+ * Parses the `autoPlay` file into a performance timeline (see timeline.js).
+ * @param {string} text - File content.
+ * @param {string} title - Project name stored in the timeline.
+ * @param {ImportReport} report - Collects unsupported commands.
+ * @returns {object} The timeline.
+ */
+function parseAutoPlay(text, title, report) {
+    const events = [];
+    let timeMs = 0;
+    const push = (event) => events.push({ time: timeMs / 1000, ...event });
+
+    tokenize(text).forEach(tokens => {
+        const command = tokens[0].toLowerCase();
+
+        if (command === 'd' || command === 'delay') {
+            timeMs += parseInt(tokens[1], 10) || 0;
+        } else if (command === 'c' || command === 'chain') {
+            const page = parseInt(tokens[1], 10) - 1;
+            if (page >= 0 && page < TOTAL_PAGES) {
+                push({ type: 'page', page });
+            } else {
+                report.add(`autoPlay: chain ${tokens[1]} is beyond the ${TOTAL_PAGES} supported pages`);
+            }
+        } else if (['o', 'on', 'f', 'off', 't', 'touch'].includes(command)) {
+            const target = toPad(tokens[1], tokens[2]);
+            if (!target) {
+                report.add('autoPlay: presses outside the 8x8 grid were skipped');
+                return;
+            }
+            if (command !== 'f' && command !== 'off') push({ type: 'trigger', pad: target.pad });
+            if (command !== 'o' && command !== 'on') push({ type: 'release', pad: target.pad });
+        } else {
+            report.add(`autoPlay: unknown command "${tokens[0]}"`);
+        }
+    });
+
+    // Replays and practice runs start from the page the performance starts on
+    if (events.length === 0 || events[0].type !== 'page') {
+        events.unshift({ time: 0, type: 'page', page: 0 });
+    }
+
+    return { version: TIMELINE_VERSION, project: title, duration: timeMs / 1000, events };
+}
+
+/**
+ * Imports a Unipad pack.
+ * @param {ArrayBuffer|Blob} data - The .zip pack.
+ * @returns {Promise<{project: object, assets: Map<string, Blob>, report: string[]}>}
+ *   `assets` maps the paths used in the project to their content.
+ * @throws {Error} If the data is not a Unipad pack.
+ */
+export async function importUnipadPack(data) {
+    const archive = await ZipArchive.open(data);
+    const root = findPackRoot(archive);
+    const files = indexPackFiles(archive, root);
+    const report = new ImportReport();
+    const readText = (name) => files.has(name) ? archive.readText(files.get(name)) : Promise.resolve(null);
+
+    const info = parseInfo(await readText('info'));
+    const title = info.title || 'Unipad project';
+
+    if ((info.buttonX && info.buttonX !== '8') || (info.buttonY && info.buttonY !== '8')) {
+        report.add(`info: ${info.buttonX}x${info.buttonY} grid, only the 8x8 area is used`);
+    }
+
+    // --- SOUNDS ---
+    // chain (0-based) -> pad -> [{ file, loop }]
+    const keySounds = new Map();
+    const keySoundText = await readText('keysound');
+    if (keySoundText === null) {
+        report.add('keySound file not found: the project has no sounds');
+    }
+
+    tokenize(keySoundText || '').forEach(tokens => {
+        const chain = parseInt(tokens[0], 10) - 1;
+        const target = toPad(tokens[1], tokens[2]);
+        if (!(chain >= 0) || !target || !tokens[3]) {
+            report.add('keySound: lines outside the 8x8 grid or malformed were skipped');
+            return;
+        }
+        if (chain >= TOTAL_PAGES) {
+            report.add(`keySound: chains beyond ${TOTAL_PAGES} are not supported`);
+            return;
+        }
+        const loop = tokens[4] !== undefined ? parseInt(tokens[4], 10) : 1;
+        if (tokens[5] !== undefined) {
+            report.add('keySound: wormholes (jump to another chain) are not supported');
+        }
+        if (loop > 1) {
+            report.add('keySound: repeat counts are not supported, sounds play once');
+        }
+
+        if (!keySounds.has(chain)) keySounds.set(chain, new Map());
+        const pads = keySounds.get(chain);
+        if (!pads.has(target.pad)) pads.set(target.pad, []);
+        pads.get(target.pad).push({ file: tokens[3], loop });
+    });
+
+    const assets = new Map();
+    const loadSound = async (file) => {
+        const path = `sounds/${file}`;
+        if (assets.has(path)) return path;
+        const archivePath = files.get(path.toLowerCase());
+        if (!archivePath) {
+            report.add(`Missing sound file: ${file}`);
+            return null;
+        }
+        assets.set(path, await archive.readBlob(archivePath));
+        return path;
+    };
+
+    // --- LIGHTS ---
+    // "chain,pad" -> [{ variant, timeline }]
+    const keyLeds = new Map();
+    const ledFiles = Array.from(files.keys()).filter(name => name.startsWith('keyled/'));
+
+    for (const name of ledFiles) {
+        const tokens = name.slice('keyled/'.length).split(/\s+/);
+        const chain = parseInt(tokens[0], 10) - 1;
+        const target = toPad(tokens[1], tokens[2]);
+        if (!(chain >= 0 && chain < TOTAL_PAGES) || !target) {
+            report.add('keyLED: files outside the supported chains or the 8x8 grid were skipped');
+            continue;
+        }
+        const repeat = tokens[3] !== undefined ? parseInt(tokens[3], 10) || 0 : 1;
+        const timeline = parseKeyLed(await archive.readText(files.get(name)), repeat, report);
+
+        const key = `${chain},${target.pad}`;
+        if (!keyLeds.has(key)) keyLeds.set(key, []);
+        keyLeds.get(key).push({ variant: tokens[4] || '', timeline });
+    }
+
+    // --- PAGES ---
+    const usedChains = [...keySounds.keys(), ...Array.from(keyLeds.keys(), key => parseInt(key, 10))];
+    const declaredChains = parseInt(info.chain, 10) || 0;
+    if (declaredChains > TOTAL_PAGES) {
+        report.add(`info: ${declaredChains} chains, only the first ${TOTAL_PAGES} are imported`);
+    }
+    const pageCount = Math.min(TOTAL_PAGES, Math.max(1, declaredChains, ...usedChains.map(chain => chain + 1)));
+
+    const pages = [];
+    for (let chain = 0; chain < pageCount; chain++) {
+        const sounds = new Array(DEVICE_PADS).fill('');
+        const lights = new Array(DEVICE_PADS).fill('');
+        const pads = keySounds.get(chain) || new Map();
+
+        for (const [pad, entries] of pads) {
+            const samples = [];
+            for (const entry of entries) {
+                const path = await loadSound(entry.file);
+                if (path) samples.push(path);
+            }
+            if (samples.length === 0) continue;
+
+            // Unipad loop 0 = loop forever, toggled by the next press
+            const isLooping = entries.some(entry => entry.loop === 0);
+            if (samples.length === 1 && !isLooping) {
+                sounds[pad] = samples[0];
+            } else {
+                sounds[pad] = samples.length === 1
+                    ? { src: samples[0] }
+                    : { samples, select: SAMPLE_SELECT_MODES.ROUND_ROBIN };
+                if (isLooping) sounds[pad].mode = PAD_MODES.TOGGLE;
+            }
+        }
+
+        for (let pad = 0; pad < lights.length; pad++) {
+            const variants = keyLeds.get(`${chain},${pad}`);
+            if (!variants) continue;
+            variants.sort((a, b) => a.variant.localeCompare(b.variant));
+            lights[pad] = variants.length === 1 ? variants[0].timeline : variants.map(entry => entry.timeline);
+        }
+
+        pages.push({ name: `Chain ${chain + 1}`, sounds, lights });
+    }
+
+    // Unique among the stored projects: packs with the same (or a non-Latin) title must not replace each other
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const project = { id: `unipad-${slug || 'project'}-${Date.now().toString(36)}`, name: title, pages };
+    if (info.producerName) project.author = info.producerName;
+
+    // --- AUTOPLAY ---
+    const autoPlayText = await readText('autoplay');
+    if (autoPlayText !== null) {
+        project.practice = parseAutoPlay(autoPlayText, title, report);
+    }
+
+    const lines = report.toArray();
+    console.log(`[Unipad] Imported "${title}": ${pages.length} pages, ${assets.size} sounds, ${ledFiles.length} LED files.`);
+    if (lines.length > 0) {
+        console.warn('[Unipad] Not imported:', lines);
+    }
+
+    return { project, assets, report: lines };
+}
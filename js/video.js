@@ -62,7 +62,8 @@ export function setBackgroundVideo(videoFile) {
         // If the videoFile path contains a slash, assume it's a full path,
         // otherwise assume it's a file in the default assets/videos/ directory.
         const videoSrc = videoFile.includes('/') ? videoFile : `assets/videos/${videoFile}`;
-        video.src = `${videoSrc}?t=${new Date().getTime()}`;
+        // Object URLs (files of imported and local projects) can't take a query string
+        video.src = videoSrc.startsWith('blob:') ? videoSrc : `${videoSrc}?t=${new Date().getTime()}`;
 
         video.autoplay = true;
         video.loop = true;
@@ -2,9 +2,13 @@
  * WEB INTERFACE MODULE (webInterface.js)
  * 
  * Handles all visual updates for the digital Launchpad in the web UI.
+ * When the grid spans several Launchpads (see gridLayout.js), the web Launchpad is
+ * repeated once per device, side by side or one above the other.
  */
 
-import { LAUNCHPAD_COLS } from './constants.js';
+import { DEVICE_COLS } from './constants.js';
+import { GRID_LAYOUTS, getGridLayout, getGridButton, getPadIndex } from './gridLayout.js';
+import { isHexColor, parseHexColor } from './colorPalette.js';
 
 /**
  * Map launchpad-webmidi colors to CSS colors for the web UI.
@@ -38,39 +42,127 @@ export const webColorMap = {
     }
 };
 
-let cachedPads = null;
+/**
+ * Share of white mixed into an RGB color at each brightness level, as the named
+ * colors above get lighter from `full` to `low`.
+ */
+const LEVEL_WHITE_MIX = {
+    full: 0,
+    medium: 0.34,
+    low: 0.54
+};
+
+const rgbWebColors = new Map(); // '#rrggbb' -> { full, medium, low }
+
+/**
+ * Gets the CSS colors of a light engine color at each brightness level.
+ * @param {string} color - A color of `webColorMap` or an RGB color (`#RRGGBB`).
+ * @returns {{full: string, medium: string, low: string}|null} Null for unknown colors.
+ */
+export function getWebColors(color) {
+    if (webColorMap[color]) return webColorMap[color];
+    if (!isHexColor(color)) return null;
+
+    const key = color.toLowerCase();
+    if (!rgbWebColors.has(key)) {
+        const rgb = parseHexColor(key);
+        const levels = {};
+        Object.entries(LEVEL_WHITE_MIX).forEach(([level, mix]) => {
+            const [r, g, b] = rgb.map(channel => Math.round(channel + (255 - channel) * mix));
+            levels[level] = `rgb(${r}, ${g}, ${b})`;
+        });
+        rgbWebColors.set(key, levels);
+    }
+    return rgbWebColors.get(key);
+}
+
+let cachedPads = null; // Pad elements by pad index
 
 /**
  * Initializes the pad cache for the web UI.
  */
 function ensurePadCache() {
     if (!cachedPads || cachedPads.length === 0) {
-        cachedPads = document.querySelectorAll('.grid-item');
+        cachedPads = [];
+        document.querySelectorAll('.grid-item[data-index]').forEach(pad => {
+            cachedPads[parseInt(pad.dataset.index, 10)] = pad;
+        });
     }
 }
 
 /**
  * Gets a specific pad element by index.
- * @param {number} index - The pad index (0-63).
+ * @param {number} index - The pad index (0-63, up to 127 when the grid spans two Launchpads).
  * @returns {Element|null} The pad DOM element or null.
  */
 export function getPadElement(index) {
     ensurePadCache();
-    if (index >= 0 && index < cachedPads.length) {
-        return cachedPads[index];
+    return cachedPads[index] || null;
+}
+
+/**
+ * Builds the web grid of the current layout: the web Launchpad (#Launchpad) is
+ * followed by a copy per additional device, inside #launchpad-grid. Pads get their
+ * grid index in `data-index`; the copies keep the page and mode buttons, which act
+ * like the ones of the first Launchpad. #launchpad-grid gets a `layout-<id>` class.
+ */
+export function renderGridLayout() {
+    const grid = document.getElementById('launchpad-grid');
+    const launchpad = document.getElementById('Launchpad');
+    if (!grid || !launchpad) return;
+
+    const layout = getGridLayout();
+    grid.querySelectorAll('.launchpad-extension').forEach(unit => unit.remove());
+    Object.keys(GRID_LAYOUTS).forEach(id => grid.classList.toggle(`layout-${id}`, id === layout.id));
+
+    const units = [launchpad];
+    for (let device = 1; device < layout.devices; device++) {
+        const unit = launchpad.cloneNode(true);
+        unit.removeAttribute('id');
+        unit.classList.remove('error-shake');
+        unit.classList.add('launchpad-extension');
+        unit.querySelectorAll('[id]').forEach(element => element.removeAttribute('id'));
+        // Pads start blank (no light, no mark); page and mode buttons keep the selection
+        // of the first Launchpad
+        unit.querySelectorAll('.grid-item').forEach(pad => {
+            pad.className = 'grid-item';
+            pad.removeAttribute('style');
+            pad.removeAttribute('title');
+        });
+        grid.appendChild(unit);
+        units.push(unit);
     }
-    return null;
+
+    units.forEach((unit, device) => {
+        unit.querySelectorAll('.grid-item').forEach((pad, localIndex) => {
+            const [x, y] = getGridButton(device, localIndex % DEVICE_COLS, Math.floor(localIndex / DEVICE_COLS));
+            pad.dataset.index = getPadIndex(x, y);
+        });
+    });
+    cachedPads = null;
+}
+
+let padLightListener = null; // Told when a pad lights up or goes off (see midiLearn.js)
+
+/**
+ * Registers the function told when a pad of the web grid lights up or goes off.
+ * Color changes of a lit pad are not reported.
+ * @param {function(number, boolean)|null} listener - Receives the pad index and whether it is lit.
+ */
+export function setPadLightListener(listener) {
+    padLightListener = listener;
 }
 
 /**
  * Sets color on the digital (web) launchpad.
  * @param {string} color - CSS color or 'off'.
- * @param {number[]} p - [x, y] coordinates.
+ * @param {number[]} p - [x, y] grid coordinates (see gridLayout.js).
  */
 export function setWebColor(color, p) {
-    const index = p[1] * LAUNCHPAD_COLS + p[0];
+    const index = getPadIndex(p[0], p[1]);
     const pad = getPadElement(index);
     if (pad) {
+        const wasLit = pad.classList.contains('active');
         if (color === 'off') {
             pad.style.backgroundColor = '';
             pad.style.boxShadow = '';
@@ -80,5 +172,8 @@ export function setWebColor(color, p) {
             pad.style.boxShadow = `0 0 10px ${color}`;
             pad.classList.add('active');
         }
+        if (padLightListener && wasLit !== (color !== 'off')) {
+            padLightListener(index, color !== 'off');
+        }
     }
 }
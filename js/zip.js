@@ -0,0 +1,269 @@
+/**
+ * ZIP READER AND WRITER (zip.js)
+ *
+ * Minimal reader for .zip archives, used to import project packs and bundles.
+ * Supports stored and deflated entries (the two methods every zip tool produces);
+ * deflate is decoded with the browser's `DecompressionStream('deflate-raw')`.
+ * ZIP64 archives and encrypted entries are not supported.
+ *
+ * The writer (`createZipArchive`) only stores files: samples, images and videos
+ * are already compressed, so deflating them would cost time for almost no gain.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+const FLAG_UTF8 = 0x0800; // File names are UTF-8
+const ZIP_VERSION = 20; // 2.0: the minimum for folders and stored files
+
+/**
+ * Read-only view of a zip archive. Entries are decompressed on demand.
+ */
+export class ZipArchive {
+    /**
+     * @param {ArrayBuffer} buffer - The whole archive.
+     * @param {Map<string, object>} entries - Parsed central directory, keyed by path.
+     */
+    constructor(buffer, entries) {
+        this.buffer = buffer;
+        this.entries = entries;
+    }
+
+    /**
+     * Opens an archive.
+     * @param {ArrayBuffer|Blob} data - The archive content.
+     * @returns {Promise<ZipArchive>}
+     * @throws {Error} If the data is not a readable zip archive.
+     */
+    static async open(data) {
+        const buffer = data instanceof ArrayBuffer ? data : await data.arrayBuffer();
+        return new ZipArchive(buffer, readCentralDirectory(buffer));
+    }
+
+    /**
+     * Lists the paths of all files in the archive (folders are omitted).
+     * @returns {string[]}
+     */
+    paths() {
+        return Array.from(this.entries.keys());
+    }
+
+    /**
+     * Returns true if the archive contains a file.
+     * @param {string} path - Path inside the archive.
+     * @returns {boolean}
+     */
+    has(path) {
+        return this.entries.has(path);
+    }
+
+    /**
+     * Reads the uncompressed content of a file.
+     * @param {string} path - Path inside the archive.
+     * @returns {Promise<Uint8Array>}
+     */
+    async readBytes(path) {
+        const entry = this.entries.get(path);
+        if (!entry) throw new Error(`File not found in archive: ${path}`);
+
+        const view = new DataView(this.buffer);
+        if (view.getUint32(entry.localHeaderOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+            throw new Error(`Corrupted archive: bad local header for ${path}`);
+        }
+        const nameLength = view.getUint16(entry.localHeaderOffset + 26, true);
+        const extraLength = view.getUint16(entry.localHeaderOffset + 28, true);
+        const start = entry.localHeaderOffset + 30 + nameLength + extraLength;
+        const compressed = new Uint8Array(this.buffer, start, entry.compressedSize);
+
+        if (entry.method === METHOD_STORED) {
+            return compressed.slice();
+        }
+        if (entry.method === METHOD_DEFLATE) {
+            const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+            return new Uint8Array(await new Response(stream).arrayBuffer());
+        }
+        throw new Error(`Unsupported compression method ${entry.method} for ${path}`);
+    }
+
+    /**
+     * Reads a file as UTF-8 text.
+     * @param {string} path - Path inside the archive.
+     * @returns {Promise<string>}
+     */
+    async readText(path) {
+        return new TextDecoder('utf-8').decode(await this.readBytes(path));
+    }
+
+    /**
+     * Reads a file as a Blob.
+     * @param {string} path - Path inside the archive.
+     * @param {string} [type] - MIME type of the Blob.
+     * @returns {Promise<Blob>}
+     */
+    async readBlob(path, type = '') {
+        return new Blob([await this.readBytes(path)], { type });
+    }
+}
+
+/**
+ * Parses the central directory at the end of the archive.
+ * @param {ArrayBuffer} buffer - The whole archive.
+ * @returns {Map<string, object>} `{ method, compressedSize, localHeaderOffset }` by path.
+ */
+function readCentralDirectory(buffer) {
+    const view = new DataView(buffer);
+
+    // The end-of-central-directory record is followed by a comment of up to 64 KB
+    let eocd = -1;
+    for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+        if (view.getUint32(i, true) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd < 0) throw new Error('Not a zip archive');
+
+    const entryCount = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+    const utf8 = new TextDecoder('utf-8');
+    const entries = new Map();
+
+    for (let i = 0; i < entryCount; i++) {
+        if (view.getUint32(offset, true) !== CENTRAL_HEADER_SIGNATURE) {
+            throw new Error('Corrupted archive: bad central directory');
+        }
+        const flags = view.getUint16(offset + 8, true);
+        const method = view.getUint16(offset + 10, true);
+        const compressedSize = view.getUint32(offset + 20, true);
+        const nameLength = view.getUint16(offset + 28, true);
+        const extraLength = view.getUint16(offset + 30, true);
+        const commentLength = view.getUint16(offset + 32, true);
+        const localHeaderOffset = view.getUint32(offset + 42, true);
+        // Windows tools may store backslashes as separators
+        const path = utf8.decode(new Uint8Array(buffer, offset + 46, nameLength)).replace(/\\/g, '/');
+
+        if ((flags & 0x1) !== 0) {
+            console.warn(`[ZIP] Skipping encrypted entry: ${path}`);
+        } else if (!path.endsWith('/')) {
+            entries.set(path, { method, compressedSize, localHeaderOffset });
+        }
+
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+}
+
+/**
+ * CRC-32 lookup table (polynomial 0xEDB88320), built on first use.
+ * @type {Uint32Array|null}
+ */
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 of some data, as stored in zip headers.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} Unsigned 32-bit checksum.
+ */
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Encodes a date in the MS-DOS format of zip headers.
+ * @param {Date} date - The date.
+ * @returns {{time: number, date: number}}
+ */
+function toDosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+/**
+ * Creates a zip archive with stored (uncompressed) entries.
+ * @param {{path: string, data: Blob|Uint8Array|string}[]} files - The files, in archive order.
+ *   Strings are stored as UTF-8 text.
+ * @returns {Promise<Blob>} The archive.
+ * @throws {Error} If the archive would need ZIP64 (more than 4 GB or 65535 files).
+ */
+export async function createZipArchive(files) {
+    if (files.length > 0xffff) throw new Error('Too many files for a zip archive');
+
+    const utf8 = new TextEncoder();
+    const { time, date } = toDosDateTime(new Date());
+    const parts = [];
+    const centralHeaders = [];
+    let offset = 0;
+
+    for (const file of files) {
+        let bytes = file.data;
+        if (typeof bytes === 'string') bytes = utf8.encode(bytes);
+        else if (bytes instanceof Blob) bytes = new Uint8Array(await bytes.arrayBuffer());
+        const name = utf8.encode(file.path);
+        const crc = crc32(bytes);
+
+        // Local file header and central directory header share most fields
+        const writeCommonFields = (view, start) => {
+            view.setUint16(start, ZIP_VERSION, true);
+            view.setUint16(start + 2, FLAG_UTF8, true);
+            view.setUint16(start + 4, METHOD_STORED, true);
+            view.setUint16(start + 6, time, true);
+            view.setUint16(start + 8, date, true);
+            view.setUint32(start + 10, crc, true);
+            view.setUint32(start + 14, bytes.length, true);
+            view.setUint32(start + 18, bytes.length, true);
+            view.setUint16(start + 22, name.length, true);
+        };
+
+        const local = new Uint8Array(30 + name.length);
+        const localView = new DataView(local.buffer);
+        localView.setUint32(0, LOCAL_HEADER_SIGNATURE, true);
+        writeCommonFields(localView, 4);
+        local.set(name, 30);
+
+        const central = new Uint8Array(46 + name.length);
+        const centralView = new DataView(central.buffer);
+        centralView.setUint32(0, CENTRAL_HEADER_SIGNATURE, true);
+        centralView.setUint16(4, ZIP_VERSION, true); // Version made by
+        writeCommonFields(centralView, 6);
+        centralView.setUint32(42, offset, true);
+        central.set(name, 46);
+
+        parts.push(local, bytes);
+        centralHeaders.push(central);
+        offset += local.length + bytes.length;
+        if (offset > 0xffffffff) throw new Error('Archive too large for a zip file (4 GB)');
+    }
+
+    const centralSize = centralHeaders.reduce((total, header) => total + header.length, 0);
+    const eocd = new Uint8Array(22);
+    const eocdView = new DataView(eocd.buffer);
+    eocdView.setUint32(0, EOCD_SIGNATURE, true);
+    eocdView.setUint16(8, files.length, true);
+    eocdView.setUint16(10, files.length, true);
+    eocdView.setUint32(12, centralSize, true);
+    eocdView.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralHeaders, eocd], { type: 'application/zip' });
+}
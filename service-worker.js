@@ -18,7 +18,7 @@
 // CUSTOMIZATION: When you make changes to App Shell files, update this timestamp.
 // This invalidates the old cache and forces the Service Worker to download new files.
 // Example: 'launchpad-pwa-cache-2026-03-21-1430' → update to → 'launchpad-pwa-cache-2026-03-21-1505'
-const CACHE_NAME = 'launchpad-pwa-cache-2026-03-29-2154';
+const CACHE_NAME = 'launchpad-pwa-cache-2026-10-19-1045';
 
 // Get the base path dynamically to support both local dev and GitHub Pages
 const basePath = self.registration.scope.replace(self.location.origin, '');
@@ -48,6 +48,24 @@ const APP_SHELL_FILES = [
     `${basePath}js/eventCleanup.js`,
     `${basePath}js/projectLoadingState.js`,
     `${basePath}js/webInterface.js`,
+    `${basePath}js/constants.js`,
+    `${basePath}js/transport.js`,
+    `${basePath}js/masterBus.js`,
+    `${basePath}js/timeline.js`,
+    `${basePath}js/recorder.js`,
+    `${basePath}js/practice.js`,
+    `${basePath}js/colorPalette.js`,
+    `${basePath}js/zip.js`,
+    `${basePath}js/unipad.js`,
+    `${basePath}js/midiFile.js`,
+    `${basePath}js/localStore.js`,
+    `${basePath}js/projectEditor.js`,
+    `${basePath}js/animationDesigner.js`,
+    `${basePath}js/projectBundle.js`,
+    `${basePath}js/folderDrop.js`,
+    `${basePath}js/deviceProfiles.js`,
+    `${basePath}js/midiLearn.js`,
+    `${basePath}js/gridLayout.js`,
     `${basePath}js/vendor/launchpad-webmidi.js`,
     `${basePath}js/static-data.json`,
     `${basePath}manifest.json`,